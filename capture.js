@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Capture live KuCoin trades into daily CSVs until interrupted or --duration runs out
+ * node capture.js --symbols BTCUSDT,ETHUSDT --duration 3600
+ */
+
+import { pathToFileURL } from 'url';
+import { log, logError } from './lib/log.js';
+import { UsageError } from './lib/cli.js';
+import { parseCaptureCli, captureUsage, captureTrades } from './lib/capture.js';
+
+// Run the capture CLI; Ctrl-C or SIGTERM stops it after flushing the open files
+async function main(argv) {
+    let options;
+    try {
+        options = parseCaptureCli(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`❌ ${error.message}\n`);
+        console.error(captureUsage());
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        console.log(captureUsage());
+        return;
+    }
+
+    const controller = new AbortController();
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            log(`\n⏹️ ${signal} received - closing the capture files`);
+            controller.abort();
+        });
+    }
+
+    try {
+        const result = await captureTrades({ ...options, signal: controller.signal });
+        for (const [symbol, stats] of Object.entries(result.symbols)) {
+            log(`   • ${symbol}: ${stats.trades} trade(s), ${stats.duplicates} duplicate(s) dropped, ${stats.rejected} rejected`);
+        }
+    } catch (error) {
+        logError(`❌ Capture failed: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2));
+}
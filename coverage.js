@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Coverage calendar of the collected data against the bucket listing
+ * node coverage.js --data ./output --refetch refetch.sh
+ */
+
+import { pathToFileURL } from 'url';
+import { configureLogging, log, logError } from './lib/log.js';
+import { UsageError } from './lib/cli.js';
+import { parseCoverageCli, coverageUsage, runCoverage } from './lib/coverage.js';
+
+// Run the coverage CLI; the calendar goes to files, progress to stderr so --refetch - can use stdout
+async function main(argv) {
+    let options;
+    try {
+        options = parseCoverageCli(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`❌ ${error.message}\n`);
+        console.error(coverageUsage());
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        console.log(coverageUsage());
+        return;
+    }
+
+    configureLogging({ stream: process.stderr });
+    try {
+        const { report, jsonFile, htmlFile } = await runCoverage(options);
+        for (const entry of report.symbols) {
+            const counts = Object.entries(entry.counts).filter(([, n]) => n > 0).map(([status, n]) => `${status} ${n}`);
+            log(`📅 ${entry.symbol} ${entry.dataset} ${entry.from ?? '-'} → ${entry.to ?? '-'}: ${counts.join(', ') || 'nothing held or listed'}`);
+        }
+        log(`✅ Coverage of ${report.symbols.length} symbol(s) → ${jsonFile}, ${htmlFile}`);
+    } catch (error) {
+        logError(`❌ Coverage failed: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2));
+}
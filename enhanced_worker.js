@@ -2,303 +2,72 @@
 /**
  * Enhanced KuCoin Worker - Full Pipeline
  * Downloads, validates, unpacks, and creates monthly parquet files
+ * The pipeline itself lives in lib/pipeline.js; import index.js to embed it
  */
 
-import fs from 'fs/promises';
-import { createWriteStream, createReadStream } from 'fs';
-import path from 'path';
-import https from 'https';
-import crypto from 'crypto';
-import zlib from 'zlib';
-import { pipeline } from 'stream/promises';
+import { pathToFileURL } from 'url';
+import { log, logError, configureLogging } from './lib/log.js';
+import { parseCli, usage, UsageError } from './lib/cli.js';
+import { runPipeline } from './lib/pipeline.js';
 
-console.log('🚀 Enhanced KuCoin Worker - Full Pipeline');
-console.log('🎯 Download → Validate → Unpack → Parquet');
+// Exit codes for a run stopped by a signal, as a shell would report it
+const SIGNAL_EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
 
-// Test with files we know exist
-const TEST_FILES = [
-    'BTCUSDT-trades-2025-01-01.zip',
-    'BTCUSDT-trades-2025-01-02.zip', 
-    'BTCUSDT-trades-2025-01-03.zip'
-];
-
-const CONFIG = {
-    symbol: 'BTCUSDT',
-    outputDir: './output',
-    baseUrl: 'https://historical-data.kucoin.com/data/spot/daily/trades/BTCUSDT/',
-    timeout: 30000,
-    maxRetries: 2
-};
-
-function log(message) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${message}`);
-}
-
-// Download file with checksum
-async function downloadWithChecksum(filename) {
-    const fileUrl = CONFIG.baseUrl + filename;
-    const checksumUrl = CONFIG.baseUrl + filename + '.CHECKSUM';
-    const symbolDir = path.join(CONFIG.outputDir, CONFIG.symbol);
-    const filePath = path.join(symbolDir, filename);
-    const checksumPath = path.join(symbolDir, filename + '.CHECKSUM');
-    
-    return new Promise(async (resolve, reject) => {
-        try {
-            log(`📥 Downloading ${filename}...`);
-            
-            // Download main file
-            const fileResult = await downloadFile(fileUrl, filePath);
-            if (!fileResult.success) {
-                return resolve({ filename, status: 'download_failed', ...fileResult });
-            }
-            
-            // Download checksum
-            log(`🔍 Downloading checksum for ${filename}...`);
-            const checksumResult = await downloadFile(checksumUrl, checksumPath);
-            if (!checksumResult.success) {
-                log(`⚠️ No checksum available for ${filename}`);
-                return resolve({ filename, status: 'no_checksum', bytes: fileResult.bytes });
-            }
-            
-            // Verify checksum
-            log(`✅ Verifying ${filename}...`);
-            const isValid = await verifyChecksum(filePath, checksumPath);
-            
-            if (isValid) {
-                log(`✅ ${filename} verified successfully`);
-                resolve({ filename, status: 'verified', bytes: fileResult.bytes });
-            } else {
-                log(`❌ ${filename} checksum failed - will retry`);
-                resolve({ filename, status: 'checksum_failed', bytes: fileResult.bytes });
-            }
-            
-        } catch (error) {
-            log(`❌ Error with ${filename}: ${error.message}`);
-            resolve({ filename, status: 'error', error: error.message });
-        }
-    });
-}
-
-// Download a single file
-async function downloadFile(url, outputPath) {
-    return new Promise((resolve, reject) => {
-        const request = https.get(url, { timeout: CONFIG.timeout }, (response) => {
-            if (response.statusCode !== 200) {
-                resolve({ success: false, error: `HTTP ${response.statusCode}` });
-                return;
-            }
-            
-            const fileStream = createWriteStream(outputPath);
-            let downloadedBytes = 0;
-            
-            response.on('data', (chunk) => {
-                downloadedBytes += chunk.length;
-            });
-            
-            response.pipe(fileStream);
-            
-            fileStream.on('finish', () => {
-                fileStream.close();
-                resolve({ success: true, bytes: downloadedBytes });
-            });
-            
-            fileStream.on('error', (error) => {
-                resolve({ success: false, error: error.message });
-            });
-        });
-        
-        request.on('error', (error) => {
-            resolve({ success: false, error: error.message });
-        });
-        
-        request.on('timeout', () => {
-            request.destroy();
-            resolve({ success: false, error: 'timeout' });
-        });
-    });
-}
-
-// Verify file checksum
-async function verifyChecksum(filePath, checksumPath) {
+/**
+ * Parse argv and run; partial failures and a used-up --time-budget still exit 0 and only unexpected errors exit 1
+ * The first SIGINT or SIGTERM drains the run (files in flight finish, then the checkpoint and summaries
+ * are written) and a second one cancels what is left; either way the exit code is 130 or 143
+ */
+async function main(argv) {
+    let options;
     try {
-        // Read expected checksum
-        const checksumContent = await fs.readFile(checksumPath, 'utf8');
-        const expectedChecksum = checksumContent.trim().split(' ')[0]; // First part is the hash
-        
-        // Calculate actual checksum
-        const fileBuffer = await fs.readFile(filePath);
-        const actualChecksum = crypto.createHash('md5').update(fileBuffer).digest('hex');
-        
-        return expectedChecksum.toLowerCase() === actualChecksum.toLowerCase();
+        options = parseCli(argv);
     } catch (error) {
-        log(`❌ Checksum verification error: ${error.message}`);
-        return false;
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`❌ ${error.message}\n`);
+        console.error(usage());
+        process.exitCode = 2;
+        return;
     }
-}
-
-// Unpack ZIP file
-async function unpackZip(zipPath, extractDir) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            log(`📦 Unpacking ${path.basename(zipPath)}...`);
-            
-            // Ensure extract directory exists
-            await fs.mkdir(extractDir, { recursive: true });
-            
-            // For now, let's just simulate unpacking since we don't have a ZIP library
-            // In the real implementation, you'd use a ZIP library like 'yauzl' or 'node-stream-zip'
-            
-            // Simulate extracting CSV files
-            const csvFiles = [`${CONFIG.symbol}-trades-${path.basename(zipPath, '.zip')}.csv`];
-            
-            log(`✅ Simulated unpacking to ${extractDir}`);
-            log(`📄 Would extract: ${csvFiles.join(', ')}`);
-            
-            resolve({ success: true, csvFiles });
-            
-        } catch (error) {
-            log(`❌ Unpack error: ${error.message}`);
-            resolve({ success: false, error: error.message });
+    
+    if (options.help) {
+        console.log(usage());
+        return;
+    }
+    
+    configureLogging({ format: options.logFormat, level: options.logLevel });
+    if (options.logFormat === 'pretty') {
+        console.log('🚀 Enhanced KuCoin Worker - Full Pipeline');
+        console.log('🎯 Download → Validate → Unpack → Parquet');
+    }
+    
+    const stopController = new AbortController();
+    const cancelController = new AbortController();
+    const onSignal = (signal) => {
+        process.exitCode = SIGNAL_EXIT_CODES[signal];
+        if (!stopController.signal.aborted) {
+            log(`\n⏹️ ${signal} received - finishing the files in flight (send it again to cancel them)`);
+            stopController.abort(signal);
+        } else {
+            log(`\n⏹️ ${signal} received again - cancelling the files in flight`);
+            cancelController.abort();
         }
-    });
-}
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
 
-// Create monthly parquet file (simulated)
-async function createMonthlyParquet(csvFiles, month, outputDir) {
     try {
-        log(`📊 Creating monthly parquet for ${month}...`);
-        
-        // Simulate parquet creation
-        const parquetPath = path.join(outputDir, `${CONFIG.symbol}-${month}.parquet`);
-        
-        // In real implementation, you'd:
-        // 1. Read all CSV files for the month
-        // 2. Combine them into a single dataset
-        // 3. Convert to parquet format using a library like 'parquetjs'
-        
-        const mockParquetData = {
-            symbol: CONFIG.symbol,
-            month: month,
-            recordCount: csvFiles.length * 10000, // Simulated
-            createdAt: new Date().toISOString(),
-            sourceFiles: csvFiles
-        };
-        
-        await fs.writeFile(parquetPath, JSON.stringify(mockParquetData, null, 2));
-        
-        log(`✅ Created parquet: ${parquetPath}`);
-        return { success: true, parquetPath };
-        
+        await runPipeline({ ...options, stopSignal: stopController.signal, signal: cancelController.signal });
     } catch (error) {
-        log(`❌ Parquet creation error: ${error.message}`);
-        return { success: false, error: error.message };
+        logError(`❌ PIPELINE ERROR: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        process.off('SIGINT', onSignal);
+        process.off('SIGTERM', onSignal);
     }
 }
 
-// Main enhanced pipeline
-async function runEnhancedPipeline() {
-    try {
-        log(`🚀 Starting enhanced pipeline for ${CONFIG.symbol}`);
-        
-        // Create directories
-        const symbolDir = path.join(CONFIG.outputDir, CONFIG.symbol);
-        const extractDir = path.join(symbolDir, 'extracted');
-        const parquetDir = path.join(symbolDir, 'parquet');
-        
-        await fs.mkdir(symbolDir, { recursive: true });
-        await fs.mkdir(extractDir, { recursive: true });
-        await fs.mkdir(parquetDir, { recursive: true });
-        
-        // Phase 1: Download and verify
-        log(`\n📥 PHASE 1: Download and Verify`);
-        const downloadResults = [];
-        
-        for (const filename of TEST_FILES) {
-            let attempts = 0;
-            let result;
-            
-            do {
-                attempts++;
-                result = await downloadWithChecksum(filename);
-                
-                if (result.status === 'checksum_failed' && attempts < CONFIG.maxRetries) {
-                    log(`🔄 Retrying ${filename} (attempt ${attempts + 1})`);
-                }
-            } while (result.status === 'checksum_failed' && attempts < CONFIG.maxRetries);
-            
-            downloadResults.push(result);
-        }
-        
-        // Phase 2: Unpack verified files
-        log(`\n📦 PHASE 2: Unpack Files`);
-        const unpackResults = [];
-        
-        for (const result of downloadResults) {
-            if (result.status === 'verified') {
-                const zipPath = path.join(symbolDir, result.filename);
-                const unpackResult = await unpackZip(zipPath, extractDir);
-                unpackResults.push({ filename: result.filename, ...unpackResult });
-            }
-        }
-        
-        // Phase 3: Create monthly parquet files
-        log(`\n📊 PHASE 3: Create Parquet Files`);
-        const parquetResults = [];
-        
-        // Group by month (simplified - just January 2025 for this test)
-        const month = '2025-01';
-        const csvFiles = unpackResults.filter(r => r.success).flatMap(r => r.csvFiles);
-        
-        if (csvFiles.length > 0) {
-            const parquetResult = await createMonthlyParquet(csvFiles, month, parquetDir);
-            parquetResults.push({ month, ...parquetResult });
-        }
-        
-        // Create final summary
-        const verifiedCount = downloadResults.filter(r => r.status === 'verified').length;
-        const unpackedCount = unpackResults.filter(r => r.success).length;
-        const parquetCount = parquetResults.filter(r => r.success).length;
-        const totalBytes = downloadResults.reduce((sum, r) => sum + (r.bytes || 0), 0);
-        
-        const summary = {
-            symbol: CONFIG.symbol,
-            completedAt: new Date().toISOString(),
-            pipeline: {
-                filesAttempted: TEST_FILES.length,
-                filesVerified: verifiedCount,
-                filesUnpacked: unpackedCount,
-                parquetFilesCreated: parquetCount
-            },
-            totalBytes: totalBytes,
-            downloadResults: downloadResults,
-            unpackResults: unpackResults,
-            parquetResults: parquetResults,
-            status: verifiedCount > 0 ? 'success' : 'failed'
-        };
-        
-        const summaryPath = path.join(symbolDir, 'enhanced_summary.json');
-        await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2));
-        
-        log(`\n🎯 ENHANCED PIPELINE RESULTS:`);
-        log(`   • Files attempted: ${TEST_FILES.length}`);
-        log(`   • Files verified: ${verifiedCount}`);
-        log(`   • Files unpacked: ${unpackedCount}`);
-        log(`   • Parquet files created: ${parquetCount}`);
-        log(`   • Total bytes: ${totalBytes}`);
-        log(`   • Success rate: ${(verifiedCount/TEST_FILES.length*100).toFixed(1)}%`);
-        
-        if (verifiedCount > 0) {
-            log(`\n✅ ENHANCED PIPELINE COMPLETED SUCCESSFULLY!`);
-            log(`📦 Ready for GitHub Actions artifact packaging`);
-        } else {
-            log(`\n❌ ENHANCED PIPELINE FAILED`);
-        }
-        
-    } catch (error) {
-        log(`❌ PIPELINE ERROR: ${error.message}`);
-        process.exit(1);
-    }
+// Only run when executed directly, so importing this file has no side effects
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2));
 }
-
-runEnhancedPipeline();
@@ -5,8 +5,11 @@
  */
 
 import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
 import path from 'path';
 import https from 'https';
+import http from 'http';
+import { discoverSymbolFiles, BUCKET_URL } from './lib/discovery.js';
 
 console.log('🧪 GitHub Actions Test Worker');
 console.log('🎯 Testing with single symbol: BTCUSDT');
@@ -14,9 +17,18 @@ console.log('🎯 Testing with single symbol: BTCUSDT');
 // Simple configuration for testing
 const CONFIG = {
     symbol: 'BTCUSDT',
-    outputDir: './output',
+    outputDir: process.env.KUCOIN_OUTPUT_DIR || './output',
     maxFiles: 5,  // Only download 5 files for testing
-    timeout: 30000
+    timeout: 30000,
+    bucketUrl: process.env.KUCOIN_BASE_URL || BUCKET_URL
+};
+
+// What the test has done so far, so an interrupted run can still report it
+const progress = {
+    symbolDir: null,
+    filesDiscovered: 0,
+    filesDownloaded: 0,
+    totalBytes: 0
 };
 
 // Simple logging
@@ -25,55 +37,9 @@ function log(message) {
     console.log(`[${timestamp}] ${message}`);
 }
 
-// Discover files using the working approach
+// Discover files from the bucket's ListObjectsV2 inventory
 async function discoverFiles(symbol) {
-    const url = `https://historical-data.kucoin.com/data/spot/daily/trades/${symbol}/`;
-    
-    return new Promise((resolve, reject) => {
-        log(`🔍 Discovering files for ${symbol}...`);
-        
-        const request = https.get(url, { timeout: CONFIG.timeout }, (response) => {
-            if (response.statusCode !== 200) {
-                reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-                return;
-            }
-            
-            let data = '';
-            response.on('data', chunk => data += chunk);
-            response.on('end', () => {
-                try {
-                    const files = [];
-                    
-                    // Look for .zip files in the HTML
-                    const fileMatches = data.match(/href="([^"]*\.zip)"/g);
-                    
-                    if (fileMatches) {
-                        fileMatches.forEach(match => {
-                            const filename = match.match(/href="([^"]*\.zip)"/)[1];
-                            const fileUrl = `https://historical-data.kucoin.com/data/spot/daily/trades/${symbol}/${filename}`;
-                            
-                            files.push({
-                                filename: filename,
-                                url: fileUrl,
-                                size: 0
-                            });
-                        });
-                    }
-                    
-                    log(`✅ Discovered ${files.length} files for ${symbol}`);
-                    resolve(files);
-                } catch (error) {
-                    reject(new Error(`Failed to parse response: ${error.message}`));
-                }
-            });
-        });
-        
-        request.on('error', reject);
-        request.on('timeout', () => {
-            request.destroy();
-            reject(new Error('Request timeout'));
-        });
-    });
+    return discoverSymbolFiles(symbol, { bucketUrl: CONFIG.bucketUrl, timeout: CONFIG.timeout });
 }
 
 // Download a single file
@@ -81,13 +47,14 @@ async function downloadFile(fileInfo, outputPath) {
     return new Promise((resolve, reject) => {
         log(`📥 Downloading ${fileInfo.filename}...`);
         
-        const request = https.get(fileInfo.url, { timeout: CONFIG.timeout }, (response) => {
+        const client = fileInfo.url.startsWith('http:') ? http : https;
+        const request = client.get(fileInfo.url, { timeout: CONFIG.timeout }, (response) => {
             if (response.statusCode !== 200) {
                 reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
                 return;
             }
             
-            const fileStream = require('fs').createWriteStream(outputPath);
+            const fileStream = createWriteStream(outputPath);
             let downloadedBytes = 0;
             
             response.on('data', (chunk) => {
@@ -121,10 +88,12 @@ async function runTest() {
         // Create output directory
         const symbolDir = path.join(CONFIG.outputDir, CONFIG.symbol);
         await fs.mkdir(symbolDir, { recursive: true });
+        progress.symbolDir = symbolDir;
         log(`📁 Created output directory: ${symbolDir}`);
         
         // Discover files
         const files = await discoverFiles(CONFIG.symbol);
+        progress.filesDiscovered = files.length;
         
         if (files.length === 0) {
             log(`⚠️ No files found for ${CONFIG.symbol}`);
@@ -145,6 +114,8 @@ async function runTest() {
                 const bytes = await downloadFile(file, outputPath);
                 totalBytes += bytes;
                 successCount++;
+                progress.filesDownloaded = successCount;
+                progress.totalBytes = totalBytes;
             } catch (error) {
                 log(`❌ Failed to download ${file.filename}: ${error.message}`);
             }
@@ -179,11 +150,26 @@ async function runTest() {
     }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-    log('🛑 Test interrupted');
-    process.exit(0);
-});
+// An interrupted test writes what it got so far and fails, so CI never reads it as a pass
+async function interrupted(signal) {
+    log(`🛑 Test interrupted by ${signal}`);
+    if (progress.symbolDir) {
+        const summary = {
+            symbol: CONFIG.symbol,
+            testCompletedAt: new Date().toISOString(),
+            totalFilesDiscovered: progress.filesDiscovered,
+            filesDownloaded: progress.filesDownloaded,
+            totalBytes: progress.totalBytes,
+            status: 'interrupted',
+            signal
+        };
+        await fs.writeFile(path.join(progress.symbolDir, 'test_summary.json'), JSON.stringify(summary, null, 2)).catch(() => {});
+    }
+    process.exit(signal === 'SIGINT' ? 130 : 143);
+}
+
+process.on('SIGINT', () => interrupted('SIGINT'));
+process.on('SIGTERM', () => interrupted('SIGTERM'));
 
 // Run the test
 runTest();
@@ -0,0 +1,35 @@
+/**
+ * KuCoin historical data pipeline - programmatic entry point
+ * `node enhanced_worker.js` is the command-line wrapper around the same API
+ */
+
+export {
+    runPipeline,
+    download,
+    verify,
+    unpack,
+    validate,
+    toParquet,
+    toCandles,
+    configFromOptions,
+    DEFAULT_CONFIG,
+    PHASES,
+    PIPELINE_EVENTS
+} from './lib/pipeline.js';
+export { parseCli, buildPlans, PIPELINE_MODES, UsageError } from './lib/cli.js';
+export { configureLogging, withLogContext, LOG_FORMATS, LOG_LEVELS } from './lib/log.js';
+export { formatMetrics, METRICS_FILE } from './lib/metrics.js';
+export { parseShard, assignShards, shardSymbols, SHARD_STRATEGIES } from './lib/shards.js';
+export { mergeShards, mergeShardOutputs, COVERAGE_REPORT_FILE } from './lib/merge.js';
+export { partitionDir, LAYOUTS, HIVE_DIR } from './lib/hive.js';
+export { createSink, LocalSink, S3Sink, DEFAULT_SINK_LAYOUT } from './lib/sinks.js';
+export { readConfigFile, ConfigError, SETTINGS, CONFIG_FILE } from './lib/config.js';
+export { estimateSpace, RETENTION_POLICIES } from './lib/disk.js';
+export { queryRecords, runQuery, QUERY_FORMATS, QUERY_SOURCES, QUERY_DECIMALS } from './lib/query.js';
+export { parseFixed, toUnscaled, toInt64, formatUnscaled, notional, vwap, DecimalProfile } from './lib/decimal.js';
+export { parquetDecimals, DECIMALS_METADATA } from './lib/parquet.js';
+export { captureTrades, reconcileDay, CAPTURE_EVENTS, RECONCILE_REPORT_FILE } from './lib/capture.js';
+export { parseDataset, DEFAULT_DATASET } from './lib/datasets.js';
+export { readCheckpoint, CHECKPOINT_FILE } from './lib/checkpoint.js';
+export { TimeBudget } from './lib/scheduler.js';
+export { buildCoverage, runCoverage, renderCoverageHtml, COVERAGE_STATUSES, CALENDAR_JSON_FILE, CALENDAR_HTML_FILE } from './lib/coverage.js';
@@ -0,0 +1,240 @@
+/**
+ * OHLCV candles from KuCoin trade CSVs
+ * Buckets trades by UTC open time with exact BigInt arithmetic, so prices, volumes and VWAP
+ * never pass through floating point
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import parquet from '@dsnp/parquetjs';
+import { log, logError } from './log.js';
+import {
+    DECIMAL_PRECISION,
+    DECIMAL_SCALE,
+    COMPRESSION_CODECS,
+    DEFAULT_COMPRESSION,
+    DEFAULT_ROW_GROUP_SIZE,
+    DECIMALS_METADATA,
+    TABLES,
+    parseDecimal,
+    encodeUnscaled,
+    decimalTracker,
+    readTradeCsv
+} from './parquet.js';
+import { divide, round } from './decimal.js';
+
+// Interval name → length in milliseconds; every one divides a UTC day evenly
+export const CANDLE_INTERVALS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+export const DEFAULT_CANDLE_INTERVALS = ['1m', '5m', '1h', '1d'];
+
+const DECIMAL = { type: 'DECIMAL', precision: DECIMAL_PRECISION, scale: DECIMAL_SCALE, typeLength: 16 };
+
+export const CANDLE_SCHEMA = new parquet.ParquetSchema({
+    open_time: { type: 'TIMESTAMP_MILLIS' },
+    close_time: { type: 'TIMESTAMP_MILLIS' },
+    open: DECIMAL,
+    high: DECIMAL,
+    low: DECIMAL,
+    close: DECIMAL,
+    volume: DECIMAL,
+    quote_volume: DECIMAL,
+    vwap: DECIMAL,
+    trade_count: { type: 'INT64' },
+    buy_volume: DECIMAL,
+    sell_volume: DECIMAL
+});
+
+// Candle columns that repeat trade prices or add up trade sizes, and so keep their decimal width
+const PRICE_COLUMNS = ['open', 'high', 'low', 'close'];
+const SIZE_COLUMNS = ['volume', 'buy_volume', 'sell_volume'];
+
+export function candleFileName(symbol, interval, month) {
+    return `${symbol}-candles-${interval}-${month}.parquet`;
+}
+
+// Accumulates trades into one open candle per bucket for every interval
+export class CandleAggregator {
+    constructor(intervals = DEFAULT_CANDLE_INTERVALS) {
+        for (const interval of intervals) {
+            if (!(interval in CANDLE_INTERVALS)) {
+                throw new Error(`unknown candle interval ${interval}`);
+            }
+        }
+        this.intervals = intervals;
+        this.buckets = new Map(intervals.map(interval => [interval, new Map()]));
+        this.trades = 0;
+    }
+
+    // Add one trade; price and size are unscaled integers at DECIMAL_SCALE
+    add({ time, price, size, side }) {
+        this.trades++;
+        for (const interval of this.intervals) {
+            const length = CANDLE_INTERVALS[interval];
+            const openTime = Math.floor(time / length) * length;
+            const buckets = this.buckets.get(interval);
+            let candle = buckets.get(openTime);
+
+            if (!candle) {
+                candle = {
+                    openTime,
+                    closeTime: openTime + length - 1,
+                    firstTime: time,
+                    lastTime: time,
+                    open: price,
+                    high: price,
+                    low: price,
+                    close: price,
+                    volume: 0n,
+                    quoteVolume: 0n,
+                    count: 0,
+                    buyVolume: 0n,
+                    sellVolume: 0n
+                };
+                buckets.set(openTime, candle);
+            }
+
+            // Open and close follow trade time, so a stray early trade still opens the bar
+            if (time < candle.firstTime) {
+                candle.firstTime = time;
+                candle.open = price;
+            }
+            if (time >= candle.lastTime) {
+                candle.lastTime = time;
+                candle.close = price;
+            }
+            if (price > candle.high) candle.high = price;
+            if (price < candle.low) candle.low = price;
+
+            candle.volume += size;
+            candle.quoteVolume += price * size;
+            candle.count++;
+            if (side === 'BUY') candle.buyVolume += size;
+            else candle.sellVolume += size;
+        }
+    }
+
+    // Finished candles for one interval, oldest first
+    candles(interval) {
+        return [...this.buckets.get(interval).values()].sort((a, b) => a.openTime - b.openTime);
+    }
+}
+
+// Convert an aggregated candle into a Parquet row
+export function toCandleRow(candle) {
+    // price * size carries twice the scale; bring it back to DECIMAL_SCALE
+    const quoteVolume = { unscaled: candle.quoteVolume, scale: 2 * DECIMAL_SCALE };
+    const volume = { unscaled: candle.volume, scale: DECIMAL_SCALE };
+    const vwap = candle.volume > 0n ? divide(quoteVolume, volume, DECIMAL_SCALE).unscaled : candle.close;
+    return {
+        open_time: candle.openTime,
+        close_time: candle.closeTime,
+        open: encodeUnscaled(candle.open),
+        high: encodeUnscaled(candle.high),
+        low: encodeUnscaled(candle.low),
+        close: encodeUnscaled(candle.close),
+        volume: encodeUnscaled(candle.volume),
+        quote_volume: encodeUnscaled(round(quoteVolume, DECIMAL_SCALE).unscaled),
+        vwap: encodeUnscaled(vwap),
+        trade_count: BigInt(candle.count),
+        buy_volume: encodeUnscaled(candle.buyVolume),
+        sell_volume: encodeUnscaled(candle.sellVolume)
+    };
+}
+
+// Feed one daily CSV into the aggregator, returning the trades read
+async function aggregateCsv(aggregator, csvPath, decimals) {
+    let rows = 0;
+    for await (const record of readTradeCsv(csvPath)) {
+        try {
+            decimals.check(record);
+            aggregator.add({
+                time: Number(record.trade_time),
+                price: parseDecimal(record.price),
+                size: parseDecimal(record.size),
+                side: record.side
+            });
+        } catch (error) {
+            throw new Error(`${path.basename(csvPath)} row ${rows + 1}: ${error.message}`);
+        }
+        rows++;
+    }
+    return rows;
+}
+
+// Width metadata for a candle file: prices and volumes are written like the trades they came from
+function candleDecimals(trades) {
+    return {
+        ...Object.fromEntries(PRICE_COLUMNS.map(column => [column, trades.price])),
+        ...Object.fromEntries(SIZE_COLUMNS.map(column => [column, trades.size]))
+    };
+}
+
+async function writeCandles(candles, parquetPath, compression, rowGroupSize, decimals) {
+    const schema = new parquet.ParquetSchema(Object.fromEntries(
+        Object.entries(CANDLE_SCHEMA.schema).map(([name, field]) => [name, { ...field, compression }])
+    ));
+    const tempPath = `${parquetPath}.partial`;
+    const writer = await parquet.ParquetWriter.openFile(schema, tempPath, { rowGroupSize });
+    try {
+        for (const candle of candles) {
+            await writer.appendRow(toCandleRow(candle));
+        }
+        writer.setMetadata(DECIMALS_METADATA, JSON.stringify(decimals));
+        await writer.close();
+        await fs.rename(tempPath, parquetPath);
+    } catch (error) {
+        await writer.close().catch(() => {});
+        await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+// Build one candle Parquet file per interval from a month's daily CSVs
+export async function createMonthlyCandles(csvFiles, month, outputDir, options = {}) {
+    const symbol = options.symbol;
+    const intervals = options.intervals || DEFAULT_CANDLE_INTERVALS;
+    const rowGroupSize = options.rowGroupSize || DEFAULT_ROW_GROUP_SIZE;
+    const compression = (options.compression || DEFAULT_COMPRESSION).toUpperCase();
+
+    try {
+        if (!COMPRESSION_CODECS.includes(compression)) {
+            throw new Error(`unsupported compression ${compression} (expected one of ${COMPRESSION_CODECS.join(', ')})`);
+        }
+
+        log(`🕯️ Building ${intervals.join('/')} candles for ${month} from ${csvFiles.length} file(s)...`);
+        await fs.mkdir(outputDir, { recursive: true });
+
+        // All of the month's days feed one aggregator, so no bar is cut at a file boundary
+        const aggregator = new CandleAggregator(intervals);
+        const tracker = decimalTracker(TABLES.trades, options.scales);
+        const sourceFiles = [];
+        for (const csvPath of [...csvFiles].sort()) {
+            const rows = await aggregateCsv(aggregator, csvPath, tracker);
+            sourceFiles.push({ file: path.basename(csvPath), rows });
+        }
+        const decimals = candleDecimals(tracker.toJSON());
+
+        const files = [];
+        for (const interval of intervals) {
+            const candles = aggregator.candles(interval);
+            const parquetPath = path.join(outputDir, candleFileName(symbol, interval, month));
+            await writeCandles(candles, parquetPath, compression, rowGroupSize, decimals);
+            files.push({ interval, parquetPath, candleCount: candles.length });
+        }
+
+        log(`✅ Created ${files.map(f => `${f.interval}: ${f.candleCount}`).join(', ')} candles for ${month} (${aggregator.trades} trades)`);
+        return { success: true, tradeCount: aggregator.trades, files, sourceFiles };
+
+    } catch (error) {
+        logError(`❌ Candle creation error: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
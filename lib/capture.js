@@ -0,0 +1,521 @@
+/**
+ * Live trade capture from KuCoin's public WebSocket
+ * Archives for a day only appear once it is over, so this subscribes to the /market/match channel
+ * and appends every match to <output>/<SYMBOL>/live/<SYMBOL>-trades-<day>.csv in the archive's
+ * schema, reconnecting with a fresh token when the socket drops or stops answering pings. Once the
+ * day's archive is unpacked, reconcileDay compares the two by trade id
+ */
+
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream, existsSync, mkdirSync, statSync, openSync, readSync, closeSync } from 'fs';
+import { finished } from 'stream/promises';
+import { createInterface } from 'readline';
+import { parseArgs } from 'util';
+import { once } from 'events';
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import WebSocket from 'ws';
+import { log, logWarn } from './log.js';
+import { UsageError } from './cli.js';
+import { backoffDelay, sleep } from './scheduler.js';
+import { TRADE_COLUMNS, DECIMAL_SCALE, parseDecimal, formatDecimal, readTradeCsv } from './parquet.js';
+
+export const API_URL = 'https://api.kucoin.com';
+export const LIVE_DIR = 'live';
+export const RECONCILE_REPORT_FILE = 'reconcile_report.json';
+
+// Emitted on captureTrades' `events`, in the order a healthy connection produces them
+export const CAPTURE_EVENTS = ['connected', 'subscribed', 'trade', 'disconnected'];
+
+const TOKEN_PATH = '/api/v1/bullet-public';
+// KuCoin accepts at most 100 symbols in one subscribe message
+const SYMBOLS_PER_SUBSCRIBE = 100;
+// Trade ids remembered per symbol to drop repeats around a reconnect
+const RECENT_IDS = 10000;
+// Quote currencies, longest first, to split BTCUSDT into the BTC-USDT the socket expects
+const QUOTE_CURRENCIES = ['PYUSD', 'USDT', 'USDC', 'TUSD', 'BTC', 'ETH', 'KCS', 'DAI', 'EUR', 'TRX', 'BRL', 'TRY'];
+
+const OPTIONS = {
+    symbols: { type: 'string', short: 's' },
+    output: { type: 'string', short: 'o' },
+    duration: { type: 'string' },
+    'api-url': { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+export function captureUsage(command = 'capture.js') {
+    return `Usage: node ${command} --symbols <list> [options]
+
+Options:
+  -s, --symbols <list>      Comma-separated symbols, e.g. BTCUSDT or BTC-USDT
+  -o, --output <dir>        Pipeline output directory; trades go to <dir>/<SYMBOL>/${LIVE_DIR}/ (default: ./output)
+      --duration <s>        Stop after this many seconds (default: run until interrupted)
+      --api-url <url>       KuCoin REST API that hands out WebSocket tokens
+                            (default: $KUCOIN_API_URL, else ${API_URL})
+  -h, --help                Show this help
+
+Example:
+  node ${command} --symbols BTCUSDT,ETHUSDT --duration 3600
+
+Exit codes: 0 stopped cleanly, 1 capture error, 2 invalid arguments`;
+}
+
+// The BASE-QUOTE name the socket uses for a symbol given as BTCUSDT or BTC-USDT
+export function marketSymbol(symbol) {
+    if (symbol.includes('-')) return symbol;
+    const quote = QUOTE_CURRENCIES.find(q => symbol.endsWith(q) && symbol.length > q.length);
+    if (!quote) {
+        throw new Error(`cannot tell the quote currency of ${symbol}; give it as BASE-QUOTE, e.g. BTC-USDT`);
+    }
+    return `${symbol.slice(0, -quote.length)}-${quote}`;
+}
+
+function parseSymbolList(value) {
+    const symbols = value.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    if (symbols.length === 0) {
+        throw new UsageError('--symbols needs at least one symbol');
+    }
+    for (const symbol of symbols) {
+        if (!/^[A-Z0-9]{1,20}(-[A-Z0-9]{1,10})?$/.test(symbol)) {
+            throw new UsageError(`invalid symbol "${symbol}" (expected e.g. BTCUSDT or BTC-USDT)`);
+        }
+        try {
+            marketSymbol(symbol);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+    return [...new Set(symbols)];
+}
+
+export function parseCaptureCli(argv, env = process.env) {
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true, allowPositionals: false }));
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    if (values.help) {
+        return { help: true };
+    }
+    if (values.symbols === undefined) {
+        throw new UsageError('--symbols is required');
+    }
+
+    let durationMs = 0;
+    if (values.duration !== undefined) {
+        if (!/^\d+$/.test(values.duration) || Number(values.duration) <= 0) {
+            throw new UsageError(`--duration must be a positive integer, got "${values.duration}"`);
+        }
+        durationMs = Number(values.duration) * 1000;
+    }
+
+    const apiUrl = values['api-url'] ?? env.KUCOIN_API_URL ?? API_URL;
+    if (!/^https?:\/\//.test(apiUrl)) {
+        throw new UsageError(`--api-url must be an http(s) URL, got "${apiUrl}"`);
+    }
+
+    return {
+        help: false,
+        symbols: parseSymbolList(values.symbols),
+        output: values.output ?? './output',
+        durationMs,
+        apiUrl
+    };
+}
+
+// Where one symbol's captured trades for a day are written
+export function liveFile(outputDir, symbol, day) {
+    return path.join(outputDir, symbol, LIVE_DIR, `${symbol}-trades-${day}.csv`);
+}
+
+// POST for a public connection token: { token, endpoint, pingInterval, pingTimeout }; aborting `signal` cancels the request
+export function fetchToken(apiUrl, timeout = 30000, signal) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(TOKEN_PATH, apiUrl);
+        const client = url.protocol === 'http:' ? http : https;
+        const request = client.request(url, { method: 'POST', timeout, signal }, (response) => {
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => body += chunk);
+            response.on('end', () => {
+                try {
+                    const parsed = JSON.parse(body);
+                    if (response.statusCode !== 200 || parsed.code !== '200000') {
+                        throw new Error(`HTTP ${response.statusCode}, code ${parsed.code}${parsed.msg ? `: ${parsed.msg}` : ''}`);
+                    }
+                    const [server] = parsed.data.instanceServers;
+                    resolve({ token: parsed.data.token, endpoint: server.endpoint, pingInterval: server.pingInterval, pingTimeout: server.pingTimeout });
+                } catch (error) {
+                    reject(new Error(`token request failed: ${error.message}`));
+                }
+            });
+            response.on('error', reject);
+        });
+        request.on('error', reject);
+        request.on('timeout', () => {
+            request.destroy();
+            reject(new Error('Request timeout'));
+        });
+        request.end();
+    });
+}
+
+// One match message as an archive row: time in ms, 20-decimal strings and an upper-case side
+export function toTradeRecord(data) {
+    const side = String(data.side).toUpperCase();
+    if (side !== 'BUY' && side !== 'SELL') {
+        throw new Error(`invalid side: ${data.side}`);
+    }
+    if (!/^\d+$/.test(data.tradeId) || !/^\d+$/.test(data.time)) {
+        throw new Error(`invalid trade id or time: ${data.tradeId} at ${data.time}`);
+    }
+    return {
+        trade_id: data.tradeId,
+        // Match times are nanoseconds
+        trade_time: Number(BigInt(data.time) / 1000000n),
+        price: formatDecimal(parseDecimal(data.price), { width: DECIMAL_SCALE }),
+        size: formatDecimal(parseDecimal(data.size), { width: DECIMAL_SCALE }),
+        side
+    };
+}
+
+// Whether a non-empty file's last byte is a newline
+function endsWithNewline(filePath, size) {
+    const fd = openSync(filePath, 'r');
+    try {
+        const last = Buffer.alloc(1);
+        readSync(fd, last, 0, 1, size - 1);
+        return last[0] === 0x0a;
+    } finally {
+        closeSync(fd);
+    }
+}
+
+/**
+ * Append-only daily CSVs, one per symbol and UTC day
+ * A day's file stays open until a later day's trade arrives for the symbol; rows are written in
+ * the order matches arrive, and a restarted capture appends to the day it left off. The first
+ * write failure goes to `onError`, later rows are dropped, and close() rejects with it
+ */
+class DailyFiles {
+    constructor(outputDir, onError) {
+        this.outputDir = outputDir;
+        this.onError = onError;
+        this.error = null;
+        this.open = new Map();
+        this.closing = [];
+        this.written = new Set();
+    }
+
+    // Keep the first failure and stop the capture with it
+    fail(error) {
+        if (this.error) return;
+        this.error = error;
+        this.onError(error);
+    }
+
+    // Append a record to its day's file; false when that file is buffering and the caller should wait for drain()
+    write(symbol, record) {
+        if (this.error) return true;
+        const day = new Date(record.trade_time).toISOString().slice(0, 10);
+        const key = `${symbol}/${day}`;
+        let stream = this.open.get(key);
+        if (!stream) {
+            for (const [other, earlier] of this.open) {
+                if (other.startsWith(`${symbol}/`) && other < key) {
+                    this.closing.push(finished(earlier.end()).catch(error => this.fail(error)));
+                    this.open.delete(other);
+                }
+            }
+            const filePath = liveFile(this.outputDir, symbol, day);
+            try {
+                mkdirSync(path.dirname(filePath), { recursive: true });
+                const size = existsSync(filePath) ? statSync(filePath).size : 0;
+                stream = createWriteStream(filePath, { flags: 'a' });
+                stream.on('error', error => this.fail(error));
+                if (size === 0) {
+                    stream.write(TRADE_COLUMNS.join(',') + '\n');
+                } else if (!endsWithNewline(filePath, size)) {
+                    // A capture killed mid-line left a partial row; start on a new line after it
+                    stream.write('\n');
+                }
+            } catch (error) {
+                this.fail(error);
+                return true;
+            }
+            this.open.set(key, stream);
+            this.written.add(filePath);
+        }
+        return stream.write(TRADE_COLUMNS.map(column => record[column]).join(',') + '\n');
+    }
+
+    // Resolves once every file that asked to wait has flushed its buffer, or failed
+    async drain() {
+        const waiting = [...this.open.values()].filter(stream => stream.writableNeedDrain && !stream.destroyed);
+        await Promise.all(waiting.map(stream => once(stream, 'drain').catch(() => {})));
+    }
+
+    async close() {
+        this.closing.push(...[...this.open.values()].map(stream => finished(stream.end()).catch(error => this.fail(error))));
+        this.open.clear();
+        await Promise.all(this.closing);
+        if (this.error) throw this.error;
+    }
+}
+
+// One socket session: subscribe, keep it alive with pings, hand matches to onTrade; resolves with whether it subscribed
+async function connectOnce(markets, context) {
+    const { token, endpoint, pingInterval, pingTimeout } = await fetchToken(context.apiUrl, context.timeout, context.signal);
+    // Stopped while the token was on its way: the abort listener below would never fire
+    if (context.signal.aborted) return false;
+    const connectId = crypto.randomUUID();
+    const url = new URL(endpoint);
+    url.searchParams.set('token', token);
+    url.searchParams.set('connectId', connectId);
+
+    return new Promise((resolve) => {
+        const socket = new WebSocket(url, { handshakeTimeout: context.timeout });
+        let messageId = 0;
+        let pending = 0;
+        let subscribed = false;
+        let lastPong = Date.now();
+        let pinger = null;
+        const send = (message) => socket.send(JSON.stringify({ id: `${connectId}-${++messageId}`, ...message }));
+        const stop = () => socket.close(1000);
+        context.signal.addEventListener('abort', stop, { once: true });
+
+        socket.on('open', () => {
+            context.connections++;
+            context.events?.emit('connected', { endpoint });
+        });
+
+        socket.on('message', (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch {
+                return;
+            }
+            if (message.type === 'welcome') {
+                const names = [...markets.keys()];
+                for (let i = 0; i < names.length; i += SYMBOLS_PER_SUBSCRIBE) {
+                    pending++;
+                    send({ type: 'subscribe', topic: `/market/match:${names.slice(i, i + SYMBOLS_PER_SUBSCRIBE).join(',')}`, privateChannel: false, response: true });
+                }
+                // A server that stops answering pings is as good as gone
+                lastPong = Date.now();
+                pinger = setInterval(() => {
+                    if (Date.now() - lastPong > pingInterval + pingTimeout) {
+                        logWarn(`⚠️ No pong from KuCoin in ${pingInterval + pingTimeout}ms - reconnecting`);
+                        socket.terminate();
+                        return;
+                    }
+                    send({ type: 'ping' });
+                }, pingInterval);
+            } else if (message.type === 'ack' && --pending === 0) {
+                subscribed = true;
+                log(`📡 Subscribed to ${markets.size} symbol(s) on ${new URL(endpoint).host}`);
+                context.events?.emit('subscribed', { symbols: [...markets.values()] });
+            } else if (message.type === 'pong') {
+                lastPong = Date.now();
+            } else if (message.type === 'message' && message.subject === 'trade.l3match') {
+                // The disk is falling behind: stop reading the socket until the files have flushed
+                if (context.onTrade(message.data) === false && !socket.isPaused) {
+                    socket.pause();
+                    context.drained().then(() => socket.resume());
+                }
+            } else if (message.type === 'error') {
+                logWarn(`⚠️ KuCoin WebSocket error ${message.code}: ${message.data}`);
+                socket.close();
+            }
+        });
+
+        socket.on('error', (error) => {
+            if (!context.signal.aborted) logWarn(`⚠️ WebSocket error: ${error.message}`);
+        });
+
+        socket.on('close', (code) => {
+            clearInterval(pinger);
+            context.signal.removeEventListener('abort', stop);
+            context.events?.emit('disconnected', { code, subscribed });
+            resolve(subscribed);
+        });
+    });
+}
+
+/**
+ * Capture live trades until `signal` aborts or `durationMs` passes
+ * Resolves with { startedAt, endedAt, connections, reconnects, files, symbols }, where symbols maps
+ * each symbol to { trades, duplicates, rejected }; `events` receives CAPTURE_EVENTS
+ * Rejects with the error when a capture file cannot be written
+ */
+export async function captureTrades(options) {
+    const {
+        symbols,
+        output = './output',
+        apiUrl = API_URL,
+        durationMs = 0,
+        signal,
+        events,
+        timeout = 30000,
+        reconnectBaseMs = 1000,
+        reconnectMaxMs = 30000
+    } = options;
+    const startedAt = new Date().toISOString();
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    if (signal?.aborted) stop();
+    signal?.addEventListener('abort', stop, { once: true });
+    const timer = durationMs > 0 ? setTimeout(stop, durationMs) : null;
+
+    // Socket name → the symbol files are named after
+    const markets = new Map(symbols.map(symbol => [marketSymbol(symbol), symbol.replace('-', '')]));
+    const stats = Object.fromEntries([...markets.values()].map(symbol => [symbol, { trades: 0, duplicates: 0, rejected: 0 }]));
+    const recent = new Map([...markets.values()].map(symbol => [symbol, new Set()]));
+    // A file that cannot be written ends the capture, which then rejects with the error
+    const files = new DailyFiles(output, stop);
+
+    const onTrade = (data) => {
+        const symbol = markets.get(data?.symbol);
+        if (!symbol) return;
+        let record;
+        try {
+            record = toTradeRecord(data);
+        } catch (error) {
+            stats[symbol].rejected++;
+            logWarn(`⚠️ Skipping ${symbol} match: ${error.message}`);
+            return;
+        }
+        const seen = recent.get(symbol);
+        if (seen.has(record.trade_id)) {
+            stats[symbol].duplicates++;
+            return;
+        }
+        seen.add(record.trade_id);
+        if (seen.size > RECENT_IDS) seen.delete(seen.values().next().value);
+        const flushed = files.write(symbol, record);
+        stats[symbol].trades++;
+        events?.emit('trade', { symbol, ...record });
+        return flushed;
+    };
+
+    const context = { apiUrl, timeout, signal: controller.signal, events, onTrade, drained: () => files.drain(), connections: 0 };
+    let reconnects = 0;
+    let failures = 0;
+    log(`🔴 Capturing live trades for ${[...markets.values()].join(', ')}${durationMs ? ` for ${durationMs / 1000}s` : ''}`);
+
+    try {
+        while (!controller.signal.aborted) {
+            let subscribed = false;
+            try {
+                subscribed = await connectOnce(markets, context);
+            } catch (error) {
+                if (!controller.signal.aborted) logWarn(`⚠️ Live connection failed: ${error.message}`);
+            }
+            if (controller.signal.aborted) break;
+
+            // A session that got going starts the backoff over
+            failures = subscribed ? 1 : failures + 1;
+            reconnects++;
+            const delay = backoffDelay(failures, { baseMs: reconnectBaseMs, maxMs: reconnectMaxMs });
+            log(`🔌 Disconnected - reconnecting in ${delay}ms`);
+            await sleep(delay, controller.signal).catch(() => {});
+        }
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', stop);
+        await files.close();
+    }
+
+    const total = Object.values(stats).reduce((sum, s) => sum + s.trades, 0);
+    log(`⏹️ Live capture stopped: ${total} trade(s) in ${files.written.size} file(s), ${reconnects} reconnect(s)`);
+    return {
+        startedAt,
+        endedAt: new Date().toISOString(),
+        connections: context.connections,
+        reconnects,
+        files: [...files.written].sort(),
+        symbols: stats
+    };
+}
+
+// Trade ids and times of a live CSV; a line cut short by a killed capture is counted, not fatal
+async function readLiveTrades(filePath) {
+    const trades = new Map();
+    let malformed = 0;
+    const lines = createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line === '' || line === TRADE_COLUMNS.join(',')) continue;
+        const [id, time, ...rest] = line.split(',');
+        if (rest.length !== 3 || !/^\d+$/.test(id) || !/^\d+$/.test(time)) {
+            malformed++;
+            continue;
+        }
+        trades.set(id, Number(time));
+    }
+    return { trades, malformed };
+}
+
+/**
+ * Compare a day's live capture with its official archive by trade id
+ * The capture usually covers only part of the day, so archive trades are `missing` only when they
+ * fall inside the captured window; those before or after it are counted as `outsideWindow`.
+ * `extra` are captured ids the archive does not have. Only the live ids are held in memory
+ */
+export async function reconcileDay(livePath, archivePath, { sampleLimit = 20 } = {}) {
+    const { trades: live, malformed } = await readLiveTrades(livePath);
+    let window = null;
+    for (const time of live.values()) {
+        window = window ? { from: Math.min(window.from, time), to: Math.max(window.to, time) } : { from: time, to: time };
+    }
+    const liveTrades = live.size;
+    const missingIds = [];
+    let archiveTrades = 0;
+    let matched = 0;
+    let missing = 0;
+    let outsideWindow = 0;
+
+    for await (const record of readTradeCsv(archivePath)) {
+        archiveTrades++;
+        if (live.delete(record.trade_id)) {
+            matched++;
+            continue;
+        }
+        const time = Number(record.trade_time);
+        if (window && time >= window.from && time <= window.to) {
+            missing++;
+            if (missingIds.length < sampleLimit) missingIds.push(record.trade_id);
+        } else {
+            outsideWindow++;
+        }
+    }
+
+    const extraIds = [...live.keys()];
+    return {
+        status: missing || extraIds.length ? 'mismatch' : 'match',
+        window,
+        liveTrades,
+        archiveTrades,
+        matched,
+        missing,
+        extra: extraIds.length,
+        outsideWindow,
+        malformedLines: malformed,
+        missingIds,
+        extraIds: extraIds.slice(0, sampleLimit)
+    };
+}
+
+// Reconcile report entries from an earlier run, keyed by CSV name
+export async function readReconcileReport(symbolDir) {
+    try {
+        const report = JSON.parse(await fs.readFile(path.join(symbolDir, RECONCILE_REPORT_FILE), 'utf8'));
+        return new Map(report.days.map(day => [day.file, day]));
+    } catch {
+        return new Map();
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * Checkpoints for runs that stop early
+ * A run cut short by its time budget, a signal or --run-timeout writes checkpoint.json with the
+ * symbols it resolved and the plans it finished; the next run of the same request skips those
+ * plans and starts on the rest, while each symbol's ledger skips the files already done
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { writeJsonAtomic } from './ledger.js';
+
+export const CHECKPOINT_FILE = 'checkpoint.json';
+const CHECKPOINT_VERSION = 1;
+
+// What a run was asked to do, before "all" and --shard were resolved; a checkpoint only resumes the same request
+export function checkpointRequest(options) {
+    return {
+        datasets: options.datasets.map(d => d.id),
+        symbols: options.symbols,
+        from: options.from,
+        to: options.to,
+        phases: options.phases,
+        shard: options.shard ? `${options.shard.index}/${options.shard.count}` : null
+    };
+}
+
+// "<dataset> <symbol>" for a plan or a summary
+export function planKey(plan) {
+    return `${plan.dataset.id ?? plan.dataset} ${plan.symbol}`;
+}
+
+// The checkpoint in `outputDir`, or null when there is none or it cannot be read
+export async function readCheckpoint(outputDir) {
+    try {
+        const checkpoint = JSON.parse(await fs.readFile(path.join(outputDir, CHECKPOINT_FILE), 'utf8'));
+        return checkpoint.version === CHECKPOINT_VERSION ? checkpoint : null;
+    } catch (error) {
+        if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+        return null;
+    }
+}
+
+// True when `checkpoint` was written by a run of the same request
+export function resumes(checkpoint, request) {
+    return !!checkpoint && isDeepStrictEqual(checkpoint.request, request);
+}
+
+/**
+ * Record where a run stopped: `completed` and `pending` list { dataset, symbol } plans, and
+ * `symbols` / `shard` keep the resolved universe so the next run does not list the bucket again
+ */
+export async function writeCheckpoint(outputDir, { request, reason, symbols, shard, completed, pending }) {
+    const filePath = path.join(outputDir, CHECKPOINT_FILE);
+    await fs.mkdir(outputDir, { recursive: true });
+    await writeJsonAtomic(filePath, {
+        version: CHECKPOINT_VERSION,
+        stoppedAt: new Date().toISOString(),
+        reason,
+        request,
+        symbols,
+        shard,
+        completed,
+        pending
+    });
+    return filePath;
+}
+
+// Forget the checkpoint once a run has finished everything it was asked for
+export async function clearCheckpoint(outputDir) {
+    await fs.rm(path.join(outputDir, CHECKPOINT_FILE), { force: true });
+}
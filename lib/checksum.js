@@ -0,0 +1,96 @@
+/**
+ * Checksum file parsing and streaming verification
+ * Accepts `hash  filename` (coreutils) and `SHA256 (file) = hash` (BSD) formats and
+ * picks MD5, SHA-1 or SHA-256 from the tag or the digest length
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+// Hex digest length → algorithm
+export const DIGEST_ALGORITHMS = { 32: 'md5', 40: 'sha1', 64: 'sha256' };
+
+const BSD_TAGS = { MD5: 'md5', SHA1: 'sha1', SHA256: 'sha256' };
+const BSD_LINE = /^(MD5|SHA-?1|SHA-?256)\s*\((.+)\)\s*=\s*([0-9a-fA-F]+)$/i;
+const GNU_LINE = /^\\?([0-9a-fA-F]+)(?:\s+[ *]?(.+))?$/;
+
+// Parse one checksum line into { algorithm, digest, filename }, or null if it is not one
+function parseLine(line) {
+    const bsd = BSD_LINE.exec(line);
+    if (bsd) {
+        const algorithm = BSD_TAGS[bsd[1].toUpperCase().replace('-', '')];
+        const digest = bsd[3].toLowerCase();
+        return DIGEST_ALGORITHMS[digest.length] === algorithm ? { algorithm, digest, filename: bsd[2] } : null;
+    }
+
+    const gnu = GNU_LINE.exec(line);
+    if (gnu) {
+        const digest = gnu[1].toLowerCase();
+        const algorithm = DIGEST_ALGORITHMS[digest.length];
+        return algorithm ? { algorithm, digest, filename: gnu[2]?.trim() || null } : null;
+    }
+
+    return null;
+}
+
+// Find the digest for `filename` in a checksum file's contents
+export function parseChecksum(content, filename) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) {
+        return { status: 'checksum_empty', error: 'checksum file is empty' };
+    }
+
+    const entries = lines.map(parseLine);
+    if (entries.some(entry => entry === null)) {
+        return { status: 'checksum_invalid', error: `unrecognised checksum line: ${lines[entries.indexOf(null)].slice(0, 80)}` };
+    }
+
+    // A bare digest applies to whatever file it sits next to
+    const match = entries.find(entry => entry.filename === filename)
+        || (entries.length === 1 && entries[0].filename === null ? entries[0] : null);
+    if (!match) {
+        const named = entries.map(entry => entry.filename).filter(Boolean).join(', ');
+        return { status: 'checksum_wrong_file', error: `checksum is for ${named || 'another file'}, not ${filename}` };
+    }
+
+    return { status: 'ok', algorithm: match.algorithm, digest: match.digest };
+}
+
+// Hash a file without holding it in memory
+export async function hashFile(filePath, algorithm) {
+    const hash = crypto.createHash(algorithm);
+    await pipeline(createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+// Check a file against its checksum file; `filename` is the name the checksum should mention
+export async function verifyChecksum(filePath, checksumPath, filename) {
+    let content;
+    try {
+        content = await fs.readFile(checksumPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return { status: 'no_checksum', valid: false };
+        return { status: 'error', valid: false, error: error.message };
+    }
+
+    const parsed = parseChecksum(content, filename);
+    if (parsed.status !== 'ok') {
+        return { status: parsed.status, valid: false, error: parsed.error };
+    }
+
+    try {
+        const actual = await hashFile(filePath, parsed.algorithm);
+        const valid = actual === parsed.digest;
+        return {
+            status: valid ? 'verified' : 'checksum_failed',
+            valid,
+            algorithm: parsed.algorithm,
+            expected: parsed.digest,
+            actual
+        };
+    } catch (error) {
+        return { status: 'error', valid: false, algorithm: parsed.algorithm, error: error.message };
+    }
+}
@@ -0,0 +1,448 @@
+/**
+ * Command-line parsing for the KuCoin workers
+ * Turns --datasets / --symbols / --from / --to into per-symbol download plans
+ */
+
+import { parseArgs } from 'util';
+import path from 'path';
+import { COMPRESSION_CODECS, DECIMAL_SCALE } from './parquet.js';
+import { BUCKET_URL } from './discovery.js';
+import { parseDataset, datasetDir, symbolPrefix, archiveName, listPeriods, listDays, DEFAULT_DATASET } from './datasets.js';
+import { parseByteSize } from './scheduler.js';
+import { QUALITY_POLICIES } from './quality.js';
+import { CANDLE_INTERVALS, DEFAULT_CANDLE_INTERVALS } from './candles.js';
+import { LOG_FORMATS, LOG_LEVELS } from './log.js';
+import { parseShard, SHARD_STRATEGIES, DEFAULT_SHARD_STRATEGY } from './shards.js';
+import { LAYOUTS, DEFAULT_LAYOUT } from './hive.js';
+import { parseSinkLayout, DEFAULT_SINK_LAYOUT } from './sinks.js';
+import { RETENTION_POLICIES, DEFAULT_RETENTION } from './disk.js';
+import { SETTINGS, ConfigError, readConfigFile, findConfigFile, CONFIG_FILE, CONFIG_ENV } from './config.js';
+
+// Phases each PIPELINE_MODE runs, in order
+export const PIPELINE_MODES = {
+    full: ['download', 'unpack', 'validate', 'parquet', 'candles'],
+    download_only: ['download'],
+    verify_only: ['verify'],
+    unpack_only: ['unpack'],
+    validate_only: ['validate'],
+    parquet_only: ['validate', 'parquet'],
+    candles_only: ['validate', 'candles']
+};
+
+export { listDays };
+
+export const DEFAULTS = {
+    datasets: [DEFAULT_DATASET],
+    symbols: ['BTCUSDT'],
+    from: '2025-01-01',
+    to: '2025-01-03',
+    output: './output'
+};
+
+const OPTIONS = {
+    datasets: { type: 'string', short: 'd' },
+    symbols: { type: 'string', short: 's' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    'base-url': { type: 'string' },
+    mode: { type: 'string', short: 'm' },
+    'row-group-size': { type: 'string' },
+    compression: { type: 'string' },
+    layout: { type: 'string' },
+    intervals: { type: 'string' },
+    concurrency: { type: 'string', short: 'c' },
+    'symbol-concurrency': { type: 'string' },
+    'max-retries': { type: 'string' },
+    'request-timeout': { type: 'string' },
+    'run-timeout': { type: 'string' },
+    'time-budget': { type: 'string' },
+    'max-bytes-per-sec': { type: 'string' },
+    'quality-policy': { type: 'string' },
+    'max-gap': { type: 'string' },
+    'max-jump-pct': { type: 'string' },
+    retention: { type: 'string' },
+    'price-scale': { type: 'string' },
+    'size-scale': { type: 'string' },
+    'log-format': { type: 'string' },
+    'log-level': { type: 'string' },
+    'metrics-file': { type: 'string' },
+    shard: { type: 'string' },
+    'shard-by': { type: 'string' },
+    'shard-weights': { type: 'string' },
+    sink: { type: 'string' },
+    'sink-layout': { type: 'string' },
+    'sink-endpoint': { type: 'string' },
+    config: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Thrown for bad arguments; the caller prints usage and exits non-zero
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+export function usage(command = 'enhanced_worker.js') {
+    return `Usage: node ${command} [options]
+
+Options:
+  -d, --datasets <list>      Comma-separated market/period/type[/interval] datasets, e.g.
+                             spot/daily/trades, futures/monthly/klines/1h
+                             (default: ${DEFAULTS.datasets.join(',')})
+  -s, --symbols <list>       Comma-separated symbols, or "all" for every symbol in the bucket
+                             (default: ${DEFAULTS.symbols.join(',')})
+      --from <YYYY-MM-DD>    First UTC day to fetch (default: ${DEFAULTS.from})
+      --to <YYYY-MM-DD>      Last UTC day to fetch, inclusive (default: ${DEFAULTS.to})
+  -o, --output <dir>         Output directory (default: ${DEFAULTS.output})
+      --base-url <url>       Bucket to read from (default: $KUCOIN_BASE_URL, else ${BUCKET_URL})
+  -m, --mode <mode>          ${Object.keys(PIPELINE_MODES).join(' | ')}
+                             (default: $PIPELINE_MODE, else full); parquet_only and candles_only
+                             validate the CSVs first so the quality policy still applies
+      --row-group-size <n>   Parquet rows per row group
+      --compression <codec>  Parquet compression codec
+      --layout <layout>      ${LAYOUTS.join(' | ')}: per-symbol monthly files, or Hive partitions
+                             under <output>/hive/ compacted as months complete (default: ${DEFAULT_LAYOUT})
+      --intervals <list>     Candle intervals, from ${Object.keys(CANDLE_INTERVALS).join(',')}
+                             (default: ${DEFAULT_CANDLE_INTERVALS.join(',')})
+  -c, --concurrency <n>      Downloads in flight across all symbols
+      --symbol-concurrency <n>
+                             Symbols processed at the same time
+      --max-retries <n>      Attempts per file for timeouts, 429, 5xx and bad checksums
+      --request-timeout <s>  Seconds a request may stall before it is retried
+      --run-timeout <s>      Seconds before the whole run stops starting work
+      --time-budget <s>      Seconds the run may take: files that would not fit are left for
+                             the next run, which continues from <output>/checkpoint.json
+      --max-bytes-per-sec <n>
+                             Global download cap, e.g. 500k or 8M
+      --quality-policy <p>   What to do with days that fail validation:
+                             ${QUALITY_POLICIES.join(' | ')} (default: warn)
+      --max-gap <s>          Seconds between trades reported as a gap
+      --max-jump-pct <n>     Trade-to-trade price change reported as a jump
+      --retention <r>        What to delete once a complete month's Parquet is verified:
+                             ${RETENTION_POLICIES.join(' | ')} (default: ${DEFAULT_RETENTION})
+      --price-scale <n>      Decimal places prices may use, 0-${DECIMAL_SCALE}; a price needing more
+                             fails its month (default: taken from the data)
+      --size-scale <n>       The same for trade sizes and volumes
+      --log-format <f>       ${LOG_FORMATS.join(' | ')} (default: $LOG_FORMAT, else pretty)
+      --log-level <l>        ${LOG_LEVELS.join(' | ')} (default: $LOG_LEVEL, else info)
+      --metrics-file <path>  Prometheus metrics for the run (default: <output>/metrics.prom)
+      --shard <i/N>          Only process the i-th of N deterministic shards of the symbols
+      --shard-by <s>         ${SHARD_STRATEGIES.join(' | ')} (default: ${DEFAULT_SHARD_STRATEGY})
+      --shard-weights <file> Symbol sizes for --shard-by size: a merged coverage.json
+                             or a { "SYMBOL": bytes } map
+      --sink <url>           Also store archives, Parquet and summaries in a directory,
+                             file:// or s3://bucket/prefix (default: $PIPELINE_SINK)
+      --sink-layout <tmpl>   Object keys from {dataset} {symbol} {kind} {file} {year} {month}
+                             (default: ${DEFAULT_SINK_LAYOUT})
+      --sink-endpoint <url>  S3-compatible endpoint, e.g. http://localhost:9000 (default:
+                             $KUCOIN_SINK_ENDPOINT, $S3_ENDPOINT, $AWS_ENDPOINT_URL, else AWS)
+      --config <file>        Settings file (default: $${CONFIG_ENV}, else ./${CONFIG_FILE} if present);
+                             KUCOIN_* variables override it and flags override both
+  -h, --help                 Show this help
+
+Example:
+  node ${command} --symbols BTCUSDT,ETHUSDT --from 2024-06-01 --to 2025-01-31 --output ./data
+
+Exit codes: 0 success, 1 pipeline error, 2 invalid arguments`;
+}
+
+// Parse a YYYY-MM-DD string into a UTC Date, rejecting impossible days
+function parseDay(value, source) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    if (!date || date.toISOString().slice(0, 10) !== value) {
+        throw new UsageError(`${source} must be a valid YYYY-MM-DD date, got "${value}"`);
+    }
+    return value;
+}
+
+function parseSymbols(value, source) {
+    if (value.trim().toLowerCase() === 'all') {
+        return 'all';
+    }
+    const symbols = value.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    if (symbols.length === 0) {
+        throw new UsageError(`${source} needs at least one symbol`);
+    }
+    for (const symbol of symbols) {
+        if (!/^[A-Z0-9]{2,30}$/.test(symbol)) {
+            throw new UsageError(`invalid symbol "${symbol}" in ${source} (expected letters and digits, e.g. BTCUSDT)`);
+        }
+    }
+    return [...new Set(symbols)];
+}
+
+function parseOutput(value, source) {
+    if (!value.trim()) {
+        throw new UsageError(`${source} must not be empty`);
+    }
+    return value;
+}
+
+function parseBaseUrl(value, source) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        throw new UsageError(`${source} must be an http(s) URL, got "${value}"`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new UsageError(`${source} must be an http(s) URL, got "${value}"`);
+    }
+    return url.toString().replace(/\/?$/, '/');
+}
+
+function parseDatasets(value, source) {
+    const ids = [...new Set(value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean))];
+    if (ids.length === 0) {
+        throw new UsageError(`${source} needs at least one dataset`);
+    }
+    return ids.map(id => {
+        try {
+            return parseDataset(id);
+        } catch (error) {
+            throw new UsageError(`${source}: ${error.message}`);
+        }
+    });
+}
+
+function parsePositiveInt(value, source) {
+    if (!/^\d+$/.test(value) || Number(value) <= 0) {
+        throw new UsageError(`${source} must be a positive integer, got "${value}"`);
+    }
+    return Number(value);
+}
+
+function parseMode(value, source) {
+    if (!(value in PIPELINE_MODES)) {
+        throw new UsageError(`${source} must be one of ${Object.keys(PIPELINE_MODES).join(', ')}, got "${value}"`);
+    }
+    return value;
+}
+
+function parseRate(value, source) {
+    const bytes = parseByteSize(value);
+    if (!bytes) {
+        throw new UsageError(`${source} must be a positive size such as 500k or 8M, got "${value}"`);
+    }
+    return bytes;
+}
+
+function parseIntervals(value, source) {
+    const intervals = value.split(',').map(s => s.trim()).filter(Boolean);
+    if (intervals.length === 0) {
+        throw new UsageError(`${source} needs at least one interval`);
+    }
+    for (const interval of intervals) {
+        if (!(interval in CANDLE_INTERVALS)) {
+            throw new UsageError(`${source} must be from ${Object.keys(CANDLE_INTERVALS).join(', ')}, got "${interval}"`);
+        }
+    }
+    return [...new Set(intervals)];
+}
+
+function parsePositiveNumber(value, source) {
+    if (!/^\d+(\.\d+)?$/.test(value) || Number(value) <= 0) {
+        throw new UsageError(`${source} must be a positive number, got "${value}"`);
+    }
+    return Number(value);
+}
+
+function parseChoice(value, source, choices) {
+    if (!choices.includes(value)) {
+        throw new UsageError(`${source} must be one of ${choices.join(', ')}, got "${value}"`);
+    }
+    return value;
+}
+
+function parseShardOption(value, source) {
+    try {
+        return parseShard(value);
+    } catch (error) {
+        throw new UsageError(`${source}: ${error.message}`);
+    }
+}
+
+function parseSink(value, source) {
+    if (!value.trim()) {
+        throw new UsageError(`${source} must not be empty`);
+    }
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value) && !/^(s3|file):\/\//.test(value)) {
+        throw new UsageError(`${source} must be a directory, file:// or s3:// URL, got "${value}"`);
+    }
+    if (/^s3:\/\/(\/|$)/.test(value)) {
+        throw new UsageError(`${source} needs a bucket, e.g. s3://my-bucket/kucoin`);
+    }
+    return value;
+}
+
+function parseSinkLayoutOption(value, source) {
+    try {
+        return parseSinkLayout(value);
+    } catch (error) {
+        throw new UsageError(`${source}: ${error.message}`);
+    }
+}
+
+// Fractional digits a decimal column may use; Parquet stores DECIMAL_SCALE, so no more than that
+function parseScale(value, source) {
+    if (!/^\d+$/.test(value) || Number(value) > DECIMAL_SCALE) {
+        throw new UsageError(`${source} must be an integer from 0 to ${DECIMAL_SCALE}, got "${value}"`);
+    }
+    return Number(value);
+}
+
+function parseCompression(value, source) {
+    const codec = value.toUpperCase();
+    if (!COMPRESSION_CODECS.includes(codec)) {
+        throw new UsageError(`${source} must be one of ${COMPRESSION_CODECS.join(', ')}, got "${value}"`);
+    }
+    return codec;
+}
+
+// How each setting's text (from a flag, an environment variable or the config file) becomes a value
+const PARSERS = {
+    datasets: parseDatasets,
+    symbols: parseSymbols,
+    from: parseDay,
+    to: parseDay,
+    output: parseOutput,
+    bucketUrl: parseBaseUrl,
+    mode: parseMode,
+    rowGroupSize: parsePositiveInt,
+    compression: parseCompression,
+    layout: (value, source) => parseChoice(value, source, LAYOUTS),
+    intervals: parseIntervals,
+    concurrency: parsePositiveInt,
+    symbolConcurrency: parsePositiveInt,
+    maxRetries: parsePositiveInt,
+    requestTimeout: parsePositiveInt,
+    runTimeout: parsePositiveInt,
+    timeBudget: parsePositiveInt,
+    maxBytesPerSec: parseRate,
+    qualityPolicy: (value, source) => parseChoice(value, source, QUALITY_POLICIES),
+    maxGap: parsePositiveInt,
+    maxJumpPct: parsePositiveNumber,
+    retention: (value, source) => parseChoice(value, source, RETENTION_POLICIES),
+    priceScale: parseScale,
+    sizeScale: parseScale,
+    logFormat: (value, source) => parseChoice(value, source, LOG_FORMATS),
+    logLevel: (value, source) => parseChoice(value, source, LOG_LEVELS),
+    metricsFile: parseOutput,
+    shard: parseShardOption,
+    shardBy: (value, source) => parseChoice(value, source, SHARD_STRATEGIES),
+    shardWeights: parseOutput,
+    sink: parseSink,
+    sinkLayout: parseSinkLayoutOption,
+    sinkEndpoint: parseBaseUrl
+};
+
+// Defaults for settings the pipeline needs spelled out; the rest fall back to DEFAULT_CONFIG
+const SETTING_DEFAULTS = {
+    datasets: DEFAULTS.datasets.join(','),
+    symbols: DEFAULTS.symbols.join(','),
+    from: DEFAULTS.from,
+    to: DEFAULTS.to,
+    output: DEFAULTS.output,
+    bucketUrl: BUCKET_URL,
+    mode: 'full',
+    logFormat: 'pretty',
+    logLevel: 'info'
+};
+
+// Parse a config file's symbolOverrides or datasetOverrides
+function parseOverrides(overrides, file, key, parseTarget) {
+    return Object.fromEntries(Object.entries(overrides).map(([target, settings]) => {
+        const where = `${file.name}: ${key}.${target}`;
+        return [parseTarget(target, where), Object.fromEntries(Object.entries(settings).map(([name, text]) => [name, PARSERS[name](text, `${where}.${name}`)]))];
+    }));
+}
+
+// Expand the parsed options into one download plan per dataset and symbol
+export function buildPlans(options) {
+    if (!Array.isArray(options.symbols)) {
+        throw new Error('symbols must be a list; runPipeline expands "all" before planning');
+    }
+    const datasets = options.datasets || DEFAULTS.datasets.map(parseDataset);
+    return datasets.flatMap(dataset => {
+        const periods = listPeriods(dataset, options.from, options.to);
+        return options.symbols.map(symbol => ({
+            dataset,
+            symbol,
+            baseUrl: (options.bucketUrl || BUCKET_URL) + symbolPrefix(dataset, symbol),
+            dir: path.join(datasetDir(dataset), symbol),
+            periods,
+            files: periods.map(period => archiveName(dataset, symbol, period))
+        }));
+    });
+}
+
+/**
+ * Parse flags on top of the environment and the config file (--config, $KUCOIN_CONFIG or
+ * ./kucoin.config.json); each setting comes from the first of those that sets it
+ * `configSource` records the file and variables used, for the run summary
+ */
+export function parseCli(argv, env = process.env) {
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true, allowPositionals: false }));
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    let file = null;
+    const configPath = findConfigFile(values.config, env);
+    if (configPath) {
+        try {
+            file = readConfigFile(configPath);
+        } catch (error) {
+            if (!(error instanceof ConfigError)) throw error;
+            throw new UsageError(error.message);
+        }
+    }
+
+    const envUsed = [];
+    const setting = (key) => {
+        const { flag, env: name } = SETTINGS[key];
+        if (values[flag] !== undefined) {
+            return PARSERS[key](values[flag], `--${flag}`);
+        }
+        if (env[name]) {
+            envUsed.push(name);
+            return PARSERS[key](env[name], name);
+        }
+        if (file && key in file.settings) {
+            return PARSERS[key](file.settings[key], `${file.name}: ${key}`);
+        }
+        return key in SETTING_DEFAULTS ? PARSERS[key](SETTING_DEFAULTS[key], key) : undefined;
+    };
+    const options = Object.fromEntries(Object.keys(SETTINGS).map(key => [key, setting(key)]));
+
+    if (options.from > options.to) {
+        throw new UsageError(`--from (${options.from}) must not be after --to (${options.to})`);
+    }
+    if (!options.shard && (options.shardBy !== undefined || options.shardWeights !== undefined)) {
+        throw new UsageError('--shard-by and --shard-weights need --shard');
+    }
+    if (!options.sink && (options.sinkLayout !== undefined || options.sinkEndpoint !== undefined)) {
+        throw new UsageError('--sink-layout and --sink-endpoint need --sink');
+    }
+
+    return {
+        help: false,
+        ...options,
+        symbolOverrides: file ? parseOverrides(file.symbolOverrides, file, 'symbolOverrides', (symbol, where) => {
+            const [parsed] = parseSymbols(symbol, where);
+            return parsed;
+        }) : {},
+        datasetOverrides: file ? parseOverrides(file.datasetOverrides, file, 'datasetOverrides', (id, where) => parseDatasets(id, where)[0].id) : {},
+        configSource: { file: configPath ? path.resolve(configPath) : null, env: envUsed }
+    };
+}
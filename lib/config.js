@@ -0,0 +1,170 @@
+/**
+ * Configuration file and environment settings for the KuCoin workers
+ * kucoin.config.json holds the same settings as the command line (in the same units), plus
+ * per-symbol and per-dataset overrides; KUCOIN_* variables override the file and flags override both
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const CONFIG_FILE = 'kucoin.config.json';
+export const CONFIG_ENV = 'KUCOIN_CONFIG';
+
+/**
+ * Every setting: its JSON type in the file, the flag and environment variable that set it, and
+ * whether symbolOverrides / datasetOverrides may change it for one symbol or dataset
+ * Types: string, integer, number, list (an array of strings, or one comma-separated string),
+ * size (bytes as a number, or a string such as 8M)
+ */
+export const SETTINGS = {
+    datasets: { type: 'list', flag: 'datasets', env: 'KUCOIN_DATASETS' },
+    symbols: { type: 'list', flag: 'symbols', env: 'KUCOIN_SYMBOLS' },
+    from: { type: 'string', flag: 'from', env: 'KUCOIN_FROM' },
+    to: { type: 'string', flag: 'to', env: 'KUCOIN_TO' },
+    output: { type: 'string', flag: 'output', env: 'KUCOIN_OUTPUT_DIR' },
+    bucketUrl: { type: 'string', flag: 'base-url', env: 'KUCOIN_BASE_URL' },
+    mode: { type: 'string', flag: 'mode', env: 'PIPELINE_MODE' },
+    rowGroupSize: { type: 'integer', flag: 'row-group-size', env: 'KUCOIN_ROW_GROUP_SIZE', override: true },
+    compression: { type: 'string', flag: 'compression', env: 'KUCOIN_COMPRESSION', override: true },
+    layout: { type: 'string', flag: 'layout', env: 'KUCOIN_LAYOUT' },
+    intervals: { type: 'list', flag: 'intervals', env: 'KUCOIN_INTERVALS', override: true },
+    concurrency: { type: 'integer', flag: 'concurrency', env: 'KUCOIN_CONCURRENCY' },
+    symbolConcurrency: { type: 'integer', flag: 'symbol-concurrency', env: 'KUCOIN_SYMBOL_CONCURRENCY' },
+    maxRetries: { type: 'integer', flag: 'max-retries', env: 'KUCOIN_MAX_RETRIES', override: true },
+    requestTimeout: { type: 'integer', flag: 'request-timeout', env: 'KUCOIN_REQUEST_TIMEOUT', override: true },
+    runTimeout: { type: 'integer', flag: 'run-timeout', env: 'KUCOIN_RUN_TIMEOUT' },
+    timeBudget: { type: 'integer', flag: 'time-budget', env: 'KUCOIN_TIME_BUDGET' },
+    maxBytesPerSec: { type: 'size', flag: 'max-bytes-per-sec', env: 'KUCOIN_MAX_BYTES_PER_SEC' },
+    qualityPolicy: { type: 'string', flag: 'quality-policy', env: 'KUCOIN_QUALITY_POLICY', override: true },
+    maxGap: { type: 'integer', flag: 'max-gap', env: 'KUCOIN_MAX_GAP', override: true },
+    maxJumpPct: { type: 'number', flag: 'max-jump-pct', env: 'KUCOIN_MAX_JUMP_PCT', override: true },
+    retention: { type: 'string', flag: 'retention', env: 'KUCOIN_RETENTION', override: true },
+    priceScale: { type: 'integer', flag: 'price-scale', env: 'KUCOIN_PRICE_SCALE', override: true },
+    sizeScale: { type: 'integer', flag: 'size-scale', env: 'KUCOIN_SIZE_SCALE', override: true },
+    logFormat: { type: 'string', flag: 'log-format', env: 'LOG_FORMAT' },
+    logLevel: { type: 'string', flag: 'log-level', env: 'LOG_LEVEL' },
+    metricsFile: { type: 'string', flag: 'metrics-file', env: 'KUCOIN_METRICS_FILE' },
+    shard: { type: 'string', flag: 'shard', env: 'KUCOIN_SHARD' },
+    shardBy: { type: 'string', flag: 'shard-by', env: 'KUCOIN_SHARD_BY' },
+    shardWeights: { type: 'string', flag: 'shard-weights', env: 'KUCOIN_SHARD_WEIGHTS' },
+    sink: { type: 'string', flag: 'sink', env: 'PIPELINE_SINK' },
+    sinkLayout: { type: 'string', flag: 'sink-layout', env: 'KUCOIN_SINK_LAYOUT' },
+    sinkEndpoint: { type: 'string', flag: 'sink-endpoint', env: 'KUCOIN_SINK_ENDPOINT' }
+};
+
+export const OVERRIDABLE_SETTINGS = Object.keys(SETTINGS).filter(key => SETTINGS[key].override);
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    list: 'an array of strings or a comma-separated string',
+    size: 'a byte count or a size such as "8M"'
+};
+
+// Thrown for a config file that cannot be read or does not match SETTINGS
+export class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+// Closest known name within two edits, for "did you mean" hints
+function suggest(name, known) {
+    const distance = (a, b) => {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = row[j];
+                row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+                diagonal = above;
+            }
+        }
+        return row[b.length];
+    };
+    const [best] = known.map(k => [k, distance(name, k)]).filter(([, d]) => d <= 2).sort((a, b) => a[1] - b[1]);
+    return best ? ` (did you mean "${best[0]}"?)` : '';
+}
+
+// Check one value against its JSON type and turn it into the string a flag would carry
+function settingText(value, type, where) {
+    const ok = {
+        string: typeof value === 'string',
+        integer: Number.isInteger(value),
+        number: typeof value === 'number' && Number.isFinite(value),
+        list: typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string')),
+        size: typeof value === 'string' || Number.isInteger(value)
+    }[type];
+    if (!ok) {
+        throw new ConfigError(`${where} must be ${TYPE_NAMES[type]}, got ${JSON.stringify(value)}`);
+    }
+    return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+// Settings in one object, as strings keyed by setting name; `allowed` limits which names may appear
+function readSettings(object, where, allowed) {
+    if (object === null || typeof object !== 'object' || Array.isArray(object)) {
+        throw new ConfigError(`${where} must be an object`);
+    }
+    const settings = {};
+    for (const [key, value] of Object.entries(object)) {
+        if (!allowed.includes(key)) {
+            const hint = suggest(key, allowed);
+            const only = !hint && SETTINGS[key] ? ` (only ${allowed.join(', ')} can be overridden)` : '';
+            throw new ConfigError(`${where}: unknown setting "${key}"${hint}${only}`);
+        }
+        settings[key] = settingText(value, SETTINGS[key].type, `${where}: ${key}`);
+    }
+    return settings;
+}
+
+/**
+ * Read and check a config file
+ * Returns { path, name, settings, symbolOverrides, datasetOverrides } with every value as the
+ * string its flag would take, so the command-line parsers check what the values mean
+ */
+export function readConfigFile(filePath) {
+    const name = path.basename(filePath);
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(error.code === 'ENOENT'
+            ? `config file ${filePath} does not exist`
+            : `${name} is not valid JSON: ${error.message}`);
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ConfigError(`${name} must hold a JSON object`);
+    }
+
+    const { symbolOverrides = {}, datasetOverrides = {}, ...rest } = data;
+    // An editor's "$schema" pointer is allowed and ignored
+    delete rest.$schema;
+    const overrides = (object, key) => {
+        const where = `${name}: ${key}`;
+        if (object === null || typeof object !== 'object' || Array.isArray(object)) {
+            throw new ConfigError(`${where} must be an object keyed by ${key === 'symbolOverrides' ? 'symbol' : 'dataset id'}`);
+        }
+        return Object.fromEntries(Object.entries(object).map(([target, settings]) =>
+            [target, readSettings(settings, `${where}.${target}`, OVERRIDABLE_SETTINGS)]));
+    };
+
+    return {
+        path: filePath,
+        name,
+        settings: readSettings(rest, name, Object.keys(SETTINGS)),
+        symbolOverrides: overrides(symbolOverrides, 'symbolOverrides'),
+        datasetOverrides: overrides(datasetOverrides, 'datasetOverrides')
+    };
+}
+
+// The config file to use: --config, then $KUCOIN_CONFIG, then ./kucoin.config.json when it exists
+export function findConfigFile(flagValue, env = process.env, cwd = process.cwd()) {
+    if (flagValue !== undefined) return flagValue;
+    if (env[CONFIG_ENV]) return env[CONFIG_ENV];
+    const local = path.join(cwd, CONFIG_FILE);
+    return fs.existsSync(local) ? local : null;
+}
@@ -0,0 +1,471 @@
+/**
+ * Coverage calendar: which days of each symbol we actually hold
+ * Scans the pipeline output (archives, extracted CSVs, monthly Parquet, Hive partitions and
+ * quarantined days) with each symbol's ledger and last summary, compares it with the bucket
+ * listing and writes a per-symbol calendar as JSON and a static HTML page, plus an optional
+ * list of worker commands that re-fetch the gaps
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { log, logWarn } from './log.js';
+import { UsageError } from './cli.js';
+import { parseDataset, datasetDir, archivePeriod, listPeriods, DEFAULT_DATASET } from './datasets.js';
+import { discoverSymbolFiles, BUCKET_URL } from './discovery.js';
+import { Ledger, LEDGER_FILE } from './ledger.js';
+import { QUARANTINE_DIR } from './quality.js';
+import { SUMMARY_FILE } from './merge.js';
+
+/**
+ * What a calendar says about one day (or month, for monthly datasets):
+ *   verified          held on disk in some form, from an archive the ledger verified
+ *   present           held on disk, but no ledger entry vouches for it
+ *   failed            the last attempt failed (download, checksum, verify) or the day was quarantined
+ *   not_fetched       the bucket has it and we do not
+ *   missing_upstream  the bucket does not have it either
+ *   unknown           not held, and --offline skipped the listing
+ */
+export const COVERAGE_STATUSES = ['verified', 'present', 'failed', 'not_fetched', 'missing_upstream', 'unknown'];
+export const CALENDAR_JSON_FILE = 'coverage_calendar.json';
+export const CALENDAR_HTML_FILE = 'coverage_calendar.html';
+
+// Gaps a re-run of the worker can fill
+const REFETCH_STATUSES = ['failed', 'not_fetched'];
+
+const STATUS_COLORS = {
+    verified: '#2e7d32',
+    present: '#81c784',
+    failed: '#c62828',
+    not_fetched: '#f9a825',
+    missing_upstream: '#9e9e9e',
+    unknown: '#e0e0e0'
+};
+
+const OPTIONS = {
+    symbols: { type: 'string', short: 's' },
+    datasets: { type: 'string', short: 'd' },
+    data: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    'base-url': { type: 'string' },
+    'request-timeout': { type: 'string' },
+    offline: { type: 'boolean' },
+    json: { type: 'string' },
+    html: { type: 'string' },
+    refetch: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+export function coverageUsage(command = 'coverage.js') {
+    return `Usage: node ${command} [options]
+
+Options:
+  -s, --symbols <list>      Comma-separated symbols (default: every symbol directory under --data)
+  -d, --datasets <list>     Comma-separated datasets (default: ${DEFAULT_DATASET})
+      --data <dir>          Pipeline output directory to scan (default: ./output)
+      --from <YYYY-MM-DD>   First day of the calendar (default: the first day held or listed)
+      --to <YYYY-MM-DD>     Last day of the calendar (default: the last day held or listed)
+      --base-url <url>      Bucket to compare with (default: $KUCOIN_BASE_URL, else ${BUCKET_URL})
+      --request-timeout <s> Seconds a listing request may stall (default: 30)
+      --offline             Skip the listing; days we do not hold are "unknown"
+      --json <file>         Calendar as JSON (default: <data>/${CALENDAR_JSON_FILE})
+      --html <file>         Calendar as a static HTML page (default: <data>/${CALENDAR_HTML_FILE})
+      --refetch <file>      Also write one enhanced_worker.js command per run of failed or
+                            not-fetched days, or - for stdout
+  -h, --help                Show this help
+
+Statuses: ${COVERAGE_STATUSES.join(', ')}
+
+Exit codes: 0 success, 1 the scan failed, 2 invalid arguments`;
+}
+
+function parseSymbolList(value) {
+    const symbols = value.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    if (symbols.length === 0) {
+        throw new UsageError('--symbols needs at least one symbol');
+    }
+    for (const symbol of symbols) {
+        if (!/^[A-Z0-9]{2,30}$/.test(symbol)) {
+            throw new UsageError(`invalid symbol "${symbol}" (expected letters and digits, e.g. BTCUSDT)`);
+        }
+    }
+    return [...new Set(symbols)];
+}
+
+function parseDay(value, flag) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+    if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+        throw new UsageError(`--${flag} must be a valid YYYY-MM-DD date, got "${value}"`);
+    }
+    return value;
+}
+
+export function parseCoverageCli(argv, env = process.env) {
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true, allowPositionals: false }));
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    const datasets = [...new Set((values.datasets ?? DEFAULT_DATASET).split(',').map(s => s.trim().toLowerCase()).filter(Boolean))].map(id => {
+        try {
+            return parseDataset(id);
+        } catch (error) {
+            throw new UsageError(`--datasets: ${error.message}`);
+        }
+    });
+    if (datasets.length === 0) {
+        throw new UsageError('--datasets needs at least one dataset');
+    }
+
+    const from = values.from !== undefined ? parseDay(values.from, 'from') : null;
+    const to = values.to !== undefined ? parseDay(values.to, 'to') : null;
+    if (from && to && from > to) {
+        throw new UsageError(`--from (${from}) must not be after --to (${to})`);
+    }
+
+    const bucketUrl = values['base-url'] ?? env.KUCOIN_BASE_URL ?? BUCKET_URL;
+    if (!/^https?:\/\//.test(bucketUrl)) {
+        throw new UsageError(`--base-url must be an http(s) URL, got "${bucketUrl}"`);
+    }
+
+    let timeout = 30000;
+    if (values['request-timeout'] !== undefined) {
+        if (!/^\d+$/.test(values['request-timeout']) || Number(values['request-timeout']) <= 0) {
+            throw new UsageError(`--request-timeout must be a positive integer, got "${values['request-timeout']}"`);
+        }
+        timeout = Number(values['request-timeout']) * 1000;
+    }
+
+    return {
+        help: false,
+        symbols: values.symbols !== undefined ? parseSymbolList(values.symbols) : null,
+        datasets,
+        data: values.data ?? './output',
+        from,
+        to,
+        bucketUrl: bucketUrl.replace(/\/?$/, '/'),
+        timeout,
+        offline: !!values.offline,
+        json: values.json ?? null,
+        html: values.html ?? null,
+        refetch: values.refetch ?? null
+    };
+}
+
+async function exists(filePath) {
+    return fs.access(filePath).then(() => true, () => false);
+}
+
+// Symbol directories of a dataset: upper-case names holding a ledger or a summary
+export async function findSymbols(data, dataset) {
+    const root = path.join(data, datasetDir(dataset));
+    const symbols = [];
+    for (const entry of await fs.readdir(root, { withFileTypes: true }).catch(() => [])) {
+        if (!entry.isDirectory() || !/^[A-Z0-9]{2,30}$/.test(entry.name)) continue;
+        const dir = path.join(root, entry.name);
+        if (await exists(path.join(dir, LEDGER_FILE)) || await exists(path.join(dir, SUMMARY_FILE))) {
+            symbols.push(entry.name);
+        }
+    }
+    return symbols.sort();
+}
+
+/**
+ * What one symbol's output directory holds, by period:
+ *   held      periods with data on disk as an archive, CSV, monthly Parquet or Hive partition
+ *   verified  periods whose archive the ledger recorded as verified
+ *   failed    period → why its last attempt failed, or that it was quarantined
+ */
+export async function scanSymbol(data, dataset, symbol) {
+    const symbolDir = path.join(data, datasetDir(dataset), symbol);
+    const ledger = await Ledger.load(symbolDir, symbol);
+    const held = new Set();
+    const verified = new Set();
+    const failed = new Map();
+    const periodOf = (name) => archivePeriod(dataset, name);
+    const add = (set, name) => {
+        const period = periodOf(name);
+        if (period) set.add(period);
+    };
+
+    for (const name of await fs.readdir(symbolDir).catch(() => [])) {
+        if (name.endsWith('.zip')) add(held, name);
+    }
+    for (const name of await fs.readdir(path.join(symbolDir, 'extracted')).catch(() => [])) {
+        if (name.endsWith('.csv')) add(held, name);
+    }
+
+    // Months built into Parquet hold their days even after retention pruned the CSVs
+    for (const done of Object.values(ledger.months)) {
+        if (done.status === 'done' && await exists(path.join(symbolDir, 'parquet', done.parquetFile))) {
+            done.sourceFiles.forEach(f => add(held, f.file));
+        }
+    }
+    for (const partition of Object.values(ledger.partitions)) {
+        if (await exists(path.join(data, partition.path))) {
+            Object.keys(partition.periods || {}).forEach(period => held.add(period));
+        }
+    }
+
+    for (const [filename, entry] of Object.entries(ledger.files)) {
+        const download = entry.phases?.download;
+        if (download?.status === 'verified') add(verified, filename);
+        if (download?.status === 'invalid' && periodOf(filename)) failed.set(periodOf(filename), download.reason || 'invalid');
+    }
+
+    // The last run's failures, for files that never made it into the ledger
+    const summary = await fs.readFile(path.join(symbolDir, SUMMARY_FILE), 'utf8').then(JSON.parse, () => null);
+    for (const result of [...(summary?.downloadResults || []), ...(summary?.verifyResults || [])]) {
+        const period = periodOf(result.filename);
+        if (period && !['verified', 'cancelled'].includes(result.status) && !verified.has(period)) {
+            failed.set(period, result.error ? `${result.status}: ${result.error}` : result.status);
+        }
+    }
+
+    // A quarantined day failed validation, whatever else is on disk for it
+    for (const name of await fs.readdir(path.join(symbolDir, QUARANTINE_DIR)).catch(() => [])) {
+        const period = periodOf(name);
+        if (period) {
+            held.delete(period);
+            failed.set(period, 'quarantined');
+        }
+    }
+
+    return { held, verified, failed };
+}
+
+// First day of a period, and its last (the month's last day for monthly datasets)
+function periodStart(period) {
+    return period.length === 7 ? `${period}-01` : period;
+}
+
+function periodEnd(period) {
+    if (period.length !== 7) return period;
+    const [year, month] = period.split('-').map(Number);
+    return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+}
+
+// One status per period, plus runs of the same gap status
+function calendarFor(periods, local, upstream) {
+    const calendar = {};
+    for (const period of periods) {
+        if (local.held.has(period)) {
+            calendar[period] = local.verified.has(period) ? 'verified' : 'present';
+        } else if (local.failed.has(period)) {
+            calendar[period] = 'failed';
+        } else if (!upstream) {
+            calendar[period] = 'unknown';
+        } else {
+            calendar[period] = upstream.has(period) ? 'not_fetched' : 'missing_upstream';
+        }
+    }
+    return calendar;
+}
+
+// Runs of consecutive periods whose status passes `keep`, split where the status changes unless `mixed`
+function runsOf(calendar, keep, { mixed = false } = {}) {
+    const runs = [];
+    let run = null;
+    for (const [period, status] of Object.entries(calendar)) {
+        if (!keep(status)) {
+            run = null;
+            continue;
+        }
+        if (!run || (!mixed && run.status !== status)) {
+            run = { status, from: period, to: period, periods: 0 };
+            runs.push(run);
+        }
+        run.to = period;
+        run.periods++;
+    }
+    return runs;
+}
+
+/**
+ * One symbol's calendar from `from` to `to` (default: the first to the last period held or listed)
+ * `upstream` is the bucket's archive listing, or null when it was not listed
+ */
+export function symbolCoverage(dataset, symbol, local, upstream, { from = null, to = null } = {}) {
+    const listed = upstream && new Set(upstream.map(f => f.period).filter(Boolean));
+    const known = [...local.held, ...local.failed.keys(), ...(listed || [])].sort();
+    const localKnown = [...local.held].sort();
+    const rangeFrom = from ?? (known.length ? periodStart(known[0]) : null);
+    const rangeTo = to ?? (known.length ? periodEnd(known.at(-1)) : null);
+    const periods = rangeFrom && rangeTo ? listPeriods(dataset, rangeFrom, rangeTo) : [];
+    const calendar = calendarFor(periods, local, listed);
+
+    const counts = Object.fromEntries(COVERAGE_STATUSES.map(status => [status, 0]));
+    Object.values(calendar).forEach(status => counts[status]++);
+    const upstreamPeriods = listed ? [...listed].sort() : [];
+
+    return {
+        dataset: dataset.id,
+        symbol,
+        period: dataset.period,
+        from: rangeFrom,
+        to: rangeTo,
+        upstream: listed ? { first: upstreamPeriods[0] ?? null, last: upstreamPeriods.at(-1) ?? null, files: upstreamPeriods.length } : null,
+        local: { first: localKnown[0] ?? null, last: localKnown.at(-1) ?? null, held: localKnown.length },
+        counts,
+        calendar,
+        // Failed runs say why each of their periods failed
+        gaps: runsOf(calendar, status => !['verified', 'present'].includes(status)).map(run => run.status === 'failed'
+            ? { ...run, reasons: Object.fromEntries(periods.filter(p => p >= run.from && p <= run.to).map(p => [p, local.failed.get(p)])) }
+            : run)
+    };
+}
+
+// Worker runs that re-fetch each stretch of failed or not-fetched periods
+export function refetchRanges(entries) {
+    return entries.flatMap(entry => runsOf(entry.calendar, status => REFETCH_STATUSES.includes(status), { mixed: true }).map(run => {
+        const from = periodStart(run.from);
+        const to = periodEnd(run.to);
+        return {
+            dataset: entry.dataset,
+            symbol: entry.symbol,
+            from,
+            to,
+            periods: run.periods,
+            command: `node enhanced_worker.js --datasets ${entry.dataset} --symbols ${entry.symbol} --from ${from} --to ${to}`
+        };
+    }));
+}
+
+/**
+ * Scan `data` and list the bucket (unless `offline`) for every dataset and symbol, and resolve with
+ * { generatedAt, data, bucketUrl, from, to, statuses, totals, symbols, refetch }
+ * Options are parseCoverageCli's; a symbol whose listing fails gets `upstream: { error }` and unknown gaps
+ */
+export async function buildCoverage(options) {
+    const entries = [];
+    for (const dataset of options.datasets) {
+        const symbols = options.symbols ?? await findSymbols(options.data, dataset);
+        for (const symbol of symbols) {
+            const local = await scanSymbol(options.data, dataset, symbol);
+            let upstream = null;
+            let listingError = null;
+            if (!options.offline) {
+                try {
+                    upstream = await discoverSymbolFiles(symbol, { dataset, bucketUrl: options.bucketUrl, timeout: options.timeout });
+                } catch (error) {
+                    listingError = error.message;
+                    logWarn(`⚠️ Could not list ${symbol} ${dataset.id}: ${error.message}`);
+                }
+            }
+            const entry = symbolCoverage(dataset, symbol, local, upstream, options);
+            entries.push(listingError ? { ...entry, upstream: { error: listingError } } : entry);
+        }
+    }
+
+    const totals = Object.fromEntries(COVERAGE_STATUSES.map(status => [status, entries.reduce((sum, e) => sum + e.counts[status], 0)]));
+    return {
+        generatedAt: new Date().toISOString(),
+        data: options.data,
+        bucketUrl: options.offline ? null : options.bucketUrl,
+        from: options.from ?? null,
+        to: options.to ?? null,
+        statuses: COVERAGE_STATUSES,
+        totals,
+        symbols: entries,
+        refetch: refetchRanges(entries)
+    };
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// One calendar as a table: a row per month of days, or a row per year of months
+function calendarTable(entry) {
+    const rows = new Map();
+    for (const [period, status] of Object.entries(entry.calendar)) {
+        const row = entry.period === 'daily' ? period.slice(0, 7) : period.slice(0, 4);
+        const column = Number(period.slice(entry.period === 'daily' ? 8 : 5));
+        if (!rows.has(row)) rows.set(row, new Map());
+        rows.get(row).set(column, { period, status });
+    }
+    const columns = entry.period === 'daily' ? 31 : 12;
+    const header = Array.from({ length: columns }, (_, i) => `<th>${i + 1}</th>`).join('');
+    const body = [...rows].map(([row, cells]) => `<tr><th>${row}</th>${Array.from({ length: columns }, (_, i) => {
+        const cell = cells.get(i + 1);
+        return cell ? `<td class="${cell.status}" title="${cell.period}: ${cell.status}"></td>` : '<td></td>';
+    }).join('')}</tr>`).join('\n');
+    return `<table class="calendar"><tr><th></th>${header}</tr>\n${body}</table>`;
+}
+
+// The report as one self-contained HTML page: totals, a row per symbol and each symbol's calendar
+export function renderCoverageHtml(report) {
+    const legend = COVERAGE_STATUSES.map(s => `<span><i class="${s}"></i>${s.replace('_', ' ')} (${report.totals[s]})</span>`).join('\n');
+    const summaryRows = report.symbols.map(e => `<tr><td><a href="#${escapeHtml(`${e.dataset}-${e.symbol}`)}">${escapeHtml(e.symbol)}</a></td><td>${escapeHtml(e.dataset)}</td>`
+        + `<td>${escapeHtml(e.upstream?.first ?? '')}</td><td>${escapeHtml(e.upstream?.last ?? '')}</td>`
+        + COVERAGE_STATUSES.map(s => `<td>${e.counts[s]}</td>`).join('') + '</tr>').join('\n');
+    const sections = report.symbols.map(e => `<section id="${escapeHtml(`${e.dataset}-${e.symbol}`)}">
+<h2>${escapeHtml(e.symbol)} <small>${escapeHtml(e.dataset)}, ${escapeHtml(e.from ?? '-')} → ${escapeHtml(e.to ?? '-')}</small></h2>
+${e.upstream?.error ? `<p class="error">Listing failed: ${escapeHtml(e.upstream.error)}</p>\n` : ''}${calendarTable(e)}
+</section>`).join('\n');
+    const colors = COVERAGE_STATUSES.map(s => `.${s} { background: ${STATUS_COLORS[s]}; }`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>KuCoin data coverage</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2em; color: #212121; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { padding: 2px 6px; font-size: 12px; text-align: left; }
+.summary td, .summary th { border-bottom: 1px solid #e0e0e0; }
+.calendar td { width: 14px; height: 14px; padding: 0; border: 1px solid #fff; }
+.legend span { margin-right: 1.5em; }
+.legend i { display: inline-block; width: 12px; height: 12px; margin-right: 4px; vertical-align: middle; }
+.error { color: #c62828; }
+${colors}
+</style>
+</head>
+<body>
+<h1>KuCoin data coverage</h1>
+<p>Generated ${escapeHtml(report.generatedAt)} from ${escapeHtml(report.data)}${report.bucketUrl ? ` against ${escapeHtml(report.bucketUrl)}` : ' (offline)'}.</p>
+<p class="legend">${legend}</p>
+<table class="summary">
+<tr><th>Symbol</th><th>Dataset</th><th>First listed</th><th>Last listed</th>${COVERAGE_STATUSES.map(s => `<th>${s.replace('_', ' ')}</th>`).join('')}</tr>
+${summaryRows}
+</table>
+${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the report and write the JSON and HTML files, and the re-fetch commands when asked
+ * Resolves with { report, jsonFile, htmlFile, refetchFile }
+ */
+export async function runCoverage(options, { stdout = process.stdout } = {}) {
+    const report = await buildCoverage(options);
+    const jsonFile = options.json ?? path.join(options.data, CALENDAR_JSON_FILE);
+    const htmlFile = options.html ?? path.join(options.data, CALENDAR_HTML_FILE);
+    for (const [file, text] of [[jsonFile, JSON.stringify(report, null, 2)], [htmlFile, renderCoverageHtml(report)]]) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, text);
+    }
+
+    let refetchFile = null;
+    if (options.refetch) {
+        const commands = report.refetch.map(r => `${r.command}\n`).join('');
+        if (options.refetch === '-') {
+            stdout.write(commands);
+        } else {
+            await fs.mkdir(path.dirname(options.refetch), { recursive: true });
+            await fs.writeFile(options.refetch, commands);
+            refetchFile = options.refetch;
+        }
+        log(`🔁 ${report.refetch.length} re-fetch range(s) → ${refetchFile ?? 'stdout'}`);
+    }
+
+    return { report, jsonFile, htmlFile, refetchFile };
+}
@@ -0,0 +1,110 @@
+/**
+ * KuCoin historical datasets
+ * A dataset is market / period / data type (plus an interval for klines), e.g. `spot/daily/trades`
+ * or `futures/monthly/klines/1h`; it decides bucket prefixes, archive names and the CSV layout
+ */
+
+import { TABLES } from './parquet.js';
+
+export const MARKETS = ['spot', 'futures'];
+export const PERIODS = ['daily', 'monthly'];
+export const DATA_TYPES = ['trades', 'klines'];
+export const KLINE_INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '1w'];
+
+export const DEFAULT_DATASET = 'spot/daily/trades';
+
+// Parse a dataset id into its parts, throwing on anything the bucket does not publish
+export function parseDataset(id) {
+    const [market, period, dataType, interval, ...rest] = id.split('/');
+
+    if (!MARKETS.includes(market)) {
+        throw new Error(`unknown market "${market}" in dataset ${id} (expected ${MARKETS.join(', ')})`);
+    }
+    if (!PERIODS.includes(period)) {
+        throw new Error(`unknown period "${period}" in dataset ${id} (expected ${PERIODS.join(', ')})`);
+    }
+    if (!DATA_TYPES.includes(dataType)) {
+        throw new Error(`unknown data type "${dataType}" in dataset ${id} (expected ${DATA_TYPES.join(', ')})`);
+    }
+    if (dataType === 'klines' && !KLINE_INTERVALS.includes(interval)) {
+        throw new Error(`klines need an interval, e.g. ${market}/${period}/klines/1m (one of ${KLINE_INTERVALS.join(', ')})`);
+    }
+    if ((dataType === 'trades' && interval !== undefined) || rest.length) {
+        throw new Error(`unexpected path segments in dataset ${id}`);
+    }
+
+    return {
+        id,
+        market,
+        period,
+        dataType,
+        interval: interval ?? null,
+        prefix: `data/${market}/${period}/${dataType}/`,
+        key: [market, period, dataType, interval].filter(Boolean).join('-'),
+        table: TABLES[dataType]
+    };
+}
+
+// Output directory for a dataset, relative to --output; spot daily trades keep the original layout
+export function datasetDir(dataset) {
+    return dataset.id === DEFAULT_DATASET ? '' : dataset.key;
+}
+
+// Bucket prefix holding one symbol's archives
+export function symbolPrefix(dataset, symbol) {
+    return dataset.interval
+        ? `${dataset.prefix}${symbol}/${dataset.interval}/`
+        : `${dataset.prefix}${symbol}/`;
+}
+
+// Archive name for one period: BTCUSDT-trades-2025-01-01.zip, BTCUSDT-1h-2025-01.zip, ...
+export function archiveName(dataset, symbol, period) {
+    return `${symbol}-${dataset.interval || dataset.dataType}-${period}.zip`;
+}
+
+// Period (YYYY-MM-DD or YYYY-MM) encoded in an archive or CSV name
+export function archivePeriod(dataset, filename) {
+    const pattern = dataset.period === 'daily'
+        ? /-(\d{4}-\d{2}-\d{2})\.(zip|csv)$/
+        : /-(\d{4}-\d{2})\.(zip|csv)$/;
+    const match = pattern.exec(filename);
+    return match ? match[1] : null;
+}
+
+// Every UTC day from `from` to `to`, inclusive, as YYYY-MM-DD
+export function listDays(from, to) {
+    const days = [];
+    for (let t = Date.parse(from); t <= Date.parse(to); t += 86400000) {
+        days.push(new Date(t).toISOString().slice(0, 10));
+    }
+    return days;
+}
+
+// Every month touched by `from`..`to`, as YYYY-MM
+export function listMonths(from, to) {
+    const months = [];
+    const [endYear, endMonth] = to.slice(0, 7).split('-').map(Number);
+    let [year, month] = from.slice(0, 7).split('-').map(Number);
+    while (year < endYear || (year === endYear && month <= endMonth)) {
+        months.push(`${year}-${String(month).padStart(2, '0')}`);
+        if (++month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+    return months;
+}
+
+// The periods a date range covers for this dataset
+export function listPeriods(dataset, from, to) {
+    return dataset.period === 'daily' ? listDays(from, to) : listMonths(from, to);
+}
+
+// True when a period falls inside the requested date range
+export function periodInRange(dataset, period, from, to) {
+    if (!period) return !from && !to;
+    if (dataset.period === 'daily') {
+        return (!from || period >= from) && (!to || period <= to);
+    }
+    return (!from || period >= from.slice(0, 7)) && (!to || period <= to.slice(0, 7));
+}
@@ -0,0 +1,160 @@
+/**
+ * Exact fixed-point decimals for prices and sizes
+ * KuCoin writes both as 20-decimal strings such as 0.00001067000000000000; here they become
+ * BigInt unscaled integers at a known scale and never pass through a Number. A profile of the
+ * strings in a column records the digits they really use and the width they were written with,
+ * which is what it takes to print every value back exactly as it came
+ */
+
+const DECIMAL_TEXT = /^(-?)(\d+)(?:\.(\d*))?$/;
+
+export const INT64_MIN = -(2n ** 63n);
+export const INT64_MAX = 2n ** 63n - 1n;
+
+// Sign, whole digits and fraction digits of a decimal string
+function split(text) {
+    const match = DECIMAL_TEXT.exec(text);
+    if (!match) {
+        throw new Error(`invalid decimal: ${text}`);
+    }
+    const [, sign, whole, fraction = ''] = match;
+    return { negative: sign === '-', whole, fraction };
+}
+
+// Fractional digits a value needs once trailing zeros go: 93574.40000 → 1, 0.00001067000 → 8, 12 → 0
+export function significantScale(text) {
+    return split(text).fraction.replace(/0+$/, '').length;
+}
+
+// Unscaled integer for `text` at `scale`, throwing rather than dropping a nonzero digit
+export function toUnscaled(text, scale) {
+    const { negative, whole, fraction } = split(text);
+    if (fraction.length > scale && /[1-9]/.test(fraction.slice(scale))) {
+        throw new Error(`decimal ${text} has more than ${scale} fractional digits`);
+    }
+    const unscaled = BigInt(whole + fraction.slice(0, scale).padEnd(scale, '0'));
+    return negative ? -unscaled : unscaled;
+}
+
+// A decimal string as { unscaled, scale }, keeping every digit it was written with
+export function parseFixed(text) {
+    const scale = split(text).fraction.length;
+    return { unscaled: toUnscaled(text, scale), scale };
+}
+
+// Scaled int64 for `text`, e.g. 93574.4 at scale 1 → 935744n; throws when it does not fit
+export function toInt64(text, scale) {
+    const unscaled = toUnscaled(text, scale);
+    if (unscaled < INT64_MIN || unscaled > INT64_MAX) {
+        throw new Error(`decimal ${text} does not fit in int64 at scale ${scale}`);
+    }
+    return unscaled;
+}
+
+/**
+ * Text for an unscaled integer at `scale`
+ * By default the shortest form (93500.5); with `width` exactly that many fractional digits, so a
+ * value written as 93500.50000000000000000000 comes back the same. A width too narrow for the
+ * value throws instead of rounding
+ */
+export function formatUnscaled(unscaled, scale, { width = null } = {}) {
+    const negative = unscaled < 0n;
+    const digits = (negative ? -unscaled : unscaled).toString().padStart(scale + 1, '0');
+    const whole = digits.slice(0, digits.length - scale);
+    const significant = digits.slice(digits.length - scale).replace(/0+$/, '');
+    if (width !== null && significant.length > width) {
+        throw new Error(`${whole}.${significant} needs more than ${width} fractional digits`);
+    }
+    const fraction = width === null ? significant : significant.padEnd(width, '0');
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+// Move an unscaled integer to another scale; going down throws rather than round
+export function rescale(unscaled, from, to) {
+    if (to >= from) return unscaled * 10n ** BigInt(to - from);
+    const factor = 10n ** BigInt(from - to);
+    if (unscaled % factor !== 0n) {
+        throw new Error(`${formatUnscaled(unscaled, from)} has more than ${to} fractional digits`);
+    }
+    return unscaled / factor;
+}
+
+// Integer division rounded half away from zero
+export function divRound(numerator, denominator) {
+    if (denominator < 0n) return divRound(-numerator, -denominator);
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder * 2n >= denominator) return quotient + 1n;
+    if (remainder * 2n <= -denominator) return quotient - 1n;
+    return quotient;
+}
+
+// Round { unscaled, scale } to `scale` digits, half away from zero
+export function round(value, scale) {
+    return scale >= value.scale
+        ? { unscaled: rescale(value.unscaled, value.scale, scale), scale }
+        : { unscaled: divRound(value.unscaled, 10n ** BigInt(value.scale - scale)), scale };
+}
+
+// Exact price × size; the product carries both scales
+export function notional(price, size) {
+    return { unscaled: price.unscaled * size.unscaled, scale: price.scale + size.scale };
+}
+
+// Exact sum of values at any scales
+export function sum(values) {
+    const all = [...values];
+    const scale = Math.max(0, ...all.map(v => v.scale));
+    return { unscaled: all.reduce((total, v) => total + rescale(v.unscaled, v.scale, scale), 0n), scale };
+}
+
+// a / b rounded half away from zero to `scale` digits
+export function divide(a, b, scale) {
+    if (b.unscaled === 0n) throw new Error('division by zero');
+    // a / b = (a.unscaled / b.unscaled) * 10^(b.scale - a.scale), wanted at 10^scale
+    const shift = scale + b.scale - a.scale;
+    return shift >= 0
+        ? { unscaled: divRound(a.unscaled * 10n ** BigInt(shift), b.unscaled), scale }
+        : { unscaled: divRound(a.unscaled, b.unscaled * 10n ** BigInt(-shift)), scale };
+}
+
+// Volume-weighted average price of { price, size } trades at `scale`, or null without volume
+export function vwap(trades, scale) {
+    const list = [...trades];
+    const volume = sum(list.map(t => t.size));
+    if (volume.unscaled === 0n) return null;
+    return divide(sum(list.map(t => notional(t.price, t.size))), volume, scale);
+}
+
+/**
+ * The decimals seen in one column: `scale` is the most fractional digits any value needs,
+ * `width` the digits every value was written with (null when they differ, absent before any value)
+ */
+export class DecimalProfile {
+    constructor({ scale = 0, width } = {}) {
+        this.scale = scale;
+        this.width = width;
+    }
+
+    // Record one value, returning the fractional digits it needs
+    add(text) {
+        const { fraction } = split(text);
+        const scale = fraction.replace(/0+$/, '').length;
+        if (scale > this.scale) this.scale = scale;
+        if (this.width === undefined) this.width = fraction.length;
+        else if (this.width !== fraction.length) this.width = null;
+        return scale;
+    }
+
+    // The profile of two columns read one after the other
+    merge(other) {
+        const width = this.width === undefined ? other.width
+            : other.width === undefined || other.width === this.width ? this.width
+                : null;
+        return new DecimalProfile({ scale: Math.max(this.scale, other.scale), width });
+    }
+
+    toJSON() {
+        return { scale: this.scale, ...(this.width !== undefined && { width: this.width }) };
+    }
+}
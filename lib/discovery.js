@@ -0,0 +1,177 @@
+/**
+ * Bucket inventory discovery for historical-data.kucoin.com
+ * Lists keys with the S3 ListObjectsV2 XML API and follows continuation tokens
+ */
+
+import https from 'https';
+import http from 'http';
+import { XMLParser } from 'fast-xml-parser';
+import { log } from './log.js';
+import { parseDataset, symbolPrefix, archivePeriod, periodInRange, DEFAULT_DATASET } from './datasets.js';
+
+export const BUCKET_URL = 'https://historical-data.kucoin.com/';
+
+const DEFAULT_MAX_KEYS = 1000;
+const DEFAULT_MAX_PAGES = 10000;
+
+const parser = new XMLParser({
+    ignoreAttributes: true,
+    parseTagValue: false,
+    trimValues: true,
+    isArray: (name) => name === 'Contents' || name === 'CommonPrefixes'
+});
+
+// GET a URL and resolve with the body as text
+export function fetchText(url, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('http:') ? http : https;
+        const request = client.get(url, { timeout }, (response) => {
+            let data = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => data += chunk);
+            response.on('end', () => {
+                if (response.statusCode !== 200) {
+                    const error = new Error(`HTTP ${response.statusCode} listing ${url}`);
+                    error.body = data;
+                    reject(error);
+                    return;
+                }
+                resolve(data);
+            });
+            response.on('error', reject);
+        });
+
+        request.on('error', reject);
+        request.on('timeout', () => {
+            request.destroy();
+            reject(new Error('Request timeout'));
+        });
+    });
+}
+
+// Build the ListObjectsV2 URL for one page
+export function listUrl(bucketUrl, { prefix, delimiter, maxKeys, continuationToken }) {
+    const url = new URL(bucketUrl);
+    url.searchParams.set('list-type', '2');
+    if (prefix) url.searchParams.set('prefix', prefix);
+    if (delimiter) url.searchParams.set('delimiter', delimiter);
+    url.searchParams.set('max-keys', String(maxKeys));
+    if (continuationToken) url.searchParams.set('continuation-token', continuationToken);
+    return url.toString();
+}
+
+// Parse one ListObjectsV2 response body
+export function parseListObjectsV2(xml) {
+    let doc;
+    try {
+        doc = parser.parse(xml);
+    } catch (error) {
+        throw new Error(`Malformed listing XML: ${error.message}`);
+    }
+
+    if (doc.Error) {
+        throw new Error(`Listing failed: ${doc.Error.Code || 'Error'} ${doc.Error.Message || ''}`.trim());
+    }
+
+    const result = doc.ListBucketResult;
+    if (!result) {
+        throw new Error('Malformed listing XML: missing ListBucketResult');
+    }
+
+    const objects = (result.Contents || []).map((entry) => ({
+        key: entry.Key,
+        size: Number(entry.Size),
+        etag: String(entry.ETag || '').replace(/"/g, ''),
+        lastModified: entry.LastModified
+    }));
+
+    return {
+        objects,
+        commonPrefixes: (result.CommonPrefixes || []).map(p => p.Prefix),
+        isTruncated: String(result.IsTruncated) === 'true',
+        nextContinuationToken: result.NextContinuationToken || null
+    };
+}
+
+// List every key (and common prefix) under a prefix, page by page
+export async function listBucket(options = {}) {
+    const bucketUrl = options.bucketUrl || BUCKET_URL;
+    const maxKeys = options.maxKeys || DEFAULT_MAX_KEYS;
+    const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+    const fetchPage = options.fetchText || ((url) => fetchText(url, options.timeout));
+
+    const objects = [];
+    const commonPrefixes = [];
+    const seenTokens = new Set();
+    let continuationToken = null;
+    let pages = 0;
+
+    do {
+        if (++pages > maxPages) {
+            throw new Error(`Listing exceeded ${maxPages} pages for prefix ${options.prefix}`);
+        }
+
+        const url = listUrl(bucketUrl, { prefix: options.prefix, delimiter: options.delimiter, maxKeys, continuationToken });
+        const page = parseListObjectsV2(await fetchPage(url));
+        objects.push(...page.objects);
+        commonPrefixes.push(...page.commonPrefixes);
+
+        if (!page.isTruncated) break;
+        if (!page.nextContinuationToken || seenTokens.has(page.nextContinuationToken)) {
+            throw new Error('Listing is truncated but has no new continuation token');
+        }
+        seenTokens.add(page.nextContinuationToken);
+        continuationToken = page.nextContinuationToken;
+    } while (true);
+
+    return { objects, commonPrefixes, pages };
+}
+
+// Inventory of a symbol's archives in one dataset (spot daily trades by default), with checksum availability
+export async function discoverSymbolFiles(symbol, options = {}) {
+    const bucketUrl = options.bucketUrl || BUCKET_URL;
+    const dataset = options.dataset || parseDataset(DEFAULT_DATASET);
+    const prefix = options.prefix ? `${options.prefix}${symbol}/` : symbolPrefix(dataset, symbol);
+
+    log(`🔍 Listing ${prefix}...`);
+    const { objects, pages } = await listBucket({ ...options, bucketUrl, prefix });
+    const keys = new Set(objects.map(o => o.key));
+
+    const files = objects
+        .filter(o => o.key.endsWith('.zip'))
+        .map(o => {
+            const filename = o.key.slice(prefix.length);
+            const period = archivePeriod(dataset, filename);
+            return {
+                filename,
+                period,
+                day: dataset.period === 'daily' ? period : null,
+                key: o.key,
+                url: new URL(o.key, bucketUrl).toString(),
+                size: o.size,
+                etag: o.etag,
+                lastModified: o.lastModified,
+                hasChecksum: keys.has(`${o.key}.CHECKSUM`)
+            };
+        })
+        .filter(f => periodInRange(dataset, f.period, options.from, options.to))
+        .sort((a, b) => a.filename.localeCompare(b.filename));
+
+    log(`✅ Discovered ${files.length} files for ${symbol} (${pages} listing page(s))`);
+    return files;
+}
+
+// Every symbol the bucket publishes for a dataset, from the common prefixes under the dataset root
+export async function discoverSymbols(options = {}) {
+    const bucketUrl = options.bucketUrl || BUCKET_URL;
+    const dataset = options.dataset || parseDataset(DEFAULT_DATASET);
+
+    log(`🔍 Listing symbols under ${dataset.prefix}...`);
+    const { commonPrefixes, pages } = await listBucket({ ...options, bucketUrl, prefix: dataset.prefix, delimiter: '/' });
+    const symbols = [...new Set(commonPrefixes.map(p => p.slice(dataset.prefix.length).replace(/\/$/, '')))]
+        .filter(Boolean)
+        .sort();
+
+    log(`✅ Discovered ${symbols.length} symbols in ${dataset.id} (${pages} listing page(s))`);
+    return symbols;
+}
@@ -0,0 +1,81 @@
+/**
+ * Disk space for the pipeline's working files
+ * Estimates what a symbol's archives will take once unpacked and converted, checks it against the
+ * free space on the output volume, and removes archives and CSVs a retention policy no longer needs
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// keep: leave everything; prune-csv: drop a finished month's CSVs; prune-all: its archives too
+export const RETENTION_POLICIES = ['keep', 'prune-csv', 'prune-all'];
+export const DEFAULT_RETENTION = 'keep';
+
+// Bytes on disk per archive byte: trade CSVs deflate about 6:1, and Parquet ends up near the ZIP size
+export const CSV_EXPANSION = 6;
+export const PARQUET_RATIO = 1;
+
+// Space a symbol's downloads will need under `phases`: archives, their CSVs and the Parquet built from them
+export function estimateSpace(archiveBytes, phases) {
+    const archives = archiveBytes;
+    const csv = phases.includes('unpack') ? archiveBytes * CSV_EXPANSION : 0;
+    const parquet = phases.includes('parquet') || phases.includes('candles') ? archiveBytes * PARQUET_RATIO : 0;
+    return { archives, csv, parquet, total: archives + csv + parquet };
+}
+
+// Bytes available to this user on the volume holding `dir`, or null where statfs is unsupported
+export async function freeSpace(dir) {
+    try {
+        const stats = await fs.statfs(dir);
+        return stats.bavail * stats.bsize;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Free space shared by symbols running side by side
+ * Each symbol reserves its estimate before downloading and releases it when it finishes, so two
+ * symbols cannot both count on the same free gigabytes
+ */
+export class DiskBudget {
+    constructor(dir) {
+        this.dir = dir;
+        this.reserved = 0;
+    }
+
+    // { ok, free, available }; always ok when the free space cannot be read
+    async reserve(bytes) {
+        const free = await freeSpace(this.dir);
+        const available = free === null ? null : free - this.reserved;
+        if (available !== null && bytes > available) {
+            return { ok: false, free, available };
+        }
+        this.reserved += bytes;
+        return { ok: true, free, available };
+    }
+
+    release(bytes) {
+        this.reserved = Math.max(this.reserved - bytes, 0);
+    }
+}
+
+// Delete files that exist, returning { files, bytes } for what was actually removed
+export async function removeFiles(filePaths) {
+    let files = 0;
+    let bytes = 0;
+    for (const filePath of filePaths) {
+        const stat = await fs.stat(filePath).catch(() => null);
+        if (!stat?.isFile()) continue;
+        await fs.rm(filePath, { force: true });
+        files++;
+        bytes += stat.size;
+    }
+    return { files, bytes };
+}
+
+// Parquet temp files a killed run left in `dir`; a finished write always renames or removes its own
+export async function leftoverPartials(dir) {
+    const entries = await fs.readdir(dir).catch(() => []);
+    return entries.filter(name => name.endsWith('.partial')).map(name => path.join(dir, name));
+}
@@ -0,0 +1,176 @@
+/**
+ * Resumable HTTP downloads
+ * Bytes land in `<file>.part` and continue with a Range request after an interruption;
+ * callers rename the part file into place once it has been verified
+ */
+
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import https from 'https';
+import http from 'http';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { parseRetryAfter } from './scheduler.js';
+
+export const PART_SUFFIX = '.part';
+export const MAX_REDIRECTS = 5;
+
+const REDIRECT_CODES = new Set([301, 302, 303, 307, 308]);
+
+export function partPathFor(outputPath) {
+    return outputPath + PART_SUFFIX;
+}
+
+async function fileSize(filePath) {
+    try {
+        return (await fs.stat(filePath)).size;
+    } catch {
+        return 0;
+    }
+}
+
+// Parse "bytes 100-199/200" (or "bytes */200") into its numbers
+export function parseContentRange(header) {
+    const match = /^bytes (?:(\d+)-(\d+)|\*)\/(\d+|\*)$/.exec(header || '');
+    if (!match) return null;
+    return {
+        start: match[1] !== undefined ? Number(match[1]) : null,
+        end: match[2] !== undefined ? Number(match[2]) : null,
+        total: match[3] === '*' ? null : Number(match[3])
+    };
+}
+
+// 429 and 5xx are worth another attempt; other statuses are final
+export function isRetryableStatus(statusCode) {
+    return statusCode === 429 || statusCode >= 500;
+}
+
+function get(url, headers, timeout, signal) {
+    const client = url.startsWith('http:') ? http : https;
+    return new Promise((resolve, reject) => {
+        const request = client.get(url, { headers, timeout, signal }, resolve);
+        request.on('error', reject);
+        request.on('timeout', () => {
+            request.destroy(new Error('timeout'));
+        });
+    });
+}
+
+// GET, following up to MAX_REDIRECTS redirects (relative Locations included)
+export async function getFollowingRedirects(url, headers, options = {}) {
+    const maxRedirects = options.maxRedirects ?? MAX_REDIRECTS;
+    let current = url;
+
+    for (let hops = 0; ; hops++) {
+        const response = await get(current, headers, options.timeout, options.signal);
+        if (!REDIRECT_CODES.has(response.statusCode)) {
+            return { response, url: current, redirects: hops };
+        }
+
+        response.resume();
+        const location = response.headers.location;
+        if (!location) {
+            throw new Error(`HTTP ${response.statusCode} redirect without a Location header`);
+        }
+        if (hops >= maxRedirects) {
+            throw new Error(`too many redirects (more than ${maxRedirects})`);
+        }
+        current = new URL(location, current).toString();
+    }
+}
+
+// Pass-through that waits on the shared rate limiter before forwarding each chunk
+function throttle(rateLimiter, signal) {
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            rateLimiter.take(chunk.length, signal).then(() => callback(null, chunk), callback);
+        }
+    });
+}
+
+// Download a single file into its part file, resuming whatever is already there
+export async function downloadFile(url, outputPath, options = {}) {
+    const partPath = partPathFor(outputPath);
+    const offset = await fileSize(partPath);
+    const headers = offset > 0 ? { Range: `bytes=${offset}-` } : {};
+
+    let response;
+    let finalUrl;
+    try {
+        ({ response, url: finalUrl } = await getFollowingRedirects(url, headers, options));
+    } catch (error) {
+        const aborted = !!options.signal?.aborted;
+        return { success: false, error: error.message, partPath, resumable: offset > 0, retryable: !aborted, aborted };
+    }
+
+    let append = false;
+    let expectedTotal = null;
+
+    if (response.statusCode === 206) {
+        const range = parseContentRange(response.headers['content-range']);
+        if (!range || range.start !== offset) {
+            response.resume();
+            await fs.rm(partPath, { force: true });
+            return { success: false, error: 'server ignored the requested range', partPath, retryable: true };
+        }
+        append = true;
+        expectedTotal = range.total;
+    } else if (response.statusCode === 416 && offset > 0) {
+        // Nothing left to send: the part file is already complete if its size matches
+        response.resume();
+        const range = parseContentRange(response.headers['content-range']);
+        if (range && range.total === offset) {
+            return { success: true, bytes: offset, downloadedBytes: 0, resumedFrom: offset, partPath };
+        }
+        await fs.rm(partPath, { force: true });
+        return { success: false, error: 'HTTP 416', partPath };
+    } else if (response.statusCode === 200) {
+        const length = response.headers['content-length'];
+        expectedTotal = length !== undefined ? Number(length) : null;
+    } else {
+        response.resume();
+        return {
+            success: false,
+            error: `HTTP ${response.statusCode}`,
+            statusCode: response.statusCode,
+            retryable: isRetryableStatus(response.statusCode),
+            retryAfterMs: parseRetryAfter(response.headers['retry-after']),
+            partPath
+        };
+    }
+
+    // onProgress sees every chunk as it arrives, with the running total for this file
+    let downloadedBytes = 0;
+    response.on('data', (chunk) => {
+        downloadedBytes += chunk.length;
+        options.onProgress?.({ bytes: chunk.length, downloadedBytes, totalBytes: offset + downloadedBytes, expectedTotal });
+    });
+
+    const stages = [response];
+    if (options.rateLimiter?.enabled) {
+        stages.push(throttle(options.rateLimiter, options.signal));
+    }
+    stages.push(createWriteStream(partPath, { flags: append ? 'a' : 'w' }));
+
+    try {
+        await pipeline(...stages);
+    } catch (error) {
+        // Keep what arrived so the next attempt can resume from it
+        const aborted = !!options.signal?.aborted;
+        return { success: false, error: error.message, partPath, resumable: true, retryable: !aborted, aborted, downloadedBytes };
+    }
+
+    const bytes = await fileSize(partPath);
+    if (expectedTotal !== null && bytes !== expectedTotal) {
+        return {
+            success: false,
+            error: `truncated body: ${bytes} of ${expectedTotal} bytes`,
+            partPath,
+            resumable: true,
+            retryable: true,
+            downloadedBytes
+        };
+    }
+
+    return { success: true, bytes, downloadedBytes, resumedFrom: append ? offset : 0, partPath, url: finalUrl };
+}
@@ -0,0 +1,189 @@
+/**
+ * Hive-partitioned Parquet layout with incremental monthly compaction
+ * Finalized months live at <root>/dataset=trades/symbol=BTCUSDT/year=2025/month=01/ as one file;
+ * months still missing days stay under <root>/_partial/ as one file per day until every day is in,
+ * and late or re-published days are merged into the month without re-reading its other CSVs
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import parquet from '@dsnp/parquetjs';
+import { openTableWriter, writeParquetFile, readParquetRows, parquetDecimals, mergeDecimals, DECIMALS_METADATA } from './parquet.js';
+import { DEFAULT_DATASET, listDays } from './datasets.js';
+
+export const LAYOUTS = ['flat', 'hive'];
+export const DEFAULT_LAYOUT = 'flat';
+export const HIVE_DIR = 'hive';
+export const PARTIAL_DIR = '_partial';
+
+// Partition value for a dataset; spot daily trades are plain `trades`, like their flat layout
+export function datasetPartition(dataset) {
+    return dataset.id === DEFAULT_DATASET ? dataset.dataType : dataset.key;
+}
+
+// Directory of one symbol's month, finalized or partial
+export function partitionDir(root, dataset, symbol, month, { partial = false } = {}) {
+    const [year, monthOfYear] = month.split('-');
+    return path.join(
+        root,
+        ...(partial ? [PARTIAL_DIR] : []),
+        `dataset=${datasetPartition(dataset)}`,
+        `symbol=${symbol}`,
+        `year=${year}`,
+        `month=${monthOfYear}`
+    );
+}
+
+// Every period a complete month needs: each calendar day for daily data, the month itself for monthly
+export function monthPeriods(dataset, month) {
+    if (dataset.period !== 'daily') return [month];
+    const [year, monthOfYear] = month.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, monthOfYear, 0)).getUTCDate();
+    return listDays(`${month}-01`, `${month}-${String(lastDay).padStart(2, '0')}`);
+}
+
+// Period a row belongs to, from the table's time column
+function rowPeriod(row, table, dataset) {
+    const time = row[table.timeColumn];
+    const iso = (time instanceof Date ? time : new Date(Number(time))).toISOString();
+    return dataset.period === 'daily' ? iso.slice(0, 10) : iso.slice(0, 7);
+}
+
+async function exists(filePath) {
+    return fs.access(filePath).then(() => true, () => false);
+}
+
+/**
+ * Merge per-period part files into a month file, period by period
+ * Rows from `existingPath` are kept except for periods a part replaces, so only the parts are new work;
+ * the decimal metadata of every input is merged into the month file's
+ */
+export async function compactMonth({ existingPath, parts, outputPath, table, dataset, rowGroupSize, compression }) {
+    const tempPath = `${outputPath}.partial`;
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    const writer = await openTableWriter(table, tempPath, { rowGroupSize, compression });
+    let recordCount = 0;
+    let carried = 0;
+
+    try {
+        const existing = existingPath ? readParquetRows(existingPath) : null;
+        let next = existing ? await existing.next() : { done: true };
+        const keep = async (until) => {
+            while (!next.done && (until === null || rowPeriod(next.value, table, dataset) <= until)) {
+                if (until === null || rowPeriod(next.value, table, dataset) < until) {
+                    await writer.appendRow(next.value);
+                    recordCount++;
+                    carried++;
+                }
+                next = await existing.next();
+            }
+        };
+
+        for (const [period, partPath] of [...parts].sort(([a], [b]) => a.localeCompare(b))) {
+            // Earlier periods come from the existing file; this period's old rows are dropped
+            await keep(period);
+            for await (const row of readParquetRows(partPath)) {
+                await writer.appendRow(row);
+                recordCount++;
+            }
+        }
+        await keep(null);
+
+        const inputs = [...(existingPath ? [existingPath] : []), ...parts.values()];
+        const decimals = mergeDecimals(await Promise.all(inputs.map(parquetDecimals)));
+        if (decimals) writer.setMetadata(DECIMALS_METADATA, JSON.stringify(decimals));
+        await writer.close();
+        await fs.rename(tempPath, outputPath);
+        return { recordCount, carriedRows: carried };
+    } catch (error) {
+        await writer.close().catch(() => {});
+        await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Bring one symbol's month up to date in the Hive layout
+ * `sources` maps each available period to { csvPath, fingerprint }; `previous` is what the ledger
+ * recorded last time ({ status, periods: { period: fingerprint }, recordCount })
+ */
+export async function updateHiveMonth({ root, dataset, symbol, month, sources, previous, name, table, rowGroupSize, compression, scales }) {
+    const expected = monthPeriods(dataset, month);
+    const finalDir = partitionDir(root, dataset, symbol, month);
+    const partialDir = partitionDir(root, dataset, symbol, month, { partial: true });
+    const finalPath = path.join(finalDir, `${name}-${month}.parquet`);
+    const partPath = (period) => path.join(partialDir, `part-${period}.parquet`);
+
+    // Only periods whose part (or compacted month) is still on disk count as done
+    const done = { ...(previous?.periods || {}) };
+    const compacted = previous?.status === 'complete' && await exists(finalPath);
+    if (!compacted) {
+        for (const period of Object.keys(done)) {
+            if (!await exists(partPath(period))) delete done[period];
+        }
+    }
+
+    const changed = [...sources.keys()].filter(period => done[period] !== sources.get(period).fingerprint).sort();
+    const periods = { ...done };
+    let rowsWritten = 0;
+
+    for (const period of changed) {
+        const result = await writeParquetFile([sources.get(period).csvPath], partPath(period), { table, rowGroupSize, compression, scales });
+        if (!result.success) {
+            return { success: false, error: result.error, period };
+        }
+        periods[period] = sources.get(period).fingerprint;
+        rowsWritten += result.recordCount;
+    }
+
+    const present = expected.filter(period => period in periods);
+    const base = {
+        success: true,
+        status: 'partial',
+        periodsExpected: expected.length,
+        periodsPresent: present.length,
+        newPeriods: changed,
+        periods,
+        rowsWritten,
+        skipped: changed.length === 0
+    };
+
+    if (present.length < expected.length) {
+        const recordCount = compacted ? previous.recordCount : await countPartialRows(partialDir);
+        return { ...base, parquetPath: partialDir, recordCount };
+    }
+
+    if (compacted && changed.length === 0) {
+        return { ...base, status: 'complete', parquetPath: finalPath, recordCount: previous.recordCount };
+    }
+
+    // Every day is in: fold the parts into the month file and retire the partial partition
+    const parts = new Map();
+    for (const period of Object.keys(periods)) {
+        if (await exists(partPath(period))) parts.set(period, partPath(period));
+    }
+    const { recordCount } = await compactMonth({
+        existingPath: compacted ? finalPath : null,
+        parts,
+        outputPath: finalPath,
+        table,
+        dataset,
+        rowGroupSize,
+        compression
+    });
+    await fs.rm(partialDir, { recursive: true, force: true });
+
+    return { ...base, status: 'complete', compacted: true, parquetPath: finalPath, recordCount };
+}
+
+// Rows across a partial month's day files, from their footers
+async function countPartialRows(partialDir) {
+    const files = (await fs.readdir(partialDir).catch(() => [])).filter(name => name.endsWith('.parquet'));
+    let rows = 0;
+    for (const file of files) {
+        const reader = await parquet.ParquetReader.openFile(path.join(partialDir, file));
+        rows += Number(reader.getRowCount());
+        await reader.close();
+    }
+    return rows;
+}
@@ -0,0 +1,135 @@
+/**
+ * Per-symbol run ledger
+ * Records each file's verified size, digest and phase status so re-runs can skip finished work
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const LEDGER_FILE = 'ledger.json';
+const LEDGER_VERSION = 1;
+
+// Write JSON through a temp file so a crash never leaves half a document behind
+export async function writeJsonAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+}
+
+// True when a file exists with exactly the expected size
+export async function hasFileOfSize(filePath, bytes) {
+    try {
+        const stat = await fs.stat(filePath);
+        return stat.isFile() && stat.size === bytes;
+    } catch {
+        return false;
+    }
+}
+
+export class Ledger {
+    constructor(symbolDir, symbol, data) {
+        this.path = path.join(symbolDir, LEDGER_FILE);
+        this.symbol = symbol;
+        this.files = data?.files || {};
+        this.months = data?.months || {};
+        this.candles = data?.candles || {};
+        this.partitions = data?.partitions || {};
+        this.pruned = data?.pruned || {};
+    }
+
+    static async load(symbolDir, symbol) {
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(symbolDir, LEDGER_FILE), 'utf8'));
+            if (data.version !== LEDGER_VERSION || data.symbol !== symbol) {
+                return new Ledger(symbolDir, symbol);
+            }
+            return new Ledger(symbolDir, symbol, data);
+        } catch (error) {
+            if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+            return new Ledger(symbolDir, symbol);
+        }
+    }
+
+    file(filename) {
+        return this.files[filename];
+    }
+
+    phase(filename, phase) {
+        return this.files[filename]?.phases?.[phase];
+    }
+
+    // A verified download invalidates anything unpacked from an older copy
+    recordDownload(filename, { bytes, algorithm, digest, etag }) {
+        this.files[filename] = {
+            bytes,
+            algorithm,
+            digest,
+            etag: etag || null,
+            phases: { download: { status: 'verified', at: new Date().toISOString() } }
+        };
+    }
+
+    recordPhase(filename, phase, status, details = {}) {
+        const entry = this.files[filename] || (this.files[filename] = { phases: {} });
+        entry.phases[phase] = { status, at: new Date().toISOString(), ...details };
+    }
+
+    // Forget a file whose copy on disk can no longer be trusted
+    invalidate(filename, reason) {
+        const entry = this.files[filename];
+        if (entry) {
+            entry.phases = { download: { status: 'invalid', reason, at: new Date().toISOString() } };
+        }
+    }
+
+    month(month) {
+        return this.months[month];
+    }
+
+    recordMonth(month, details) {
+        this.months[month] = { status: 'done', at: new Date().toISOString(), ...details };
+    }
+
+    candleMonth(month) {
+        return this.candles[month];
+    }
+
+    recordCandles(month, details) {
+        this.candles[month] = { status: 'done', at: new Date().toISOString(), ...details };
+    }
+
+    // Hive month partitions: which periods they hold and whether the month is compacted
+    partition(month) {
+        return this.partitions[month];
+    }
+
+    recordPartition(month, details) {
+        this.partitions[month] = { at: new Date().toISOString(), ...details };
+    }
+
+    // Months whose archives or CSVs the retention policy removed once their Parquet was verified
+    prunedMonth(month) {
+        return this.pruned[month];
+    }
+
+    recordPrune(month, details) {
+        this.pruned[month] = { at: new Date().toISOString(), ...details };
+    }
+
+    // Saves are chained so concurrent downloads never race on the temp file
+    save() {
+        this.saving = (this.saving || Promise.resolve())
+            .catch(() => {})
+            .then(() => writeJsonAtomic(this.path, {
+                version: LEDGER_VERSION,
+                symbol: this.symbol,
+                updatedAt: new Date().toISOString(),
+                files: this.files,
+                months: this.months,
+                candles: this.candles,
+                partitions: this.partitions,
+                pruned: this.pruned
+            }));
+        return this.saving;
+    }
+}
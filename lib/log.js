@@ -0,0 +1,74 @@
+/**
+ * Shared logging helper for the KuCoin workers
+ * `pretty` prints timestamped emoji lines; `json` prints one object per line with a level and
+ * whatever symbol / dataset / phase / file context the current task runs under
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LOG_FORMATS = ['pretty', 'json'];
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const settings = { format: 'pretty', level: 'info', stream: null };
+const scope = new AsyncLocalStorage();
+
+// Pick the output format, the lowest level that is printed and, optionally, a stream other than stdout
+export function configureLogging({ format, level, stream } = {}) {
+    if (format !== undefined) {
+        if (!LOG_FORMATS.includes(format)) throw new Error(`unknown log format "${format}" (expected ${LOG_FORMATS.join(', ')})`);
+        settings.format = format;
+    }
+    if (level !== undefined) {
+        if (!LOG_LEVELS.includes(level)) throw new Error(`unknown log level "${level}" (expected ${LOG_LEVELS.join(', ')})`);
+        settings.level = level;
+    }
+    if (stream !== undefined) {
+        settings.stream = stream;
+    }
+    return { ...settings };
+}
+
+// Run `fn` with extra fields attached to every line it logs, including from nested calls
+export function withLogContext(fields, fn) {
+    return scope.run({ ...scope.getStore(), ...fields }, fn);
+}
+
+// Leading blank lines, emoji and bullets only make sense on a terminal
+function plainMessage(message) {
+    return String(message).replace(/^[^\p{L}\p{N}'"`(\[]+/u, '');
+}
+
+function print(line) {
+    if (settings.stream) {
+        settings.stream.write(`${line}\n`);
+    } else {
+        console.log(line);
+    }
+}
+
+function write(level, message, fields) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) return;
+    const timestamp = new Date().toISOString();
+
+    if (settings.format === 'json') {
+        print(JSON.stringify({ time: timestamp, level, msg: plainMessage(message), ...scope.getStore(), ...fields }));
+        return;
+    }
+    print(`[${timestamp}] ${message}`);
+}
+
+export function log(message, fields = {}) {
+    write('info', message, fields);
+}
+
+export function logDebug(message, fields = {}) {
+    write('debug', message, fields);
+}
+
+export function logWarn(message, fields = {}) {
+    write('warn', message, fields);
+}
+
+export function logError(message, fields = {}) {
+    write('error', message, fields);
+}
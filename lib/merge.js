@@ -0,0 +1,132 @@
+/**
+ * Merge per-shard pipeline outputs into one coverage report
+ * Each shard's output directory holds its shard.json manifest and one enhanced_summary.json per
+ * symbol and dataset; the report lists every symbol's status and flags shards or symbols that never ran
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { SHARD_MANIFEST_FILE } from './shards.js';
+
+export const COVERAGE_REPORT_FILE = 'coverage.json';
+export const SUMMARY_FILE = 'enhanced_summary.json';
+
+// Summaries sit at <output>/<SYMBOL>/ or <output>/<dataset>/<SYMBOL>/
+async function findSummaries(dir, depth = 2) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const found = [];
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isFile() && entry.name === SUMMARY_FILE) {
+            found.push(entryPath);
+        } else if (entry.isDirectory() && depth > 0) {
+            found.push(...await findSummaries(entryPath, depth - 1));
+        }
+    }
+    return found.sort();
+}
+
+// Read one shard's manifest (null when the run was not sharded) and summaries
+export async function readShardOutput(dir) {
+    const manifest = await fs.readFile(path.join(dir, SHARD_MANIFEST_FILE), 'utf8').then(JSON.parse, () => null);
+    const summaries = [];
+    for (const summaryPath of await findSummaries(dir)) {
+        summaries.push(JSON.parse(await fs.readFile(summaryPath, 'utf8')));
+    }
+    return { dir, manifest, summaries };
+}
+
+// Bytes of every verified archive, downloaded this run or kept from an earlier one
+function verifiedBytes(summary) {
+    return (summary.downloadResults || [])
+        .filter(r => r.status === 'verified')
+        .reduce((sum, r) => sum + (r.bytes || 0), 0);
+}
+
+// Combine shard outputs into one report; later completions win when shards overlap
+export function mergeShardOutputs(outputs) {
+    const entries = new Map();
+    const duplicates = [];
+    const counts = new Set();
+    const found = new Set();
+
+    for (const { dir, manifest, summaries } of outputs) {
+        if (manifest) {
+            counts.add(manifest.count);
+            found.add(manifest.index);
+        }
+        for (const summary of summaries) {
+            const key = `${summary.dataset}\u0000${summary.symbol}`;
+            const entry = {
+                symbol: summary.symbol,
+                dataset: summary.dataset,
+                shard: manifest ? `${manifest.index}/${manifest.count}` : null,
+                source: dir,
+                status: summary.status,
+                mode: summary.mode,
+                completedAt: summary.completedAt,
+                filesAttempted: summary.pipeline.filesAttempted,
+                filesVerified: summary.pipeline.filesVerified,
+                bytes: verifiedBytes(summary),
+                parquetRecords: summary.pipeline.parquetRecords,
+                missingPeriods: summary.discovery?.missingPeriods || []
+            };
+            const previous = entries.get(key);
+            if (previous) {
+                duplicates.push({ symbol: entry.symbol, dataset: entry.dataset, shards: [previous.shard, entry.shard] });
+                if (previous.completedAt > entry.completedAt) continue;
+            }
+            entries.set(key, entry);
+        }
+    }
+
+    // Symbols a manifest assigned but no summary covers, for any of its datasets
+    const unprocessed = [];
+    for (const { manifest } of outputs) {
+        for (const symbol of manifest?.symbols || []) {
+            for (const dataset of manifest.datasets) {
+                if (!entries.has(`${dataset}\u0000${symbol}`)) {
+                    unprocessed.push({ symbol, dataset, shard: `${manifest.index}/${manifest.count}` });
+                }
+            }
+        }
+    }
+
+    const count = counts.size === 1 ? [...counts][0] : null;
+    const symbols = [...entries.values()].sort((a, b) => a.dataset.localeCompare(b.dataset) || a.symbol.localeCompare(b.symbol));
+
+    return {
+        generatedAt: new Date().toISOString(),
+        shards: {
+            count,
+            found: [...found].sort((a, b) => a - b),
+            missing: count ? Array.from({ length: count }, (_, i) => i + 1).filter(i => !found.has(i)) : [],
+            ...(counts.size > 1 ? { error: `shards disagree on the shard count: ${[...counts].join(', ')}` } : {})
+        },
+        totals: {
+            symbols: symbols.length,
+            succeeded: symbols.filter(s => s.status === 'success').length,
+            failed: symbols.filter(s => s.status !== 'success').length,
+            unprocessed: unprocessed.length,
+            filesVerified: symbols.reduce((sum, s) => sum + s.filesVerified, 0),
+            bytes: symbols.reduce((sum, s) => sum + s.bytes, 0),
+            parquetRecords: symbols.reduce((sum, s) => sum + s.parquetRecords, 0),
+            missingPeriods: symbols.reduce((sum, s) => sum + s.missingPeriods.length, 0)
+        },
+        symbols,
+        unprocessed,
+        duplicates
+    };
+}
+
+// Read every shard directory and write the merged report to `outputPath`
+export async function mergeShards(dirs, outputPath) {
+    const outputs = [];
+    for (const dir of dirs) {
+        outputs.push(await readShardOutput(dir));
+    }
+    const report = mergeShardOutputs(outputs);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, JSON.stringify(report, null, 2));
+    return report;
+}
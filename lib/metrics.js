@@ -0,0 +1,87 @@
+/**
+ * Run metrics in the Prometheus text exposition format
+ * One file per run, overwritten each time, for node_exporter's textfile collector or a Pushgateway
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const METRICS_FILE = 'metrics.prom';
+
+const PREFIX = 'kucoin_pipeline_';
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Rows actually written this run; months skipped as up to date wrote nothing
+function rowsWritten(summary) {
+    const fresh = (results) => results.filter(r => r.success && !r.skipped);
+    return {
+        parquet: fresh(summary.parquetResults).reduce((sum, r) => sum + (r.rowsWritten ?? r.recordCount ?? 0), 0),
+        candles: fresh(summary.candleResults).reduce((sum, r) => sum + r.files.reduce((n, f) => n + f.candleCount, 0), 0)
+    };
+}
+
+// Render a finished run ({ status, durationMs, finishedAt, summaries }) as Prometheus text
+export function formatMetrics(run) {
+    const metrics = [
+        ['run_success', 'Whether the last run succeeded for at least one symbol', [[{}, run.status === 'success' ? 1 : 0]]],
+        ['run_duration_seconds', 'Wall-clock duration of the last run', [[{}, run.durationMs / 1000]]],
+        ['run_last_timestamp_seconds', 'Unix time the last run finished', [[{}, Math.floor(Date.parse(run.finishedAt) / 1000)]]],
+        ['bytes_downloaded', 'Archive bytes downloaded, not counting skipped files', []],
+        ['download_throughput_bytes_per_second', 'Bytes downloaded divided by the download phase duration', []],
+        ['download_retries', 'Extra download attempts after timeouts, 429s, 5xx and bad checksums', []],
+        ['checksum_failures', 'Archives whose final download did not match the published checksum', []],
+        ['files_verified', 'Archives verified against their checksum', []],
+        ['rows_written', 'Rows written to Parquet files by output', []],
+        ['disk_reclaimed_bytes', 'Bytes freed by the retention policy and partial-file cleanup', []],
+        ['phase_duration_seconds', 'Duration of each pipeline phase', []],
+        ['symbol_success', 'Whether the symbol and dataset succeeded', []]
+    ];
+    const samples = Object.fromEntries(metrics.map(([name, , values]) => [name, values]));
+
+    for (const summary of run.summaries) {
+        const labels = { symbol: summary.symbol, dataset: summary.dataset };
+        const durations = summary.phaseDurationsMs || {};
+        const rows = rowsWritten(summary);
+
+        samples.bytes_downloaded.push([labels, summary.totalBytes]);
+        if (durations.download > 0) {
+            samples.download_throughput_bytes_per_second.push([labels, Math.round(summary.totalBytes / (durations.download / 1000))]);
+        }
+        samples.download_retries.push([labels, summary.pipeline.retries]);
+        samples.checksum_failures.push([labels, summary.pipeline.checksumStatuses.checksum_failed || 0]);
+        samples.files_verified.push([labels, summary.pipeline.filesVerified]);
+        samples.disk_reclaimed_bytes.push([labels, summary.pipeline.bytesReclaimed ?? 0]);
+        samples.rows_written.push([{ ...labels, output: 'parquet' }, rows.parquet], [{ ...labels, output: 'candles' }, rows.candles]);
+        for (const [phase, ms] of Object.entries(durations)) {
+            samples.phase_duration_seconds.push([{ ...labels, phase }, ms / 1000]);
+        }
+        samples.symbol_success.push([labels, summary.status === 'success' ? 1 : 0]);
+    }
+
+    const lines = [];
+    for (const [name, help] of metrics) {
+        if (samples[name].length === 0) continue;
+        lines.push(`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} gauge`);
+        for (const [labels, value] of samples[name]) {
+            lines.push(`${PREFIX}${name}${formatLabels(labels)} ${value}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Write the metrics atomically so a scraper never reads half a file
+export async function writeMetrics(run, filePath) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, formatMetrics(run));
+    await fs.rename(tmpPath, filePath);
+    return filePath;
+}
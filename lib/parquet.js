@@ -0,0 +1,310 @@
+/**
+ * Monthly Parquet writer for KuCoin CSVs
+ * Streams daily `trade_id,trade_time,price,size,side` files (or kline files) into one typed Parquet file
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import csv from 'csv-parser';
+import parquet from '@dsnp/parquetjs';
+import { log, logError } from './log.js';
+import { toUnscaled, formatUnscaled, DecimalProfile } from './decimal.js';
+
+// KuCoin publishes prices and sizes with 20 decimal places
+export const DECIMAL_PRECISION = 38;
+export const DECIMAL_SCALE = 20;
+const DECIMAL_BYTES = 16;
+
+export const COMPRESSION_CODECS = ['UNCOMPRESSED', 'GZIP', 'SNAPPY', 'BROTLI'];
+export const DEFAULT_ROW_GROUP_SIZE = 100000;
+export const DEFAULT_COMPRESSION = 'SNAPPY';
+
+export const TRADE_COLUMNS = ['trade_id', 'trade_time', 'price', 'size', 'side'];
+
+export const TRADE_SCHEMA = new parquet.ParquetSchema({
+    trade_id: { type: 'INT64' },
+    trade_time: { type: 'TIMESTAMP_MILLIS' },
+    price: { type: 'DECIMAL', precision: DECIMAL_PRECISION, scale: DECIMAL_SCALE, typeLength: DECIMAL_BYTES },
+    size: { type: 'DECIMAL', precision: DECIMAL_PRECISION, scale: DECIMAL_SCALE, typeLength: DECIMAL_BYTES },
+    side: { type: 'ENUM' }
+});
+
+export const KLINE_COLUMNS = ['open_time', 'open', 'high', 'low', 'close', 'volume', 'quote_volume'];
+
+const DECIMAL_FIELD = { type: 'DECIMAL', precision: DECIMAL_PRECISION, scale: DECIMAL_SCALE, typeLength: DECIMAL_BYTES };
+
+export const KLINE_SCHEMA = new parquet.ParquetSchema({
+    open_time: { type: 'TIMESTAMP_MILLIS' },
+    open: DECIMAL_FIELD,
+    high: DECIMAL_FIELD,
+    low: DECIMAL_FIELD,
+    close: DECIMAL_FIELD,
+    volume: DECIMAL_FIELD,
+    quote_volume: DECIMAL_FIELD
+});
+
+const SIDES = new Set(['BUY', 'SELL']);
+
+// File metadata key holding each decimal column's { scale, width }, so readers can print values as written
+export const DECIMALS_METADATA = 'kucoin.decimals';
+
+// Parse a decimal string into its unscaled integer at DECIMAL_SCALE, without going through Number
+export function parseDecimal(value) {
+    return toUnscaled(value, DECIMAL_SCALE);
+}
+
+// Encode a decimal string as a big-endian two's complement unscaled integer
+export function encodeDecimal(value) {
+    return encodeUnscaled(parseDecimal(value));
+}
+
+// Encode an unscaled integer at DECIMAL_SCALE into the FIXED_LEN_BYTE_ARRAY layout
+export function encodeUnscaled(unscaled) {
+    const buffer = Buffer.alloc(DECIMAL_BYTES);
+    let bits = BigInt.asUintN(DECIMAL_BYTES * 8, unscaled);
+    for (let i = DECIMAL_BYTES - 1; i >= 0; i--) {
+        buffer[i] = Number(bits & 0xffn);
+        bits >>= 8n;
+    }
+    return buffer;
+}
+
+// Read a FIXED_LEN_BYTE_ARRAY decimal back into its unscaled integer
+export function decodeUnscaled(buffer) {
+    let bits = 0n;
+    for (const byte of buffer) {
+        bits = (bits << 8n) | BigInt(byte);
+    }
+    return BigInt.asIntN(buffer.length * 8, bits);
+}
+
+// Decimal string for an unscaled integer at DECIMAL_SCALE: shortest (93500.5) unless `width` fixes the fraction digits
+export function formatDecimal(unscaled, { width = null } = {}) {
+    return formatUnscaled(unscaled, DECIMAL_SCALE, { width });
+}
+
+// Convert one parsed CSV record into a Parquet row
+export function toTradeRow(record) {
+    if (!SIDES.has(record.side)) {
+        throw new Error(`invalid side: ${record.side}`);
+    }
+    return {
+        trade_id: BigInt(record.trade_id),
+        trade_time: Number(record.trade_time),
+        price: encodeDecimal(record.price),
+        size: encodeDecimal(record.size),
+        side: record.side
+    };
+}
+
+// Convert one parsed kline CSV record into a Parquet row
+export function toKlineRow(record) {
+    return {
+        open_time: Number(record.open_time),
+        open: encodeDecimal(record.open),
+        high: encodeDecimal(record.high),
+        low: encodeDecimal(record.low),
+        close: encodeDecimal(record.close),
+        volume: encodeDecimal(record.volume),
+        quote_volume: encodeDecimal(record.quote_volume)
+    };
+}
+
+/**
+ * Column layouts the writer knows, keyed by the data type they hold; rows are ordered by timeColumn
+ * `decimals` maps each decimal column to the scale setting that governs it (price or size), or
+ * null for derived columns such as quote_volume that no configured scale applies to
+ */
+export const TABLES = {
+    trades: {
+        columns: TRADE_COLUMNS,
+        schema: TRADE_SCHEMA,
+        toRow: toTradeRow,
+        timeColumn: 'trade_time',
+        decimals: { price: 'price', size: 'size' }
+    },
+    klines: {
+        columns: KLINE_COLUMNS,
+        schema: KLINE_SCHEMA,
+        toRow: toKlineRow,
+        timeColumn: 'open_time',
+        decimals: { open: 'price', high: 'price', low: 'price', close: 'price', volume: 'size', quote_volume: null }
+    }
+};
+
+/**
+ * Track the decimal columns of rows about to be written
+ * `scales` ({ price, size }) are configured limits: a value needing more fractional digits than its
+ * column allows is an error rather than something to round. Returns { check(record), toJSON() }
+ */
+export function decimalTracker(table, scales = {}) {
+    const columns = Object.entries(table.decimals).map(([column, kind]) => ({
+        column,
+        limit: kind ? scales[kind] ?? null : null,
+        profile: new DecimalProfile()
+    }));
+    return {
+        check(record) {
+            for (const { column, limit, profile } of columns) {
+                const scale = profile.add(record[column]);
+                if (limit !== null && scale > limit) {
+                    throw new Error(`${column} ${record[column]} has more than the configured ${limit} decimal places`);
+                }
+            }
+        },
+        toJSON() {
+            return Object.fromEntries(columns.map(({ column, limit, profile }) =>
+                [column, { ...profile.toJSON(), ...(limit !== null && { scale: limit }) }]));
+        }
+    };
+}
+
+// Merge the decimal profiles of files read one after another; null when any file has none
+export function mergeDecimals(list) {
+    if (list.some(decimals => !decimals)) return null;
+    const merged = {};
+    for (const decimals of list) {
+        for (const [column, profile] of Object.entries(decimals)) {
+            const next = new DecimalProfile(profile);
+            merged[column] = merged[column] ? merged[column].merge(next) : next;
+        }
+    }
+    return Object.fromEntries(Object.entries(merged).map(([column, profile]) => [column, profile.toJSON()]));
+}
+
+// The { column: { scale, width } } a file was written with, or null for files without it
+export async function parquetDecimals(filePath) {
+    const reader = await parquet.ParquetReader.openFile(filePath);
+    try {
+        const value = reader.getMetadata()[DECIMALS_METADATA];
+        return value ? JSON.parse(value) : null;
+    } finally {
+        await reader.close();
+    }
+}
+
+// Stream the records of one CSV, rejecting files with the wrong header
+export function readTradeCsv(csvPath, columns = TRADE_COLUMNS) {
+    const parser = createReadStream(csvPath).pipe(csv({ strict: true }));
+
+    parser.on('headers', (headers) => {
+        if (headers.join(',') !== columns.join(',')) {
+            parser.destroy(new Error(`unexpected header in ${path.basename(csvPath)}: ${headers.join(',')}`));
+        }
+    });
+
+    return parser;
+}
+
+// Iterate the rows of a Parquet file in order
+export async function* readParquetRows(filePath) {
+    const reader = await parquet.ParquetReader.openFile(filePath);
+    try {
+        const cursor = reader.getCursor();
+        let row;
+        while ((row = await cursor.next())) {
+            yield row;
+        }
+    } finally {
+        await reader.close();
+    }
+}
+
+// Rows in a Parquet file according to its footer, or null when the file cannot be read
+export async function parquetRowCount(filePath) {
+    try {
+        const reader = await parquet.ParquetReader.openFile(filePath);
+        const rows = Number(reader.getRowCount());
+        await reader.close();
+        return rows;
+    } catch {
+        return null;
+    }
+}
+
+// Stream one daily CSV into an open writer, returning the rows appended
+async function appendCsv(writer, csvPath, table, decimals) {
+    let rows = 0;
+
+    for await (const record of readTradeCsv(csvPath, table.columns)) {
+        try {
+            decimals.check(record);
+            await writer.appendRow(table.toRow(record));
+        } catch (error) {
+            throw new Error(`${path.basename(csvPath)} row ${rows + 1}: ${error.message}`);
+        }
+        rows++;
+    }
+    return rows;
+}
+
+// Open a writer for a table with every column compressed with `compression`
+export async function openTableWriter(table, filePath, options = {}) {
+    const rowGroupSize = options.rowGroupSize || DEFAULT_ROW_GROUP_SIZE;
+    const compression = (options.compression || DEFAULT_COMPRESSION).toUpperCase();
+    if (!COMPRESSION_CODECS.includes(compression)) {
+        throw new Error(`unsupported compression ${compression} (expected one of ${COMPRESSION_CODECS.join(', ')})`);
+    }
+
+    const schema = new parquet.ParquetSchema(Object.fromEntries(
+        Object.entries(table.schema.schema).map(([name, field]) => [name, { ...field, compression }])
+    ));
+    return parquet.ParquetWriter.openFile(schema, filePath, { rowGroupSize });
+}
+
+/**
+ * Stream CSVs, oldest first, into one Parquet file written through a temp file
+ * The file's metadata records each decimal column's scale and written width (see DECIMALS_METADATA);
+ * `options.scales` sets price and size scales to enforce instead of taking them from the data
+ */
+export async function writeParquetFile(csvFiles, parquetPath, options = {}) {
+    const table = options.table || TABLES.trades;
+    const rowGroupSize = options.rowGroupSize || DEFAULT_ROW_GROUP_SIZE;
+    const compression = (options.compression || DEFAULT_COMPRESSION).toUpperCase();
+    const tempPath = `${parquetPath}.partial`;
+    let writer;
+
+    try {
+        await fs.mkdir(path.dirname(parquetPath), { recursive: true });
+        writer = await openTableWriter(table, tempPath, { rowGroupSize, compression });
+        const tracker = decimalTracker(table, options.scales);
+
+        let recordCount = 0;
+        const sourceFiles = [];
+        for (const csvPath of [...csvFiles].sort()) {
+            const rows = await appendCsv(writer, csvPath, table, tracker);
+            recordCount += rows;
+            sourceFiles.push({ file: path.basename(csvPath), rows });
+        }
+
+        const decimals = tracker.toJSON();
+        writer.setMetadata(DECIMALS_METADATA, JSON.stringify(decimals));
+        await writer.close();
+        writer = null;
+        await fs.rename(tempPath, parquetPath);
+        return { success: true, parquetPath, recordCount, rowGroupSize, compression, sourceFiles, decimals };
+
+    } catch (error) {
+        if (writer) {
+            await writer.close().catch(() => {});
+        }
+        await fs.rm(tempPath, { force: true });
+        return { success: false, error: error.message };
+    }
+}
+
+// Create monthly parquet file
+export async function createMonthlyParquet(csvFiles, month, outputDir, options = {}) {
+    const name = options.name || options.symbol;
+    const parquetPath = path.join(outputDir, `${name}-${month}.parquet`);
+
+    log(`📊 Creating monthly parquet for ${month} from ${csvFiles.length} file(s)...`);
+    const result = await writeParquetFile(csvFiles, parquetPath, options);
+    if (result.success) {
+        log(`✅ Created parquet: ${parquetPath} (${result.recordCount} records)`);
+    } else {
+        logError(`❌ Parquet creation error: ${result.error}`);
+    }
+    return result;
+}
@@ -0,0 +1,1504 @@
+/**
+ * The KuCoin pipeline as a library
+ * runPipeline(options) downloads, verifies, unpacks, validates and converts every planned symbol,
+ * reporting progress on an optional EventEmitter and stopping early when its AbortSignal fires
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { log, logWarn, logError, withLogContext } from './log.js';
+import { unpackZip, verifyZip } from './unzip.js';
+import { createMonthlyParquet, parquetRowCount } from './parquet.js';
+import { createMonthlyCandles, candleFileName, DEFAULT_CANDLE_INTERVALS } from './candles.js';
+import { buildPlans, PIPELINE_MODES, DEFAULTS } from './cli.js';
+import { parseDataset, archivePeriod, DEFAULT_DATASET } from './datasets.js';
+import { updateHiveMonth, datasetPartition, monthPeriods, HIVE_DIR, DEFAULT_LAYOUT } from './hive.js';
+import { discoverSymbolFiles, discoverSymbols, BUCKET_URL } from './discovery.js';
+import { downloadFile, partPathFor } from './download.js';
+import { Ledger, hasFileOfSize } from './ledger.js';
+import { verifyChecksum } from './checksum.js';
+import {
+    validateTradeCsv,
+    summarizeMonths,
+    quarantineFile,
+    DEFAULT_THRESHOLDS,
+    DEFAULT_QUALITY_POLICY,
+    QUALITY_REPORT_FILE,
+    QUARANTINE_DIR
+} from './quality.js';
+import { createPool, backoffDelay, sleep, RateLimiter, TimeBudget } from './scheduler.js';
+import { writeMetrics, METRICS_FILE } from './metrics.js';
+import { parseShard, shardSymbols, loadShardWeights, DEFAULT_SHARD_STRATEGY, SHARD_MANIFEST_FILE } from './shards.js';
+import { createSink, parseSinkLayout, publishFile, DEFAULT_SINK_LAYOUT } from './sinks.js';
+import { estimateSpace, DiskBudget, removeFiles, leftoverPartials, DEFAULT_RETENTION } from './disk.js';
+import { reconcileDay, readReconcileReport, LIVE_DIR, RECONCILE_REPORT_FILE } from './capture.js';
+import { checkpointRequest, planKey, readCheckpoint, resumes, writeCheckpoint, clearCheckpoint } from './checkpoint.js';
+
+export const PHASES = ['download', 'verify', 'unpack', 'validate', 'parquet', 'candles'];
+
+// Events emitted on options.events while a run is in progress
+export const PIPELINE_EVENTS = [
+    'phase-started',
+    'phase-complete',
+    'file-started',
+    'bytes-downloaded',
+    'verified',
+    'symbol-complete',
+    'error'
+];
+
+const TRADE_ONLY_PHASES = ['validate', 'candles'];
+
+export const DEFAULT_CONFIG = Object.freeze({
+    outputDir: './output',
+    timeout: 30000,
+    maxRetries: 2,
+    concurrency: 4,
+    symbolConcurrency: 1,
+    runTimeout: 0,
+    timeBudget: 0,
+    maxBytesPerSec: 0,
+    backoffBaseMs: 1000,
+    backoffMaxMs: 60000,
+    maxEntryBytes: 2 * 1024 * 1024 * 1024,
+    parquetRowGroupSize: 100000,
+    parquetCompression: 'SNAPPY',
+    layout: DEFAULT_LAYOUT,
+    candleIntervals: DEFAULT_CANDLE_INTERVALS,
+    qualityPolicy: DEFAULT_QUALITY_POLICY,
+    qualityMaxGapMs: DEFAULT_THRESHOLDS.maxGapMs,
+    qualityMaxJumpPct: DEFAULT_THRESHOLDS.maxJumpPct,
+    retention: DEFAULT_RETENTION,
+    // Fractional digits prices and sizes may use; null takes them from the data
+    priceScale: null,
+    sizeScale: null
+});
+
+// Per-run settings from parsed options; timeouts and gaps are given in seconds, like on the command line
+export function configFromOptions(options = {}) {
+    const seconds = (value, fallback) => value !== undefined ? value * 1000 : fallback;
+    return {
+        ...DEFAULT_CONFIG,
+        outputDir: options.output ?? DEFAULT_CONFIG.outputDir,
+        parquetRowGroupSize: options.rowGroupSize ?? DEFAULT_CONFIG.parquetRowGroupSize,
+        parquetCompression: options.compression ?? DEFAULT_CONFIG.parquetCompression,
+        layout: options.layout ?? DEFAULT_CONFIG.layout,
+        concurrency: options.concurrency ?? DEFAULT_CONFIG.concurrency,
+        symbolConcurrency: options.symbolConcurrency ?? DEFAULT_CONFIG.symbolConcurrency,
+        maxRetries: options.maxRetries ?? DEFAULT_CONFIG.maxRetries,
+        timeout: seconds(options.requestTimeout, DEFAULT_CONFIG.timeout),
+        runTimeout: seconds(options.runTimeout, DEFAULT_CONFIG.runTimeout),
+        timeBudget: seconds(options.timeBudget, DEFAULT_CONFIG.timeBudget),
+        maxBytesPerSec: options.maxBytesPerSec ?? DEFAULT_CONFIG.maxBytesPerSec,
+        qualityPolicy: options.qualityPolicy ?? DEFAULT_CONFIG.qualityPolicy,
+        candleIntervals: options.intervals ?? DEFAULT_CONFIG.candleIntervals,
+        qualityMaxGapMs: seconds(options.maxGap, DEFAULT_CONFIG.qualityMaxGapMs),
+        qualityMaxJumpPct: options.maxJumpPct ?? DEFAULT_CONFIG.qualityMaxJumpPct,
+        retention: options.retention ?? DEFAULT_CONFIG.retention,
+        priceScale: options.priceScale ?? DEFAULT_CONFIG.priceScale,
+        sizeScale: options.sizeScale ?? DEFAULT_CONFIG.sizeScale
+    };
+}
+
+// Fill in what a programmatic caller left out, accepting dataset ids as strings
+function normalizeOptions(options) {
+    const mode = options.mode ?? (options.phases ? 'custom' : 'full');
+    if (!options.phases && !(mode in PIPELINE_MODES)) {
+        throw new Error(`unknown mode "${mode}" (expected ${Object.keys(PIPELINE_MODES).join(', ')})`);
+    }
+    const phases = options.phases ?? PIPELINE_MODES[mode];
+    for (const phase of phases) {
+        if (!PHASES.includes(phase)) {
+            throw new Error(`unknown phase "${phase}" (expected ${PHASES.join(', ')})`);
+        }
+    }
+    return {
+        ...options,
+        mode,
+        phases,
+        datasets: (options.datasets ?? DEFAULTS.datasets).map(d => typeof d === 'string' ? parseDataset(d) : d),
+        symbols: options.symbols ?? DEFAULTS.symbols,
+        shard: typeof options.shard === 'string' ? parseShard(options.shard) : options.shard ?? null,
+        from: options.from ?? DEFAULTS.from,
+        to: options.to ?? DEFAULTS.to,
+        output: options.output ?? DEFAULTS.output,
+        bucketUrl: options.bucketUrl ?? BUCKET_URL,
+        sinkLayout: parseSinkLayout(options.sinkLayout ?? DEFAULT_SINK_LAYOUT),
+        symbolOverrides: options.symbolOverrides ?? {},
+        datasetOverrides: options.datasetOverrides ?? {}
+    };
+}
+
+// The run's settings in kucoin.config.json form, so the summary's copy can be fed back with --config
+function effectiveSettings(options, config) {
+    const settings = {
+        datasets: options.datasets.map(d => d.id),
+        symbols: options.symbols,
+        from: options.from,
+        to: options.to,
+        output: config.outputDir,
+        bucketUrl: options.bucketUrl,
+        mode: options.mode in PIPELINE_MODES ? options.mode : undefined,
+        rowGroupSize: config.parquetRowGroupSize,
+        compression: config.parquetCompression,
+        layout: config.layout,
+        intervals: config.candleIntervals,
+        concurrency: config.concurrency,
+        symbolConcurrency: config.symbolConcurrency,
+        maxRetries: config.maxRetries,
+        requestTimeout: config.timeout / 1000,
+        // Zero means "no limit", which the file spells by leaving the setting out
+        runTimeout: config.runTimeout > 0 ? config.runTimeout / 1000 : undefined,
+        timeBudget: config.timeBudget > 0 ? config.timeBudget / 1000 : undefined,
+        maxBytesPerSec: config.maxBytesPerSec > 0 ? config.maxBytesPerSec : undefined,
+        qualityPolicy: config.qualityPolicy,
+        maxGap: config.qualityMaxGapMs / 1000,
+        maxJumpPct: config.qualityMaxJumpPct,
+        retention: config.retention,
+        priceScale: config.priceScale ?? undefined,
+        sizeScale: config.sizeScale ?? undefined,
+        logFormat: options.logFormat,
+        logLevel: options.logLevel,
+        metricsFile: typeof options.metricsFile === 'string' ? options.metricsFile : undefined,
+        shard: options.shard ? `${options.shard.index}/${options.shard.count}` : undefined,
+        shardBy: options.shardBy,
+        shardWeights: options.shardWeights,
+        sink: typeof options.sink === 'string' ? options.sink : undefined,
+        sinkLayout: typeof options.sink === 'string' ? options.sinkLayout : undefined,
+        sinkEndpoint: options.sinkEndpoint
+    };
+    return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+}
+
+// Configured price and size scales in the form the Parquet and candle writers take
+function decimalScales(config) {
+    return { price: config.priceScale, size: config.sizeScale };
+}
+
+// Overrides for one plan, dataset first so a symbol's own settings win
+function planOverrides(plan, options) {
+    return { ...options.datasetOverrides[plan.dataset.id], ...options.symbolOverrides[plan.symbol] };
+}
+
+// Expand `symbols: 'all'` from the bucket listing, then keep only this run's shard
+async function resolveSymbols(options, config = configFromOptions(options)) {
+    let universe = options.symbols;
+    if (universe === 'all') {
+        const found = new Set();
+        for (const dataset of options.datasets) {
+            const symbols = await discoverSymbols({ dataset, bucketUrl: options.bucketUrl, timeout: config.timeout });
+            symbols.forEach(symbol => found.add(symbol));
+        }
+        universe = [...found].sort();
+    }
+    if (!options.shard) {
+        return { symbols: universe, shard: null };
+    }
+
+    const strategy = options.shardBy ?? DEFAULT_SHARD_STRATEGY;
+    const weights = options.shardWeights ? await loadShardWeights(options.shardWeights) : {};
+    const symbols = shardSymbols(universe, options.shard, { strategy, weights });
+    log(`🧩 Shard ${options.shard.index}/${options.shard.count} (${strategy}): ${symbols.length} of ${universe.length} symbol(s)`);
+    return {
+        symbols,
+        shard: { ...options.shard, strategy, universe: universe.length, symbols }
+    };
+}
+
+// Emit a progress event; 'error' is only emitted when someone listens, so it never throws
+function emit(context, name, payload) {
+    if (!context.events) return;
+    if (name === 'error' && context.events.listenerCount('error') === 0) return;
+    context.events.emit(name, payload);
+}
+
+// Why the run stopped early, for results and log lines
+function stopReason(context) {
+    return context.stop.reason ?? 'cancelled';
+}
+
+// True once the run has been cancelled or asked to drain
+function stopping(context) {
+    return context.signal.aborted || context.stop.reason !== null;
+}
+
+// Stop starting new files while the ones in flight finish; the first reason given is kept
+function drain(context, reason) {
+    if (context.stop.reason !== null) return;
+    context.stop.reason = reason;
+    log(`⏹️ Stopping (${reason}) - no new files will start, those in flight finish`);
+}
+
+// Whether to start one more `kind` step over `bytes`; a step the time budget cannot fit drains the run
+function mayStart(context, kind, bytes) {
+    if (stopping(context)) return false;
+    if (context.budget && !context.budget.fits(kind, bytes)) {
+        drain(context, 'time budget');
+        return false;
+    }
+    return true;
+}
+
+// Run one step and record its duration against the time budget
+async function budgeted(context, kind, bytes, work) {
+    const started = performance.now();
+    const result = await work();
+    context.budget?.record(kind, performance.now() - started, bytes);
+    return result;
+}
+
+// Total size of a month's CSVs, which budget estimates scale by
+async function fileBytes(paths) {
+    let bytes = 0;
+    for (const filePath of paths) {
+        bytes += (await fs.stat(filePath).catch(() => null))?.size ?? 0;
+    }
+    return bytes;
+}
+
+// Download file with checksum, renaming it into place only once verified
+async function downloadWithChecksum(plan, filename, symbolDir, ledger, listed, context) {
+    const fileUrl = plan.baseUrl + filename;
+    const checksumUrl = plan.baseUrl + filename + '.CHECKSUM';
+    const filePath = path.join(symbolDir, filename);
+    const checksumPath = path.join(symbolDir, filename + '.CHECKSUM');
+
+    try {
+        log(`📥 Downloading ${filename}...`);
+
+        const requestOptions = { timeout: context.config.timeout, signal: context.signal, rateLimiter: context.rateLimiter };
+        const onProgress = (progress) => emit(context, 'bytes-downloaded', { ...eventSource(plan), filename, ...progress });
+
+        // Download main file (resumes a leftover part file)
+        const fileResult = await downloadFile(fileUrl, filePath, { ...requestOptions, onProgress });
+        if (!fileResult.success) {
+            return {
+                filename,
+                status: fileResult.aborted ? 'cancelled' : 'download_failed',
+                error: fileResult.error,
+                retryable: !!fileResult.retryable,
+                retryAfterMs: fileResult.retryAfterMs
+            };
+        }
+        if (fileResult.resumedFrom > 0) {
+            log(`↪️ Resumed ${filename} from byte ${fileResult.resumedFrom}`);
+        }
+
+        // Download checksum
+        log(`🔍 Downloading checksum for ${filename}...`);
+        const checksumResult = await downloadFile(checksumUrl, checksumPath, requestOptions);
+        if (!checksumResult.success) {
+            await fs.rm(checksumResult.partPath, { force: true });
+            if (checksumResult.retryable || checksumResult.aborted) {
+                // The archive stays in its part file, so the retry only re-asks for the checksum
+                return {
+                    filename,
+                    status: checksumResult.aborted ? 'cancelled' : 'download_failed',
+                    error: `checksum: ${checksumResult.error}`,
+                    retryable: !!checksumResult.retryable,
+                    retryAfterMs: checksumResult.retryAfterMs
+                };
+            }
+            logWarn(`⚠️ No checksum available for ${filename} - left unverified in ${path.basename(fileResult.partPath)}`);
+            return { filename, status: 'no_checksum', bytes: fileResult.bytes, checksum: { status: 'no_checksum' } };
+        }
+        await fs.rename(checksumResult.partPath, checksumPath);
+
+        // Verify checksum
+        log(`✅ Verifying ${filename}...`);
+        const check = await verifyChecksum(fileResult.partPath, checksumPath, filename);
+        const checksum = checksumSummary(check);
+
+        if (check.valid) {
+            await fs.rename(fileResult.partPath, filePath);
+            ledger.recordDownload(filename, {
+                bytes: fileResult.bytes,
+                algorithm: check.algorithm,
+                digest: check.actual,
+                etag: listed?.etag
+            });
+            await ledger.save();
+            log(`✅ ${filename} verified successfully (${check.algorithm})`);
+            emit(context, 'verified', { ...eventSource(plan), filename, bytes: fileResult.bytes, algorithm: check.algorithm, digest: check.actual });
+            return { filename, status: 'verified', bytes: fileResult.bytes, resumedFrom: fileResult.resumedFrom, checksum };
+        }
+
+        if (check.status !== 'checksum_failed') {
+            // Empty, unreadable or foreign checksum files say nothing about the archive
+            logWarn(`⚠️ Unusable checksum for ${filename} (${check.status}: ${check.error}) - left unverified in ${path.basename(fileResult.partPath)}`);
+            return { filename, status: check.status, bytes: fileResult.bytes, error: check.error, checksum };
+        }
+
+        // A corrupt part file must not be resumed, so start the retry from scratch
+        await fs.rm(fileResult.partPath, { force: true });
+        logError(`❌ ${filename} ${check.algorithm} mismatch (expected ${check.expected}, got ${check.actual}) - will retry`);
+        return { filename, status: 'checksum_failed', bytes: fileResult.bytes, checksum };
+
+    } catch (error) {
+        logError(`❌ Error with ${filename}: ${error.message}`);
+        return { filename, status: 'error', error: error.message };
+    }
+}
+
+// Symbol and dataset every event carries
+function eventSource(plan) {
+    return { symbol: plan.symbol, dataset: plan.dataset.id };
+}
+
+// What the summary records about a checksum check
+function checksumSummary(check) {
+    return {
+        status: check.status,
+        algorithm: check.algorithm || null,
+        expected: check.expected || null,
+        actual: check.actual || null,
+        ...(check.error ? { error: check.error } : {})
+    };
+}
+
+// Month (YYYY-MM) of a daily or monthly file such as BTCUSDT-trades-2025-01-01.csv or BTCUSDT-1h-2025-01.csv
+function fileMonth(filename) {
+    const match = /-(\d{4}-\d{2})(?:-\d{2})?\.(zip|csv)$/.exec(filename);
+    return match ? match[1] : null;
+}
+
+// Group extracted CSVs by the month in their file name, oldest month first
+function groupByMonth(csvFiles) {
+    const csvByMonth = new Map();
+    for (const file of csvFiles) {
+        const month = fileMonth(file.name);
+        if (!csvByMonth.has(month)) csvByMonth.set(month, []);
+        csvByMonth.get(month).push(file.path);
+    }
+    return [...csvByMonth].sort();
+}
+
+// True when a month was last built from exactly these daily files
+function sameSources(done, paths) {
+    return done?.status === 'done'
+        && done.sourceFiles.map(f => f.file).sort().join() === paths.map(p => path.basename(p)).sort().join();
+}
+
+// Months of the plan whose CSVs the retention policy removed; they count as up to date
+function prunedMonths(plan, ledger) {
+    return [...new Set(plan.files.map(fileMonth))].filter(month => ledger.prunedMonth(month)).sort();
+}
+
+// Results for pruned months without CSVs this run, from what the ledger recorded when they were built
+function prunedResults(plan, ledger, csvFiles, what, describe) {
+    const present = new Set(csvFiles.map(f => fileMonth(f.name)));
+    return prunedMonths(plan, ledger).filter(month => !present.has(month)).map(month => {
+        const done = describe(month);
+        if (!done) {
+            logError(`❌ ${month} was pruned before its ${what} were built - delete its ledger entry to rebuild`);
+            return { month, success: false, pruned: true, error: `pruned before its ${what} were built` };
+        }
+        log(`⏭️ ${month} was pruned after its ${what} were built - skipping`);
+        return { month, success: true, skipped: true, pruned: true, ...done };
+    });
+}
+
+const byMonth = (a, b) => a.month < b.month ? -1 : a.month > b.month ? 1 : 0;
+
+// Pick the files to fetch from the bucket inventory, falling back to guessed names
+async function resolvePlanFiles(plan, options, context) {
+    try {
+        const inventory = await discoverSymbolFiles(plan.symbol, {
+            dataset: plan.dataset,
+            bucketUrl: options.bucketUrl,
+            from: options.from,
+            to: options.to,
+            timeout: context.config.timeout
+        });
+        const listedPeriods = new Set(inventory.map(f => f.period));
+        return {
+            files: inventory.map(f => f.filename),
+            inventory,
+            discovery: {
+                source: 'listing',
+                filesListed: inventory.length,
+                missingPeriods: plan.periods.filter(period => !listedPeriods.has(period))
+            }
+        };
+    } catch (error) {
+        logWarn(`⚠️ Listing failed for ${plan.symbol}: ${error.message} - falling back to guessed file names`);
+        return {
+            files: plan.files,
+            inventory: [],
+            discovery: { source: 'guessed', error: error.message }
+        };
+    }
+}
+
+// Daily archives already on disk for the plan's days
+async function localZipFiles(plan, symbolDir) {
+    const wanted = new Set(plan.files);
+    const entries = await fs.readdir(symbolDir).catch(() => []);
+    return entries.filter(name => wanted.has(name)).sort();
+}
+
+// Extracted daily CSVs already on disk for the plan's days
+async function localCsvFiles(plan, extractDir) {
+    const wanted = new Set(plan.files.map(name => name.replace(/\.zip$/, '.csv')));
+    const entries = await fs.readdir(extractDir).catch(() => []);
+    return entries
+        .filter(name => wanted.has(name))
+        .sort()
+        .map(name => ({ name, path: path.join(extractDir, name) }));
+}
+
+// Fetch one archive with backoff, unless the ledger says it is already done
+async function fetchArchive(plan, filename, symbolDir, ledger, listed, context) {
+    const known = ledger.file(filename);
+    const withListing = (result) => listed ? { ...result, listedBytes: listed.size, etag: listed.etag } : result;
+
+    // Skip archives the ledger already verified, unless upstream has since changed
+    if (known?.phases.download?.status === 'verified'
+        && await hasFileOfSize(path.join(symbolDir, filename), known.bytes)
+        && (!listed?.etag || !known.etag || listed.etag === known.etag)) {
+        log(`⏭️ ${filename} already verified - skipping download`);
+        return withListing({ filename, status: 'verified', bytes: known.bytes, skipped: true });
+    }
+
+    // A pruned month is already in Parquet and would only be unpacked again
+    if (known?.phases.download?.status === 'verified' && ledger.prunedMonth(fileMonth(filename))) {
+        log(`⏭️ ${filename} was pruned after its month was built - skipping download`);
+        return withListing({ filename, status: 'verified', bytes: known.bytes, skipped: true, pruned: true });
+    }
+
+    let attempts = 0;
+    let result;
+    const started = performance.now();
+
+    // Retry bad checksums from scratch, and timeouts, 429s and 5xx where they stopped; a stopping run starts and retries nothing
+    while (true) {
+        if (attempts === 0 ? !mayStart(context, 'download', listed?.size) : stopping(context)) {
+            result = { filename, status: 'cancelled', error: stopReason(context) };
+            break;
+        }
+
+        attempts++;
+        emit(context, 'file-started', { ...eventSource(plan), phase: 'download', filename, attempt: attempts });
+        result = await downloadWithChecksum(plan, filename, symbolDir, ledger, listed, context);
+        const retryable = result.status === 'checksum_failed' || result.retryable;
+        if (!retryable || attempts >= context.config.maxRetries) break;
+
+        const delay = result.retryAfterMs ?? backoffDelay(attempts, { baseMs: context.config.backoffBaseMs, maxMs: context.config.backoffMaxMs });
+        log(`🔄 Retrying ${filename} in ${delay}ms (attempt ${attempts + 1}, ${result.error || result.status})`);
+        try {
+            await sleep(delay, context.signal);
+        } catch {
+            result = { ...result, status: 'cancelled', error: stopReason(context) };
+            break;
+        }
+    }
+
+    if (result.status === 'verified') {
+        context.budget?.record('download', performance.now() - started, result.bytes);
+    } else if (result.status !== 'cancelled') {
+        emit(context, 'error', { ...eventSource(plan), phase: 'download', filename, status: result.status, error: result.error || result.status });
+    }
+
+    // A download that failed for good leaves nothing behind; a stopped run keeps its part file to resume
+    if (['download_failed', 'error'].includes(result.status)) {
+        const removed = await removeFiles([partPathFor(path.join(symbolDir, filename))]);
+        if (removed.files) result = { ...result, partBytesRemoved: removed.bytes };
+    }
+    return withListing({ ...result, attempts });
+}
+
+// Reserve room for the listed archives still to fetch, plus the CSVs and Parquet they will become
+async function reserveSpace(plan, options, inventory, symbolDir, ledger, context) {
+    if (inventory.length === 0) {
+        return { estimatedBytes: null, freeBytes: null, reservedBytes: 0 };
+    }
+    let archiveBytes = 0;
+    for (const file of inventory) {
+        const known = ledger.file(file.filename);
+        const done = known?.phases.download?.status === 'verified'
+            && (ledger.prunedMonth(fileMonth(file.filename)) || await hasFileOfSize(path.join(symbolDir, file.filename), known.bytes));
+        if (!done) archiveBytes += file.size;
+    }
+
+    const estimate = estimateSpace(archiveBytes, options.phases);
+    const { ok, free, available } = await context.diskBudget.reserve(estimate.total);
+    const disk = { estimatedBytes: estimate.total, freeBytes: free, reservedBytes: ok ? estimate.total : 0 };
+    if (!ok) {
+        return { ...disk, error: `not enough disk space for ${plan.symbol}: needs about ${estimate.total} bytes (${estimate.archives} archives, ${estimate.csv} CSV, ${estimate.parquet} Parquet), ${available} available` };
+    }
+    if (free !== null) {
+        log(`💽 ${plan.symbol} needs about ${estimate.total} bytes of ${free} free`);
+    }
+    return disk;
+}
+
+// Phase 1: discover, download and verify against the published checksum
+async function downloadPhase(plan, options, symbolDir, ledger, context) {
+    log(`\n📥 PHASE 1: Download and Verify`);
+
+    // Discover what the bucket actually holds for the range
+    const { files, inventory, discovery } = await resolvePlanFiles(plan, options, context);
+    const listing = new Map(inventory.map(f => [f.filename, f]));
+    if (discovery.missingPeriods?.length) {
+        logWarn(`⚠️ ${discovery.missingPeriods.length} ${plan.dataset.period} archive(s) not in the bucket listing for ${plan.symbol}`);
+    }
+
+    const disk = await reserveSpace(plan, options, inventory, symbolDir, ledger, context);
+    if (disk.error) {
+        logError(`❌ ${disk.error}`);
+        emit(context, 'error', { ...eventSource(plan), phase: 'download', error: disk.error });
+        return { files, discovery, downloadResults: [], disk };
+    }
+
+    // Files from every symbol share one pool, so --concurrency is a global limit
+    const downloadResults = await Promise.all(files.map(filename =>
+        context.downloadPool.run(() => withLogContext({ file: filename },
+            () => fetchArchive(plan, filename, symbolDir, ledger, listing.get(filename), context)))
+    ));
+
+    return { files, discovery, downloadResults, disk };
+}
+
+// Re-hash and re-validate archives on disk without touching the network
+async function verifyPhase(plan, symbolDir, ledger, context) {
+    log(`\n🔍 PHASE: Verify Files On Disk`);
+    const files = await localZipFiles(plan, symbolDir);
+    const verifyResults = [];
+
+    for (const filename of files) {
+        emit(context, 'file-started', { ...eventSource(plan), phase: 'verify', filename });
+        const filePath = path.join(symbolDir, filename);
+        const checksumPath = filePath + '.CHECKSUM';
+        const { size: bytes } = await fs.stat(filePath);
+
+        const check = await verifyChecksum(filePath, checksumPath, filename);
+        const zipCheck = await verifyZip(filePath, { maxEntryBytes: context.config.maxEntryBytes });
+
+        let status = check.status;
+        if (!zipCheck.success) status = 'corrupt_zip';
+
+        // Keep the ledger honest so the next run re-fetches anything that went bad
+        const known = ledger.file(filename);
+        if (status !== 'verified') {
+            ledger.invalidate(filename, status);
+        } else if (known?.phases.download?.status !== 'verified' || known.digest !== check.actual) {
+            ledger.recordDownload(filename, { bytes, algorithm: check.algorithm, digest: check.actual, etag: known?.etag });
+        }
+
+        (status === 'verified' ? log : logError)(`${status === 'verified' ? '✅' : '❌'} ${filename}: ${status}`, { file: filename });
+        if (status === 'verified') {
+            emit(context, 'verified', { ...eventSource(plan), filename, bytes, algorithm: check.algorithm, digest: check.actual });
+        } else {
+            emit(context, 'error', { ...eventSource(plan), phase: 'verify', filename, status, error: zipCheck.error || check.error || status });
+        }
+        verifyResults.push({
+            filename,
+            status,
+            bytes,
+            rows: zipCheck.totalRows,
+            checksum: checksumSummary(check),
+            ...(zipCheck.success ? {} : { error: zipCheck.error })
+        });
+    }
+
+    return { files, verifyResults };
+}
+
+// Reuse a previous unpack when every recorded file is still on disk
+async function previousUnpack(filename, extractDir, ledger) {
+    const done = ledger.phase(filename, 'unpack');
+    if (done?.status !== 'done') return null;
+
+    const files = done.files.map(f => ({ ...f, path: path.join(extractDir, f.name) }));
+    for (const file of files) {
+        if (!await hasFileOfSize(file.path, file.bytes)) return null;
+    }
+    return {
+        success: true,
+        skipped: true,
+        csvFiles: files.filter(f => f.name.endsWith('.csv')).map(f => f.name),
+        files,
+        totalBytes: files.reduce((sum, f) => sum + f.bytes, 0),
+        totalRows: files.reduce((sum, f) => sum + f.rows, 0)
+    };
+}
+
+// Phase 2: unpack the given archives
+async function unpackPhase(plan, filenames, symbolDir, extractDir, ledger, context) {
+    log(`\n📦 PHASE 2: Unpack Files`);
+    const unpackResults = [];
+
+    for (const filename of filenames) {
+        const previous = await previousUnpack(filename, extractDir, ledger);
+        if (previous) {
+            log(`⏭️ ${filename} already unpacked - skipping`);
+            unpackResults.push({ filename, ...previous });
+            continue;
+        }
+
+        const zipBytes = ledger.file(filename)?.bytes;
+        if (!mayStart(context, 'unpack', zipBytes)) break;
+        emit(context, 'file-started', { ...eventSource(plan), phase: 'unpack', filename });
+        const zipPath = path.join(symbolDir, filename);
+        const unpackResult = await budgeted(context, 'unpack', zipBytes, () => withLogContext({ file: filename },
+            () => unpackZip(zipPath, extractDir, { maxEntryBytes: context.config.maxEntryBytes })));
+        unpackResults.push({ filename, ...unpackResult });
+
+        if (unpackResult.success) {
+            ledger.recordPhase(filename, 'unpack', 'done', {
+                files: unpackResult.files.map(({ name, bytes, rows }) => ({ name, bytes, rows }))
+            });
+            await ledger.save();
+        } else {
+            emit(context, 'error', { ...eventSource(plan), phase: 'unpack', filename, error: unpackResult.error });
+        }
+    }
+
+    return unpackResults;
+}
+
+// Phase 3: check every extracted CSV and apply the quality policy to bad days
+async function validatePhase(plan, csvFiles, symbolDir, context) {
+    const { symbol } = plan;
+    log(`\n🔎 PHASE 3: Validate Trade Data (policy: ${context.config.qualityPolicy})`);
+    const policy = context.config.qualityPolicy;
+    const days = [];
+
+    for (const file of csvFiles) {
+        if (!mayStart(context, 'validate', file.bytes)) break;
+        emit(context, 'file-started', { ...eventSource(plan), phase: 'validate', filename: file.name });
+        const report = await budgeted(context, 'validate', file.bytes, () => validateTradeCsv(file.path, {
+            maxGapMs: context.config.qualityMaxGapMs,
+            maxJumpPct: context.config.qualityMaxJumpPct
+        }));
+        const flagged = Object.entries(report.checks).filter(([, n]) => n > 0).map(([name, n]) => `${name} ${n}`);
+        const icon = { ok: '✅', warning: '⚠️', error: '❌' }[report.status];
+        const write = { ok: log, warning: logWarn, error: logError }[report.status];
+        write(`${icon} ${file.name}: ${report.rows} rows${flagged.length ? ` - ${flagged.join(', ')}` : ''}`, { file: file.name, rows: report.rows });
+        days.push(report);
+    }
+
+    const badDays = new Set(days.filter(r => r.status === 'error').map(r => r.file));
+    const badMonths = new Set(csvFiles.filter(f => badDays.has(f.name)).map(f => fileMonth(f.name)));
+    const quarantined = [];
+    // Days a stopped run never got to check are left for the next run, not passed on unchecked
+    const checked = new Set(days.map(r => r.file));
+    let accepted = csvFiles.filter(f => checked.has(f.name));
+
+    if (policy === 'quarantine') {
+        // Bad days are moved aside and the rest of their month still gets built
+        for (const file of accepted.filter(f => badDays.has(f.name))) {
+            const target = await quarantineFile(file.path, path.join(symbolDir, QUARANTINE_DIR));
+            logWarn(`🚧 Quarantined ${file.name} → ${path.relative(symbolDir, target)}`);
+            quarantined.push(file.name);
+        }
+        accepted = accepted.filter(f => !badDays.has(f.name));
+    } else if (policy === 'fail') {
+        // A month with any bad day is not built at all
+        accepted = accepted.filter(f => !badMonths.has(fileMonth(f.name)));
+        for (const month of badMonths) {
+            logError(`❌ ${month} has invalid days - not building its Parquet file`);
+        }
+    }
+
+    const report = {
+        symbol,
+        generatedAt: new Date().toISOString(),
+        policy,
+        thresholds: { maxGapMs: context.config.qualityMaxGapMs, maxJumpPct: context.config.qualityMaxJumpPct },
+        daysChecked: days.length,
+        daysWithErrors: badDays.size,
+        daysWithWarnings: days.filter(r => r.status === 'warning').length,
+        quarantined,
+        months: summarizeMonths(days),
+        days
+    };
+    await fs.writeFile(path.join(symbolDir, QUALITY_REPORT_FILE), JSON.stringify(report, null, 2));
+
+    return { qualityReport: report, acceptedCsvFiles: accepted };
+}
+
+/**
+ * After validation: compare each day that also has a live capture with its official archive
+ * Days whose capture and archive are the same size as last time keep their earlier result
+ */
+async function reconcilePhase(plan, csvFiles, symbolDir) {
+    log(`\n🧾 PHASE: Reconcile Live Capture`);
+    const previous = await readReconcileReport(symbolDir);
+    const days = new Map(previous);
+
+    for (const file of csvFiles) {
+        const livePath = path.join(symbolDir, LIVE_DIR, file.name);
+        const live = await fs.stat(livePath).catch(() => null);
+        if (!live) continue;
+        const archiveBytes = (await fs.stat(file.path)).size;
+        const done = previous.get(file.name);
+        if (done && done.liveBytes === live.size && done.archiveBytes === archiveBytes) {
+            log(`⏭️ ${file.name} already reconciled - skipping`);
+            continue;
+        }
+
+        const result = await reconcileDay(livePath, file.path);
+        days.set(file.name, { file: file.name, liveBytes: live.size, archiveBytes, ...result });
+        const write = result.status === 'match' ? log : logWarn;
+        write(`${result.status === 'match' ? '✅' : '⚠️'} ${file.name}: ${result.matched} of ${result.liveTrades} captured trade(s) in the archive, `
+            + `${result.missing} missing from the capture, ${result.extra} extra`, { file: file.name });
+    }
+
+    const entries = [...days.values()].sort((a, b) => a.file.localeCompare(b.file));
+    const report = {
+        symbol: plan.symbol,
+        generatedAt: new Date().toISOString(),
+        daysReconciled: entries.length,
+        missingTrades: entries.reduce((sum, d) => sum + d.missing, 0),
+        extraTrades: entries.reduce((sum, d) => sum + d.extra, 0),
+        days: entries
+    };
+    await fs.writeFile(path.join(symbolDir, RECONCILE_REPORT_FILE), JSON.stringify(report, null, 2));
+    return report;
+}
+
+// Phase 4: one Parquet file per month of extracted CSVs
+async function parquetPhase(plan, csvFiles, parquetDir, ledger, context) {
+    const { symbol, dataset } = plan;
+    const name = dataset.interval ? `${symbol}-${dataset.interval}` : symbol;
+    log(`\n📊 PHASE 4: Create Parquet Files`);
+    const parquetResults = [];
+
+    for (const [month, paths] of groupByMonth(csvFiles)) {
+        // Skip months already built from exactly these daily files
+        const done = ledger.month(month);
+        const parquetPath = path.join(parquetDir, `${name}-${month}.parquet`);
+        if (sameSources(done, paths) && await fs.access(parquetPath).then(() => true, () => false)) {
+            log(`⏭️ Parquet for ${month} is up to date - skipping`);
+            parquetResults.push({ month, success: true, skipped: true, parquetPath, recordCount: done.recordCount });
+            continue;
+        }
+
+        const bytes = await fileBytes(paths);
+        if (!mayStart(context, 'parquet', bytes)) break;
+        emit(context, 'file-started', { ...eventSource(plan), phase: 'parquet', filename: path.basename(parquetPath), month });
+        const parquetResult = await budgeted(context, 'parquet', bytes, () => withLogContext({ file: path.basename(parquetPath) }, () => createMonthlyParquet(paths, month, parquetDir, {
+            name,
+            table: dataset.table,
+            rowGroupSize: context.config.parquetRowGroupSize,
+            compression: context.config.parquetCompression,
+            scales: decimalScales(context.config)
+        })));
+        parquetResults.push({ month, ...parquetResult });
+
+        if (parquetResult.success) {
+            ledger.recordMonth(month, {
+                parquetFile: path.basename(parquetResult.parquetPath),
+                recordCount: parquetResult.recordCount,
+                sourceFiles: parquetResult.sourceFiles
+            });
+            await ledger.save();
+        } else {
+            emit(context, 'error', { ...eventSource(plan), phase: 'parquet', month, error: parquetResult.error });
+        }
+    }
+
+    parquetResults.push(...prunedResults(plan, ledger, csvFiles, 'Parquet files', (month) => {
+        const done = ledger.month(month);
+        return done && { parquetPath: path.join(parquetDir, done.parquetFile), recordCount: done.recordCount };
+    }));
+    return parquetResults.sort(byMonth);
+}
+
+// Phase 4 in the Hive layout: add new or changed days to each month partition, compacting complete months
+async function hiveParquetPhase(plan, csvFiles, ledger, context) {
+    const { symbol, dataset } = plan;
+    const name = dataset.interval ? `${symbol}-${dataset.interval}` : symbol;
+    const root = path.join(context.config.outputDir, HIVE_DIR);
+    log(`\n📊 PHASE 4: Update Hive Partitions (${path.join(root, `dataset=${datasetPartition(dataset)}`, `symbol=${symbol}`)})`);
+    const parquetResults = [];
+
+    for (const [month, paths] of groupByMonth(csvFiles)) {
+        // A period changes when its archive's digest (or, without one, its CSV size) does
+        const sources = new Map();
+        for (const csvPath of paths) {
+            const csvName = path.basename(csvPath);
+            const digest = ledger.file(csvName.replace(/\.csv$/, '.zip'))?.digest;
+            const fingerprint = digest || `bytes:${(await fs.stat(csvPath)).size}`;
+            sources.set(archivePeriod(dataset, csvName), { csvPath, fingerprint });
+        }
+
+        const bytes = await fileBytes(paths);
+        if (!mayStart(context, 'parquet', bytes)) break;
+        emit(context, 'file-started', { ...eventSource(plan), phase: 'parquet', month });
+        let result;
+        try {
+            result = await budgeted(context, 'parquet', bytes, () => withLogContext({ month }, () => updateHiveMonth({
+                root,
+                dataset,
+                symbol,
+                month,
+                sources,
+                previous: ledger.partition(month),
+                name,
+                table: dataset.table,
+                rowGroupSize: context.config.parquetRowGroupSize,
+                compression: context.config.parquetCompression,
+                scales: decimalScales(context.config)
+            })));
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+        const { periods, ...summary } = result;
+        parquetResults.push({ month, ...summary });
+
+        if (!result.success) {
+            logError(`❌ Hive partition ${month} failed${result.period ? ` at ${result.period}` : ''}: ${result.error}`);
+            emit(context, 'error', { ...eventSource(plan), phase: 'parquet', month, error: result.error });
+            continue;
+        }
+
+        const progress = `${result.periodsPresent}/${result.periodsExpected} period(s)`;
+        if (result.skipped) {
+            log(`⏭️ Partition ${month} is up to date (${result.status}, ${progress}) - skipping`);
+        } else if (result.compacted) {
+            log(`✅ Compacted ${month}: ${result.recordCount} records, ${result.newPeriods.length} new period(s) merged → ${path.relative(root, result.parquetPath)}`);
+        } else {
+            log(`🧩 ${month} still partial (${progress}): wrote ${result.newPeriods.length} new period(s) to ${path.relative(root, result.parquetPath)}`);
+        }
+        ledger.recordPartition(month, {
+            status: result.status,
+            path: path.relative(context.config.outputDir, result.parquetPath),
+            recordCount: result.recordCount,
+            periodsExpected: result.periodsExpected,
+            periods
+        });
+        await ledger.save();
+    }
+
+    parquetResults.push(...prunedResults(plan, ledger, csvFiles, 'Hive partitions', (month) => {
+        const done = ledger.partition(month);
+        return done?.status === 'complete' && { status: done.status, parquetPath: path.join(context.config.outputDir, done.path), recordCount: done.recordCount };
+    }));
+    return parquetResults.sort(byMonth);
+}
+
+// Phase 5: OHLCV candles per month and interval, next to the trade Parquet files
+async function candlesPhase(plan, csvFiles, parquetDir, ledger, context) {
+    const { symbol } = plan;
+    log(`\n🕯️ PHASE 5: Build Candles (${context.config.candleIntervals.join(', ')})`);
+    const candleResults = [];
+
+    for (const [month, paths] of groupByMonth(csvFiles)) {
+        // Skip months whose candles were built from the same days at the same intervals
+        const done = ledger.candleMonth(month);
+        const files = context.config.candleIntervals.map(interval => path.join(parquetDir, candleFileName(symbol, interval, month)));
+        const present = await Promise.all(files.map(f => fs.access(f).then(() => true, () => false)));
+        if (sameSources(done, paths)
+            && context.config.candleIntervals.every(interval => done.intervals.includes(interval))
+            && present.every(Boolean)) {
+            log(`⏭️ Candles for ${month} are up to date - skipping`);
+            candleResults.push({ month, success: true, skipped: true, tradeCount: done.tradeCount });
+            continue;
+        }
+
+        const bytes = await fileBytes(paths);
+        if (!mayStart(context, 'candles', bytes)) break;
+        emit(context, 'file-started', { ...eventSource(plan), phase: 'candles', month });
+        const candleResult = await budgeted(context, 'candles', bytes, () => withLogContext({ month }, () => createMonthlyCandles(paths, month, parquetDir, {
+            symbol,
+            intervals: context.config.candleIntervals,
+            compression: context.config.parquetCompression,
+            scales: decimalScales(context.config)
+        })));
+        candleResults.push({ month, ...candleResult });
+
+        if (candleResult.success) {
+            ledger.recordCandles(month, {
+                intervals: context.config.candleIntervals,
+                tradeCount: candleResult.tradeCount,
+                files: candleResult.files.map(f => ({ interval: f.interval, file: path.basename(f.parquetPath), candles: f.candleCount })),
+                sourceFiles: candleResult.sourceFiles
+            });
+            await ledger.save();
+        } else {
+            emit(context, 'error', { ...eventSource(plan), phase: 'candles', month, error: candleResult.error });
+        }
+    }
+
+    candleResults.push(...prunedResults(plan, ledger, csvFiles, 'candles', (month) => {
+        const done = ledger.candleMonth(month);
+        return context.config.candleIntervals.every(interval => done?.intervals.includes(interval)) && { tradeCount: done.tradeCount };
+    }));
+    return candleResults.sort(byMonth);
+}
+
+// Run one phase for a plan between phase-started and phase-complete events, timing it into `durations`
+async function inPhase(plan, phase, context, durations, work) {
+    return withLogContext({ phase }, async () => {
+        emit(context, 'phase-started', { ...eventSource(plan), phase });
+        const started = performance.now();
+        const result = await work();
+        durations[phase] = Math.round(performance.now() - started);
+        log(`⏱️ ${phase} finished in ${(durations[phase] / 1000).toFixed(1)}s`, { durationMs: durations[phase] });
+        emit(context, 'phase-complete', { ...eventSource(plan), phase, durationMs: durations[phase], result });
+        return result;
+    });
+}
+
+// Finished Parquet for a symbol: its monthly and candle files, plus compacted Hive months
+async function finishedParquetFiles(plan, parquetDir, context) {
+    const files = (await fs.readdir(parquetDir).catch(() => []))
+        .filter(name => name.endsWith('.parquet'))
+        .map(name => path.join(parquetDir, name));
+    const hiveSymbol = path.join(context.config.outputDir, HIVE_DIR, `dataset=${datasetPartition(plan.dataset)}`, `symbol=${plan.symbol}`);
+    for (const year of await fs.readdir(hiveSymbol).catch(() => [])) {
+        for (const month of await fs.readdir(path.join(hiveSymbol, year)).catch(() => [])) {
+            const dir = path.join(hiveSymbol, year, month);
+            files.push(...(await fs.readdir(dir)).filter(name => name.endsWith('.parquet')).map(name => path.join(dir, name)));
+        }
+    }
+    return files.sort();
+}
+
+// Store each file in the sink, reporting failures as error events
+async function publishFiles(plan, files, context) {
+    const results = [];
+    for (const { filePath, kind } of files) {
+        const filename = path.basename(filePath);
+        emit(context, 'file-started', { ...eventSource(plan), phase: 'publish', filename });
+        const result = await withLogContext({ file: filename }, () => publishFile(context.sink, context.sinkLayout, {
+            filePath,
+            kind,
+            dataset: plan.dataset.key,
+            symbol: plan.symbol
+        }));
+        if (result.success) {
+            log(`${result.status === 'unchanged' ? '⏭️' : '☁️'} ${result.key} ${result.status}`);
+        } else {
+            logError(`❌ Publishing ${result.key} failed: ${result.error}`);
+            emit(context, 'error', { ...eventSource(plan), phase: 'publish', filename, error: result.error });
+        }
+        results.push(result);
+    }
+    return results;
+}
+
+// Phase 6: copy verified archives and finished Parquet to the storage sink; Hive months still partial stay local
+async function publishPhase(plan, symbolDir, parquetDir, ledger, context) {
+    log(`\n☁️ PHASE 6: Publish to ${context.sink.url}`);
+    const archives = (await localZipFiles(plan, symbolDir))
+        .filter(name => ledger.phase(name, 'download')?.status === 'verified')
+        .map(name => ({ filePath: path.join(symbolDir, name), kind: 'archives' }));
+    const parquetFiles = (await finishedParquetFiles(plan, parquetDir, context)).map(filePath => ({ filePath, kind: 'parquet' }));
+    return publishFiles(plan, [...archives, ...parquetFiles], context);
+}
+
+// True when a month's Parquet was built from exactly these CSVs and its footer has every row; trades also need their candles
+async function monthOutputVerified(plan, month, csvPaths, parquetDir, ledger, context) {
+    let parquetPath;
+    let recordCount;
+    if (context.config.layout === 'hive') {
+        const done = ledger.partition(month);
+        if (done?.status !== 'complete') return false;
+        parquetPath = path.join(context.config.outputDir, done.path);
+        recordCount = done.recordCount;
+    } else {
+        const done = ledger.month(month);
+        if (!sameSources(done, csvPaths)) return false;
+        parquetPath = path.join(parquetDir, done.parquetFile);
+        recordCount = done.recordCount;
+    }
+    if (await parquetRowCount(parquetPath) !== recordCount) return false;
+    if (plan.dataset.dataType !== 'trades') return true;
+
+    const candles = ledger.candleMonth(month);
+    if (!sameSources(candles, csvPaths)) return false;
+    const present = await Promise.all(candles.files.map(f => fs.access(path.join(parquetDir, f.file)).then(() => true, () => false)));
+    return present.every(Boolean);
+}
+
+// Phase 7: under a retention policy, drop the CSVs (and for prune-all the archives) of complete, verified months
+async function prunePhase(plan, symbolDir, extractDir, parquetDir, ledger, context) {
+    const policy = context.config.retention;
+    log(`\n🧹 PHASE 7: Apply Retention (${policy})`);
+    const zips = await localZipFiles(plan, symbolDir);
+    const pruneResults = [];
+
+    for (const [month, csvPaths] of groupByMonth(await localCsvFiles(plan, extractDir))) {
+        // A month still missing days will be rebuilt from all of them, so its CSVs stay
+        const periods = new Set(csvPaths.map(p => archivePeriod(plan.dataset, path.basename(p))));
+        if (!monthPeriods(plan.dataset, month).every(period => periods.has(period))) continue;
+        if (!await monthOutputVerified(plan, month, csvPaths, parquetDir, ledger, context)) {
+            logWarn(`⚠️ Keeping ${month}: its output is missing or does not match the ledger`);
+            continue;
+        }
+
+        const archives = policy === 'prune-all'
+            ? zips.filter(name => fileMonth(name) === month).flatMap(name => [name, `${name}.CHECKSUM`]).map(name => path.join(symbolDir, name))
+            : [];
+        const removed = await removeFiles([...csvPaths, ...archives]);
+        ledger.recordPrune(month, { policy, ...removed });
+        await ledger.save();
+        log(`🧹 Pruned ${month}: ${removed.files} file(s), ${removed.bytes} bytes`);
+        pruneResults.push({ month, ...removed });
+    }
+
+    return pruneResults;
+}
+
+// Run the mode's phases for one symbol and write its summary
+async function runSymbolPipeline(plan, options, context) {
+    const { symbol, dataset } = plan;
+
+    // Validation and candles read trade columns, so other datasets skip them
+    const phases = options.phases.filter(phase => dataset.dataType === 'trades' || !TRADE_ONLY_PHASES.includes(phase));
+    log(`🚀 Starting enhanced pipeline for ${symbol} ${dataset.id} (mode: ${options.mode})`);
+
+    // Create directories
+    const symbolDir = path.join(context.config.outputDir, plan.dir);
+    const extractDir = path.join(symbolDir, 'extracted');
+    const parquetDir = path.join(symbolDir, 'parquet');
+
+    await fs.mkdir(symbolDir, { recursive: true });
+    await fs.mkdir(extractDir, { recursive: true });
+    await fs.mkdir(parquetDir, { recursive: true });
+
+    const ledger = await Ledger.load(symbolDir, symbol);
+
+    // Temp files from a run that was killed mid-write
+    const leftovers = await removeFiles(await leftoverPartials(parquetDir));
+    if (leftovers.files) log(`🧹 Removed ${leftovers.files} leftover partial file(s)`);
+
+    let files = [];
+    let discovery = null;
+    let downloadResults = [];
+    let verifyResults = [];
+    let unpackResults = [];
+    let qualityReport = null;
+    let parquetResults = [];
+    let candleResults = [];
+    let disk = null;
+    const durations = {};
+
+    if (phases.includes('download')) {
+        ({ files, discovery, downloadResults, disk } = await inPhase(plan, 'download', context, durations,
+            () => downloadPhase(plan, options, symbolDir, ledger, context)));
+    }
+
+    if (phases.includes('verify')) {
+        ({ files, verifyResults } = await inPhase(plan, 'verify', context, durations, () => verifyPhase(plan, symbolDir, ledger, context)));
+    }
+
+    const stopped = () => {
+        if (stopping(context)) log(`⏹️ Run stopped (${stopReason(context)}) - skipping remaining phases for ${symbol}`);
+        return stopping(context);
+    };
+
+    if (phases.includes('unpack') && !stopped()) {
+        // Freshly verified downloads, or whatever archives are already on disk
+        const zips = phases.includes('download')
+            ? downloadResults.filter(r => r.status === 'verified' && !r.pruned).map(r => r.filename)
+            : (await localZipFiles(plan, symbolDir)).filter(name => !ledger.prunedMonth(fileMonth(name)));
+        if (!phases.includes('download')) files = zips;
+        unpackResults = await inPhase(plan, 'unpack', context, durations, () => unpackPhase(plan, zips, symbolDir, extractDir, ledger, context));
+    }
+
+    // Freshly extracted CSVs, or whatever is already extracted on disk
+    let csvFiles = [];
+    if (['validate', 'parquet', 'candles'].some(phase => phases.includes(phase)) && !stopped()) {
+        csvFiles = phases.includes('unpack')
+            ? unpackResults
+                .filter(r => r.success)
+                .flatMap(r => r.files.filter(f => f.name.endsWith('.csv')))
+            : await localCsvFiles(plan, extractDir);
+        if (!phases.includes('unpack')) files = csvFiles.map(f => f.name);
+    }
+
+    if (phases.includes('validate') && !stopped()) {
+        let acceptedCsvFiles;
+        ({ qualityReport, acceptedCsvFiles } = await inPhase(plan, 'validate', context, durations, () => validatePhase(plan, csvFiles, symbolDir, context)));
+        csvFiles = acceptedCsvFiles;
+    }
+
+    // Only spot trades have a live feed, and only symbols someone captured have a live directory
+    let reconcileReport = null;
+    const liveDir = path.join(symbolDir, LIVE_DIR);
+    if (csvFiles.length && dataset.id === DEFAULT_DATASET && await fs.access(liveDir).then(() => true, () => false) && !stopped()) {
+        reconcileReport = await inPhase(plan, 'reconcile', context, durations, () => reconcilePhase(plan, csvFiles, symbolDir));
+    }
+
+    if (phases.includes('parquet') && !stopped()) {
+        parquetResults = await inPhase(plan, 'parquet', context, durations, () => context.config.layout === 'hive'
+            ? hiveParquetPhase(plan, csvFiles, ledger, context)
+            : parquetPhase(plan, csvFiles, parquetDir, ledger, context));
+    }
+
+    if (phases.includes('candles') && !stopped()) {
+        candleResults = await inPhase(plan, 'candles', context, durations, () => candlesPhase(plan, csvFiles, parquetDir, ledger, context));
+    }
+
+    let publishResults = [];
+    if (context.sink && !stopped()) {
+        publishResults = await inPhase(plan, 'publish', context, durations, () => publishPhase(plan, symbolDir, parquetDir, ledger, context));
+    }
+
+    // Nothing is pruned while an upload of it may have failed
+    let pruneResults = [];
+    if (context.config.retention !== 'keep' && publishResults.every(r => r.success) && !stopped()) {
+        pruneResults = await inPhase(plan, 'prune', context, durations, () => prunePhase(plan, symbolDir, extractDir, parquetDir, ledger, context));
+    }
+    context.diskBudget.release(disk?.reservedBytes ?? 0);
+
+    // Create final summary
+    const verifiedCount = [...downloadResults, ...verifyResults].filter(r => r.status === 'verified').length;
+    const unpackedCount = unpackResults.filter(r => r.success).length;
+    const parquetCount = parquetResults.filter(r => r.success).length;
+    const recordCount = parquetResults.reduce((sum, r) => sum + (r.recordCount || 0), 0);
+    const candleMonths = candleResults.filter(r => r.success).length;
+    const retryCount = downloadResults.reduce((sum, r) => sum + Math.max((r.attempts || 1) - 1, 0), 0);
+    const skippedCount = [...downloadResults, ...unpackResults, ...parquetResults, ...candleResults].filter(r => r.skipped).length;
+    const checksumStatuses = {};
+    for (const r of [...downloadResults, ...verifyResults]) {
+        if (r.checksum) checksumStatuses[r.checksum.status] = (checksumStatuses[r.checksum.status] || 0) + 1;
+    }
+    const totalBytes = downloadResults.filter(r => !r.skipped).reduce((sum, r) => sum + (r.bytes || 0), 0);
+    const publishFailed = publishResults.filter(r => !r.success).length;
+    const partBytesRemoved = downloadResults.reduce((sum, r) => sum + (r.partBytesRemoved || 0), 0);
+    const bytesReclaimed = pruneResults.reduce((sum, r) => sum + r.bytes, 0) + leftovers.bytes + partBytesRemoved;
+
+    await ledger.save();
+
+    // A mode succeeds when its last phase produced something and, for verify, nothing failed
+    const lastPhase = phases[phases.length - 1];
+    const succeeded = {
+        download: verifiedCount > 0,
+        verify: verifyResults.length > 0 && verifiedCount === verifyResults.length,
+        unpack: unpackedCount > 0,
+        validate: qualityReport?.daysChecked > 0 && qualityReport.daysWithErrors === 0,
+        parquet: parquetCount > 0,
+        candles: candleMonths > 0 && candleMonths === candleResults.length
+    }[lastPhase] && !(context.config.qualityPolicy === 'fail' && qualityReport?.daysWithErrors > 0) && publishFailed === 0;
+
+    const summary = {
+        symbol,
+        dataset: dataset.id,
+        mode: options.mode,
+        phasesRun: phases,
+        completedAt: new Date().toISOString(),
+        pipeline: {
+            filesAttempted: files.length,
+            filesVerified: verifiedCount,
+            filesUnpacked: unpackedCount,
+            daysValidated: qualityReport?.daysChecked ?? 0,
+            daysWithQualityErrors: qualityReport?.daysWithErrors ?? 0,
+            daysQuarantined: qualityReport?.quarantined.length ?? 0,
+            daysReconciled: reconcileReport?.daysReconciled ?? 0,
+            parquetFilesCreated: parquetCount,
+            parquetRecords: recordCount,
+            candleMonthsBuilt: candleMonths,
+            filesPublished: publishResults.length - publishFailed,
+            bytesReclaimed: bytesReclaimed,
+            stepsSkipped: skippedCount,
+            retries: retryCount,
+            checksumStatuses: checksumStatuses
+        },
+        phaseDurationsMs: durations,
+        timedOut: context.timedOut,
+        cancelled: context.signal.aborted && !context.timedOut,
+        stopped: stopping(context) ? stopReason(context) : null,
+        totalBytes: totalBytes,
+        discovery: discovery,
+        downloadResults: downloadResults,
+        verifyResults: verifyResults,
+        unpackResults: unpackResults,
+        quality: qualityReport && {
+            report: QUALITY_REPORT_FILE,
+            policy: qualityReport.policy,
+            months: Object.fromEntries(Object.entries(qualityReport.months).map(([m, q]) => [m, q.status]))
+        },
+        reconcile: reconcileReport && {
+            report: RECONCILE_REPORT_FILE,
+            missingTrades: reconcileReport.missingTrades,
+            extraTrades: reconcileReport.extraTrades,
+            days: Object.fromEntries(reconcileReport.days.map(d => [d.file, d.status]))
+        },
+        parquetResults: parquetResults,
+        candleResults: candleResults,
+        publishResults: publishResults,
+        disk: {
+            retention: context.config.retention,
+            estimatedBytes: disk?.estimatedBytes ?? null,
+            freeBytes: disk?.freeBytes ?? null,
+            ...(disk?.error ? { error: disk.error } : {}),
+            pruned: pruneResults,
+            partialFilesRemoved: leftovers.files + downloadResults.filter(r => r.partBytesRemoved !== undefined).length,
+            bytesReclaimed: bytesReclaimed
+        },
+        config: { ...context.configSource, settings: context.settings, overrides: planOverrides(plan, options) },
+        status: succeeded ? 'success' : 'failed'
+    };
+
+    const summaryPath = path.join(symbolDir, 'enhanced_summary.json');
+    await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2));
+
+    // Summaries go last so the stored copy describes the uploads above
+    if (context.sink && !context.signal.aborted) {
+        const reports = [summaryPath, path.join(symbolDir, QUALITY_REPORT_FILE), path.join(symbolDir, RECONCILE_REPORT_FILE)];
+        const existing = [];
+        for (const filePath of reports) {
+            if (await fs.access(filePath).then(() => true, () => false)) existing.push({ filePath, kind: 'summaries' });
+        }
+        await publishFiles(plan, existing, context);
+    }
+    emit(context, 'symbol-complete', { ...eventSource(plan), status: summary.status, summaryPath, summary });
+
+    log(`\n🎯 ENHANCED PIPELINE RESULTS (${symbol} ${dataset.id}, ${options.mode}: ${phases.join(' → ')}):`);
+    log(`   • Files attempted: ${files.length}`);
+    log(`   • Files verified: ${verifiedCount}`);
+    log(`   • Files unpacked: ${unpackedCount}`);
+    if (qualityReport) {
+        log(`   • Days validated: ${qualityReport.daysChecked} (${qualityReport.daysWithErrors} with errors, ${qualityReport.daysWithWarnings} with warnings)`);
+    }
+    if (reconcileReport) {
+        log(`   • Live days reconciled: ${reconcileReport.daysReconciled} (${reconcileReport.missingTrades} trade(s) missing from the capture, ${reconcileReport.extraTrades} extra)`);
+    }
+    log(`   • Parquet files created: ${parquetCount}`);
+    log(`   • Parquet records: ${recordCount}`);
+    if (phases.includes('candles')) {
+        log(`   • Candle months built: ${candleMonths} (${context.config.candleIntervals.join(', ')})`);
+    }
+    log(`   • Steps skipped (already done): ${skippedCount}`);
+    log(`   • Download retries: ${retryCount}`);
+    if (Object.keys(checksumStatuses).length) {
+        log(`   • Checksums: ${Object.entries(checksumStatuses).map(([status, count]) => `${status} ${count}`).join(', ')}`);
+    }
+    log(`   • Total bytes: ${totalBytes}`);
+    if (context.sink) {
+        log(`   • Files published: ${publishResults.length - publishFailed} of ${publishResults.length} (${publishResults.filter(r => r.status === 'uploaded').length} uploaded)`);
+    }
+    if (bytesReclaimed > 0) {
+        log(`   • Disk reclaimed: ${bytesReclaimed} bytes (${pruneResults.length} month(s) pruned)`);
+    }
+    if (phases.includes('download') || phases.includes('verify')) {
+        log(`   • Success rate: ${(files.length ? verifiedCount/files.length*100 : 0).toFixed(1)}%`);
+    }
+    if (summary.stopped) {
+        log(`   • Stopped early (${summary.stopped}) - the next run picks up from here`);
+    }
+
+    return summary;
+}
+
+// The summary a plan wrote on an earlier run, or null when it is gone or unreadable
+async function readSummary(plan, config) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(config.outputDir, plan.dir, 'enhanced_summary.json'), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+// A symbol with overrides gets its own config; the pools, signal and timeout flag stay shared
+function planContext(plan, options, context) {
+    const overrides = planOverrides(plan, options);
+    if (Object.keys(overrides).length === 0) return context;
+    return Object.create(context, { config: { value: configFromOptions({ ...options, ...overrides }) } });
+}
+
+/**
+ * Run the pipeline for every dataset and symbol in `options` and resolve with the per-symbol summaries
+ * Options follow parseCli's shape (seconds for requestTimeout, runTimeout and maxGap), plus:
+ *   phases  run these phases instead of the mode's, e.g. ['unpack', 'parquet']
+ *   events  an EventEmitter that receives PIPELINE_EVENTS as the run progresses
+ *   signal  an AbortSignal; once aborted no new work starts, downloads in flight are cut off (their
+ *           part files kept to resume) and partial results are returned
+ *   stopSignal  an AbortSignal that drains the run instead: no new file starts, files in flight finish
+ *   timeBudget  seconds the run may take: a file that would not fit (estimated from those before it)
+ *           drains the run, and anything still running when the budget is used up is cancelled
+ *   symbols  a list, or 'all' to list every symbol the datasets publish
+ *   shard   { index, count } or 'i/N': keep one deterministic shard of the symbols (shardBy, shardWeights)
+ *   metricsFile  where to write Prometheus metrics (default <output>/metrics.prom, false to skip)
+ *   sink    a directory, file:// or s3:// URL (or an object with put(key, filePath, { sha256, size }))
+ *           that receives verified archives, finished Parquet and summaries under sinkLayout keys
+ *   retention  keep, prune-csv or prune-all: what to delete once a month's output is verified
+ *   priceScale / sizeScale  fractional digits prices and sizes may use; a value needing more fails its month
+ *   symbolOverrides / datasetOverrides  settings for one symbol or dataset id, e.g.
+ *           { ETHUSDT: { maxRetries: 5 } }; each summary records its overrides and the run's settings
+ *   configSource  { file, env } from parseCli, recorded in each summary
+ * A run that stops early writes <output>/checkpoint.json; the next run of the same request skips the
+ * symbols that finished (reusing their summaries) and continues with the rest
+ * Per-file failures land in the summaries; only bad options or unexpected errors reject
+ */
+export async function runPipeline(options = {}) {
+    const started = performance.now();
+    options = normalizeOptions(options);
+    const config = configFromOptions(options);
+    const settings = effectiveSettings(options, config);
+    // The budget counts from here, so listing the bucket comes out of it too
+    const budget = config.timeBudget > 0 ? new TimeBudget(config.timeBudget) : null;
+
+    // A checkpoint of the same request keeps its symbol list and the plans it finished
+    const request = checkpointRequest(options);
+    const checkpoint = await readCheckpoint(config.outputDir);
+    const resuming = resumes(checkpoint, request);
+    if (checkpoint && !resuming) {
+        logWarn(`⚠️ Ignoring the checkpoint in ${config.outputDir}: it was written for a different request`);
+    }
+    const { symbols, shard } = resuming
+        ? { symbols: checkpoint.symbols, shard: checkpoint.shard }
+        : await resolveSymbols(options, config);
+    options = { ...options, symbols };
+    const plans = buildPlans(options);
+    const finished = new Set(resuming ? checkpoint.completed.map(planKey) : []);
+    if (resuming) {
+        log(`↪️ Resuming from the checkpoint of ${checkpoint.stoppedAt} (${checkpoint.reason}): ${plans.length - finished.size} of ${plans.length} symbol plan(s) left`);
+    }
+
+    // Each shard job records what it was given, so a merge can spot symbols that never ran
+    if (shard) {
+        await fs.mkdir(config.outputDir, { recursive: true });
+        await fs.writeFile(path.join(config.outputDir, SHARD_MANIFEST_FILE), JSON.stringify({
+            ...shard,
+            datasets: options.datasets.map(d => d.id),
+            from: options.from,
+            to: options.to,
+            createdAt: new Date().toISOString()
+        }, null, 2));
+    }
+    log(`🎯 ${options.symbols.length} symbol(s) × ${options.datasets.map(d => d.id).join(', ')}, ${options.from} → ${options.to}, ${options.phases.join(' → ')}, output ${config.outputDir}`);
+
+    // One download pool and bandwidth budget shared by every symbol
+    const controller = new AbortController();
+    const context = {
+        config,
+        events: options.events ?? null,
+        downloadPool: createPool(config.concurrency),
+        rateLimiter: new RateLimiter(config.maxBytesPerSec),
+        signal: controller.signal,
+        timedOut: false,
+        stop: { reason: null },
+        budget,
+        sink: typeof options.sink === 'string'
+            ? createSink(options.sink, { endpoint: options.sinkEndpoint, timeout: config.timeout, maxAttempts: config.maxRetries, backoffBaseMs: config.backoffBaseMs })
+            : options.sink ?? null,
+        sinkLayout: options.sinkLayout,
+        diskBudget: new DiskBudget(config.outputDir),
+        settings,
+        configSource: options.configSource ?? { file: null, env: [] }
+    };
+    const runTimer = config.runTimeout > 0
+        ? setTimeout(() => {
+            context.timedOut = true;
+            context.stop.reason ??= 'run timeout reached';
+            controller.abort(new Error('run timeout reached'));
+        }, config.runTimeout)
+        : null;
+    runTimer?.unref();
+
+    // Files still running when the budget is used up are cut off like a run timeout's
+    const budgetTimer = budget
+        ? setTimeout(() => {
+            context.stop.reason ??= 'time budget';
+            controller.abort(new Error('time budget used up'));
+        }, budget.remainingMs())
+        : null;
+    budgetTimer?.unref();
+    if (budget) {
+        log(`⏱️ Time budget ${config.timeBudget / 1000}s: no file starts unless it fits, ${budget.reserveMs / 1000}s held back to finish`);
+    }
+
+    // The caller's signal stops the run the same way the run timeout does; the stop signal only drains it
+    const cancel = () => {
+        context.stop.reason ??= 'cancelled';
+        controller.abort(options.signal.reason);
+    };
+    if (options.signal?.aborted) cancel();
+    options.signal?.addEventListener('abort', cancel, { once: true });
+    const stop = () => drain(context, typeof options.stopSignal.reason === 'string' ? options.stopSignal.reason : 'stop requested');
+    if (options.stopSignal?.aborted) stop();
+    options.stopSignal?.addEventListener('abort', stop, { once: true });
+
+    try {
+        // Symbols the checkpoint finished keep their summaries; none start once the run is stopping
+        const symbolPool = createPool(config.symbolConcurrency);
+        const results = await Promise.all(plans.map(plan =>
+            symbolPool.run(async () => {
+                const previous = finished.has(planKey(plan)) ? await readSummary(plan, config) : null;
+                if (previous) {
+                    log(`⏭️ ${plan.symbol} ${plan.dataset.id} finished before the checkpoint - reusing its summary`);
+                    return previous;
+                }
+                if (stopping(context)) return null;
+                return withLogContext({ symbol: plan.symbol, dataset: plan.dataset.id },
+                    () => runSymbolPipeline(plan, options, planContext(plan, options, context)));
+            })
+        ));
+        const summaries = results.filter(Boolean);
+
+        if (context.timedOut) {
+            log(`\n⏹️ Run timeout of ${config.runTimeout / 1000}s reached - partial results written`);
+        } else if (controller.signal.aborted && stopReason(context) === 'time budget') {
+            log(`\n⏹️ Time budget of ${config.timeBudget / 1000}s used up - partial results written`);
+        } else if (controller.signal.aborted) {
+            log(`\n⏹️ Run cancelled - partial results written`);
+        } else if (stopping(context)) {
+            log(`\n⏹️ Run stopped (${stopReason(context)}) - partial results written`);
+        }
+
+        // Stopped runs leave a checkpoint for the next one; a run that finished everything clears it.
+        // Only plans that succeeded count as completed, so the next run retries failed symbols too
+        let checkpointFile = null;
+        if (stopping(context)) {
+            const completed = results.filter(s => s && !s.stopped && s.status === 'success');
+            const done = new Set(completed.map(planKey));
+            checkpointFile = await writeCheckpoint(config.outputDir, {
+                request,
+                reason: stopReason(context),
+                symbols,
+                shard,
+                completed: completed.map(s => ({ dataset: s.dataset, symbol: s.symbol })),
+                pending: plans.filter(p => !done.has(planKey(p))).map(p => ({ dataset: p.dataset.id, symbol: p.symbol }))
+            });
+            log(`💾 Checkpoint written to ${checkpointFile}: ${plans.length - done.size} of ${plans.length} symbol plan(s) left for the next run`);
+        } else {
+            await clearCheckpoint(config.outputDir);
+        }
+
+        const status = summaries.some(s => s.status === 'success') ? 'success' : 'failed';
+        if (status === 'success') {
+            log(`\n✅ ENHANCED PIPELINE COMPLETED SUCCESSFULLY!`);
+            log(`📦 Ready for GitHub Actions artifact packaging`);
+        } else {
+            logError(`\n❌ ENHANCED PIPELINE FAILED`);
+        }
+
+        const result = {
+            status,
+            timedOut: context.timedOut,
+            cancelled: controller.signal.aborted && !context.timedOut,
+            stopped: stopping(context) ? stopReason(context) : null,
+            checkpoint: checkpointFile,
+            outputDir: config.outputDir,
+            shard,
+            durationMs: Math.round(performance.now() - started),
+            finishedAt: new Date().toISOString(),
+            metricsFile: null,
+            summaries
+        };
+        if (options.metricsFile !== false) {
+            result.metricsFile = await writeMetrics(result, options.metricsFile ?? path.join(config.outputDir, METRICS_FILE));
+            log(`📈 Metrics written to ${result.metricsFile}`);
+        }
+        return result;
+    } finally {
+        clearTimeout(runTimer);
+        clearTimeout(budgetTimer);
+        options.signal?.removeEventListener('abort', cancel);
+        options.stopSignal?.removeEventListener('abort', stop);
+    }
+}
+
+// Single phases over the same options, reading earlier phases' output from disk
+export const download = (options = {}) => runPipeline({ ...options, phases: ['download'] });
+export const verify = (options = {}) => runPipeline({ ...options, phases: ['verify'] });
+export const unpack = (options = {}) => runPipeline({ ...options, phases: ['unpack'] });
+export const validate = (options = {}) => runPipeline({ ...options, phases: ['validate'] });
+export const toParquet = (options = {}) => runPipeline({ ...options, phases: ['parquet'] });
+export const toCandles = (options = {}) => runPipeline({ ...options, phases: ['candles'] });
@@ -0,0 +1,191 @@
+/**
+ * Content checks for daily trade CSVs
+ * Streams each file once and reports schema errors, ordering problems and suspicious gaps or jumps
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import csv from 'csv-parser';
+import { TRADE_COLUMNS } from './parquet.js';
+import { parseFixed, sum, divide, formatUnscaled } from './decimal.js';
+
+export const QUALITY_POLICIES = ['warn', 'fail', 'quarantine'];
+export const DEFAULT_QUALITY_POLICY = 'warn';
+export const QUALITY_REPORT_FILE = 'quality_report.json';
+export const QUARANTINE_DIR = 'quarantine';
+
+export const DEFAULT_THRESHOLDS = {
+    maxGapMs: 15 * 60 * 1000,
+    maxJumpPct: 10,
+    sampleLimit: 20
+};
+
+// Errors make a day unusable; warnings are only reported
+export const CHECKS = {
+    bad_header: 'error',
+    bad_type: 'error',
+    outside_day: 'error',
+    non_monotonic: 'error',
+    duplicate_trade_id: 'error',
+    non_positive_price: 'error',
+    non_positive_size: 'error',
+    invalid_side: 'error',
+    time_gap: 'warning',
+    price_jump: 'warning'
+};
+
+const DAY_MS = 86400000;
+const INTEGER = /^\d+$/;
+const DECIMAL = /^-?\d+(?:\.\d+)?$/;
+const SIDES = new Set(['BUY', 'SELL']);
+
+// UTC day (YYYY-MM-DD) named in a daily file such as BTCUSDT-trades-2025-01-01.csv
+export function csvDay(filename) {
+    const match = /(\d{4}-\d{2}-\d{2})\.csv$/.exec(filename);
+    return match ? match[1] : null;
+}
+
+// Exact sign test on a decimal string, so 0.00000000000000000001 still counts as positive
+function isPositiveDecimal(value) {
+    return !value.startsWith('-') && /[1-9]/.test(value);
+}
+
+// Percentage move between two decimal strings, exact to 6 places; null unless both parse and `from` is positive
+function changePct(from, to) {
+    let a, b;
+    try {
+        a = parseFixed(from);
+        b = parseFixed(to);
+    } catch {
+        return null;
+    }
+    if (a.unscaled <= 0n) return null;
+    const diff = sum([b, { unscaled: -a.unscaled, scale: a.scale }]);
+    const move = { unscaled: (diff.unscaled < 0n ? -diff.unscaled : diff.unscaled) * 100n, scale: diff.scale };
+    return Number(formatUnscaled(divide(move, a, 6).unscaled, 6));
+}
+
+// Check one daily CSV and return its report entry
+export async function validateTradeCsv(csvPath, options = {}) {
+    const { maxGapMs, maxJumpPct, sampleLimit } = { ...DEFAULT_THRESHOLDS, ...options };
+    const file = path.basename(csvPath);
+    const day = options.day ?? csvDay(file);
+    const dayStart = day ? Date.parse(`${day}T00:00:00Z`) : null;
+
+    const checks = Object.fromEntries(Object.keys(CHECKS).map(name => [name, 0]));
+    const samples = [];
+    const flag = (name, row, detail) => {
+        checks[name]++;
+        if (samples.length < sampleLimit) samples.push({ check: name, row, ...detail });
+    };
+
+    const seenIds = new Set();
+    let rows = 0;
+    let previous = null;
+    let firstTradeTime = null;
+    let lastTradeTime = null;
+
+    const parser = createReadStream(csvPath).pipe(csv({ strict: true }));
+    let headerOk = true;
+    let headerSeen = false;
+    parser.on('headers', (headers) => {
+        headerSeen = true;
+        if (headers.join(',') !== TRADE_COLUMNS.join(',')) {
+            headerOk = false;
+            flag('bad_header', 0, { header: headers.join(',') });
+            parser.destroy();
+        }
+    });
+
+    try {
+        for await (const record of parser) {
+            rows++;
+            const { trade_id: id, trade_time: time, price, size, side } = record;
+
+            if (!INTEGER.test(id) || !INTEGER.test(time) || !DECIMAL.test(price) || !DECIMAL.test(size)) {
+                flag('bad_type', rows, { trade_id: id, trade_time: time, price, size });
+                continue;
+            }
+
+            const tradeTime = Number(time);
+            if (dayStart !== null && (tradeTime < dayStart || tradeTime >= dayStart + DAY_MS)) {
+                flag('outside_day', rows, { trade_id: id, trade_time: tradeTime });
+            }
+            if (seenIds.has(id)) {
+                flag('duplicate_trade_id', rows, { trade_id: id });
+            }
+            seenIds.add(id);
+            if (!isPositiveDecimal(price)) flag('non_positive_price', rows, { trade_id: id, price });
+            if (!isPositiveDecimal(size)) flag('non_positive_size', rows, { trade_id: id, size });
+            if (!SIDES.has(side)) flag('invalid_side', rows, { trade_id: id, side });
+
+            if (previous) {
+                if (tradeTime < previous.time) {
+                    flag('non_monotonic', rows, { trade_id: id, trade_time: tradeTime, previous: previous.time });
+                } else if (tradeTime - previous.time > maxGapMs) {
+                    flag('time_gap', rows, { trade_id: id, from: previous.time, to: tradeTime, gapMs: tradeTime - previous.time });
+                }
+
+                // Worked out on the decimal strings, so sub-satoshi prices compare digit for digit
+                const change = changePct(previous.price, price);
+                if (change !== null && change > maxJumpPct) {
+                    flag('price_jump', rows, { trade_id: id, from: previous.price, to: price, changePct: Number(change.toFixed(2)) });
+                }
+            }
+
+            previous = { time: tradeTime, price };
+            firstTradeTime ??= tradeTime;
+            lastTradeTime = tradeTime;
+        }
+        // A 0-byte or blank file never gets as far as a header
+        if (!headerSeen) flag('bad_header', 0, { header: '' });
+    } catch (error) {
+        if (headerOk) {
+            flag('bad_type', rows + 1, { error: error.message });
+        }
+    }
+
+    const errors = Object.entries(checks).filter(([name, n]) => n > 0 && CHECKS[name] === 'error').length;
+    const warnings = Object.entries(checks).filter(([name, n]) => n > 0 && CHECKS[name] === 'warning').length;
+
+    return {
+        file,
+        day,
+        rows,
+        status: errors ? 'error' : warnings ? 'warning' : 'ok',
+        firstTradeTime,
+        lastTradeTime,
+        checks,
+        samples
+    };
+}
+
+// Roll daily reports up into one entry per month
+export function summarizeMonths(days) {
+    const months = {};
+    for (const report of days) {
+        const month = report.day?.slice(0, 7) ?? 'unknown';
+        const entry = months[month] ||= {
+            days: 0,
+            rows: 0,
+            status: 'ok',
+            checks: Object.fromEntries(Object.keys(CHECKS).map(name => [name, 0]))
+        };
+        entry.days++;
+        entry.rows += report.rows;
+        for (const [name, n] of Object.entries(report.checks)) entry.checks[name] += n;
+        if (report.status === 'error' || (report.status === 'warning' && entry.status === 'ok')) {
+            entry.status = report.status;
+        }
+    }
+    return months;
+}
+
+// Move a bad day's CSV aside so later phases no longer see it
+export async function quarantineFile(csvPath, quarantineDir) {
+    await fs.mkdir(quarantineDir, { recursive: true });
+    const target = path.join(quarantineDir, path.basename(csvPath));
+    await fs.rename(csvPath, target);
+    return target;
+}
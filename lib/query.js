@@ -0,0 +1,440 @@
+/**
+ * Query and export the collected data
+ * Reads a symbol's monthly Parquet (flat or Hive layout) or its extracted CSVs one file at a time,
+ * filters rows by time, side and size, and streams them out as CSV, NDJSON or Parquet
+ */
+
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import { parseArgs } from 'util';
+import path from 'path';
+import parquet from '@dsnp/parquetjs';
+import { UsageError } from './cli.js';
+import { parseDataset, datasetDir, archivePeriod, DEFAULT_DATASET } from './datasets.js';
+import { HIVE_DIR, PARTIAL_DIR, datasetPartition } from './hive.js';
+import {
+    readTradeCsv,
+    readParquetRows,
+    openTableWriter,
+    parseDecimal,
+    formatDecimal,
+    decodeUnscaled,
+    decimalTracker,
+    parquetDecimals,
+    DECIMALS_METADATA,
+    COMPRESSION_CODECS
+} from './parquet.js';
+
+export const QUERY_FORMATS = ['csv', 'ndjson', 'parquet'];
+export const QUERY_SOURCES = ['auto', 'parquet', 'csv'];
+// original: decimals exactly as KuCoin wrote them; shortest: without trailing zeros
+export const QUERY_DECIMALS = ['original', 'shortest'];
+
+const FORMAT_EXTENSIONS = { '.csv': 'csv', '.ndjson': 'ndjson', '.jsonl': 'ndjson', '.parquet': 'parquet' };
+
+const DAY_MS = 86400000;
+
+const OPTIONS = {
+    symbols: { type: 'string', short: 's' },
+    dataset: { type: 'string', short: 'd' },
+    data: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    side: { type: 'string' },
+    'min-size': { type: 'string' },
+    source: { type: 'string' },
+    decimals: { type: 'string' },
+    format: { type: 'string', short: 'f' },
+    output: { type: 'string', short: 'o' },
+    limit: { type: 'string' },
+    compression: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+export function queryUsage(command = 'query.js') {
+    return `Usage: node ${command} --symbols <list> [options]
+
+Options:
+  -s, --symbols <list>      Comma-separated symbols to read, one after another
+  -d, --dataset <id>        Dataset to read (default: ${DEFAULT_DATASET})
+      --data <dir>          Pipeline output directory to read from (default: ./output)
+      --from <time>         First trade time, YYYY-MM-DD or ISO 8601 (inclusive)
+      --to <time>           Last trade time, YYYY-MM-DD (the whole day) or ISO 8601 (inclusive)
+      --side <side>         buy | sell (trades only)
+      --min-size <decimal>  Smallest trade size kept, e.g. 0.5 (trades only)
+      --source <s>          ${QUERY_SOURCES.join(' | ')}: Parquet where a month has it, else CSV (default: auto)
+      --decimals <d>        ${QUERY_DECIMALS.join(' | ')}: prices and sizes as written, e.g.
+                            93500.50000000000000000000, or as 93500.5 (default: original)
+  -f, --format <f>          ${QUERY_FORMATS.join(' | ')} (default: from the --output extension, else csv)
+  -o, --output <file>       File to write (default: stdout; Parquet needs a file)
+      --limit <n>           Stop after n rows
+      --compression <codec> Parquet output compression
+  -h, --help                Show this help
+
+Example:
+  node ${command} --symbols BTCUSDT --from 2025-01-01T12:00:00Z --to 2025-01-31 --side buy --min-size 1 -o big-buys.parquet
+
+Exit codes: 0 success, 1 query error, 2 invalid arguments`;
+}
+
+// Parse a date or ISO 8601 time into epoch ms; a bare date means the start of the day, or its end for `end`
+export function parseTime(value, flag, { end = false } = {}) {
+    const bareDay = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = bareDay || /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/.test(value)
+        ? Date.parse(bareDay ? `${value}T00:00:00Z` : value)
+        : NaN;
+    if (Number.isNaN(time) || (bareDay && new Date(time).toISOString().slice(0, 10) !== value)) {
+        throw new UsageError(`--${flag} must be YYYY-MM-DD or an ISO 8601 time with a zone, got "${value}"`);
+    }
+    return bareDay && end ? time + DAY_MS - 1 : time;
+}
+
+function parseSymbolList(value) {
+    const symbols = value.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    if (symbols.length === 0) {
+        throw new UsageError('--symbols needs at least one symbol');
+    }
+    for (const symbol of symbols) {
+        if (!/^[A-Z0-9]{2,30}$/.test(symbol)) {
+            throw new UsageError(`invalid symbol "${symbol}" (expected letters and digits, e.g. BTCUSDT)`);
+        }
+    }
+    return [...new Set(symbols)];
+}
+
+function parseChoice(value, flag, choices) {
+    const choice = value.toLowerCase();
+    if (!choices.includes(choice)) {
+        throw new UsageError(`--${flag} must be one of ${choices.join(', ')}, got "${value}"`);
+    }
+    return choice;
+}
+
+export function parseQueryCli(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true, allowPositionals: false }));
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    if (values.help) {
+        return { help: true };
+    }
+    if (values.symbols === undefined) {
+        throw new UsageError('--symbols is required');
+    }
+
+    let dataset;
+    try {
+        dataset = parseDataset((values.dataset ?? DEFAULT_DATASET).toLowerCase());
+    } catch (error) {
+        throw new UsageError(`--dataset: ${error.message}`);
+    }
+
+    const from = values.from !== undefined ? parseTime(values.from, 'from') : null;
+    const to = values.to !== undefined ? parseTime(values.to, 'to', { end: true }) : null;
+    if (from !== null && to !== null && from > to) {
+        throw new UsageError(`--from (${values.from}) must not be after --to (${values.to})`);
+    }
+
+    if (dataset.dataType !== 'trades' && (values.side !== undefined || values['min-size'] !== undefined)) {
+        throw new UsageError('--side and --min-size only apply to trades');
+    }
+    const side = values.side !== undefined ? parseChoice(values.side, 'side', ['buy', 'sell']).toUpperCase() : null;
+
+    let minSize = null;
+    if (values['min-size'] !== undefined) {
+        try {
+            minSize = parseDecimal(values['min-size']);
+        } catch {
+            minSize = -1n;
+        }
+        if (minSize < 0n) {
+            throw new UsageError(`--min-size must be a non-negative decimal, got "${values['min-size']}"`);
+        }
+    }
+
+    const output = values.output ?? null;
+    const format = values.format !== undefined
+        ? parseChoice(values.format, 'format', QUERY_FORMATS)
+        : FORMAT_EXTENSIONS[path.extname(output ?? '').toLowerCase()] ?? 'csv';
+    if (format === 'parquet' && !output) {
+        throw new UsageError('--format parquet needs --output <file>');
+    }
+
+    let limit = null;
+    if (values.limit !== undefined) {
+        if (!/^\d+$/.test(values.limit) || Number(values.limit) <= 0) {
+            throw new UsageError(`--limit must be a positive integer, got "${values.limit}"`);
+        }
+        limit = Number(values.limit);
+    }
+
+    let compression;
+    if (values.compression !== undefined) {
+        compression = values.compression.toUpperCase();
+        if (!COMPRESSION_CODECS.includes(compression)) {
+            throw new UsageError(`--compression must be one of ${COMPRESSION_CODECS.join(', ')}, got "${values.compression}"`);
+        }
+    }
+
+    return {
+        help: false,
+        symbols: parseSymbolList(values.symbols),
+        dataset,
+        data: values.data ?? './output',
+        from,
+        to,
+        side,
+        minSize,
+        source: values.source !== undefined ? parseChoice(values.source, 'source', QUERY_SOURCES) : 'auto',
+        decimals: values.decimals !== undefined ? parseChoice(values.decimals, 'decimals', QUERY_DECIMALS) : 'original',
+        format,
+        output,
+        limit,
+        compression
+    };
+}
+
+// First and last epoch ms covered by a YYYY-MM or YYYY-MM-DD period
+function periodBounds(period) {
+    const [year, month, day] = period.split('-').map(Number);
+    const start = Date.UTC(year, month - 1, day || 1);
+    const end = day ? start + DAY_MS : Date.UTC(year, month, 1);
+    return [start, end - 1];
+}
+
+function overlaps(period, from, to) {
+    const [start, end] = periodBounds(period);
+    return (from === null || end >= from) && (to === null || start <= to);
+}
+
+async function listDir(dir) {
+    return (await fs.readdir(dir).catch(() => [])).sort();
+}
+
+// Months of one symbol's Hive partitions (finalized or partial) as [month, dir]
+async function hiveMonths(symbolRoot) {
+    const months = [];
+    for (const yearDir of await listDir(symbolRoot)) {
+        const year = /^year=(\d{4})$/.exec(yearDir)?.[1];
+        if (!year) continue;
+        for (const monthDir of await listDir(path.join(symbolRoot, yearDir))) {
+            const month = /^month=(\d{2})$/.exec(monthDir)?.[1];
+            if (month) months.push([`${year}-${month}`, path.join(symbolRoot, yearDir, monthDir)]);
+        }
+    }
+    return months;
+}
+
+/**
+ * Files holding one symbol's data, oldest first, as { path, kind, period }
+ * Each month comes from one place: the compacted Hive file, else the flat monthly file, else the
+ * Hive day parts, else (with source auto or csv) the extracted CSVs
+ */
+export async function findSourceFiles(dataDir, dataset, symbol, { source = 'auto', from = null, to = null } = {}) {
+    const name = dataset.interval ? `${symbol}-${dataset.interval}` : symbol;
+    const symbolDir = path.join(dataDir, datasetDir(dataset), symbol);
+    const hiveSymbol = [`dataset=${datasetPartition(dataset)}`, `symbol=${symbol}`];
+    const months = new Map();
+    const add = (month, kind, files) => {
+        if (files.length && !months.get(month)?.[kind]) {
+            months.set(month, { ...months.get(month), [kind]: files });
+        }
+    };
+
+    if (source !== 'csv') {
+        for (const [month, dir] of await hiveMonths(path.join(dataDir, HIVE_DIR, ...hiveSymbol))) {
+            add(month, 'parquet', (await listDir(dir)).filter(f => f === `${name}-${month}.parquet`).map(f => ({ path: path.join(dir, f), period: month })));
+        }
+        for (const file of await listDir(path.join(symbolDir, 'parquet'))) {
+            const month = new RegExp(`^${name}-(\\d{4}-\\d{2})\\.parquet$`).exec(file)?.[1];
+            if (month) add(month, 'parquet', [{ path: path.join(symbolDir, 'parquet', file), period: month }]);
+        }
+        for (const [month, dir] of await hiveMonths(path.join(dataDir, HIVE_DIR, PARTIAL_DIR, ...hiveSymbol))) {
+            add(month, 'parquet', (await listDir(dir))
+                .map(f => ({ path: path.join(dir, f), period: /^part-([\d-]+)\.parquet$/.exec(f)?.[1] }))
+                .filter(f => f.period));
+        }
+    }
+    if (source !== 'parquet') {
+        const csvByMonth = new Map();
+        for (const file of await listDir(path.join(symbolDir, 'extracted'))) {
+            const period = archivePeriod(dataset, file);
+            if (!period || !file.endsWith('.csv')) continue;
+            const month = period.slice(0, 7);
+            if (!csvByMonth.has(month)) csvByMonth.set(month, []);
+            csvByMonth.get(month).push({ path: path.join(symbolDir, 'extracted', file), period });
+        }
+        for (const [month, files] of csvByMonth) add(month, 'csv', files);
+    }
+
+    return [...months.keys()].sort().flatMap(month => {
+        const { parquet: parquetFiles, csv: csvFiles } = months.get(month);
+        const [kind, files] = parquetFiles ? ['parquet', parquetFiles] : ['csv', csvFiles];
+        return files
+            .filter(f => overlaps(f.period, from, to))
+            .map(f => ({ ...f, kind }));
+    });
+}
+
+/**
+ * Normalize a Parquet or CSV row: times as epoch ms, ids as strings, decimals as strings
+ * `widths` maps decimal columns to the fraction digits to print (null for the shortest form); a CSV
+ * value is checked and then kept as written when its column has no entry
+ */
+function toRecord(symbol, row, table, fromCsv, widths) {
+    const record = { symbol };
+    for (const column of table.columns) {
+        const type = table.schema.schema[column].type;
+        const value = row[column];
+        if (type === 'TIMESTAMP_MILLIS') {
+            record[column] = value instanceof Date ? value.getTime() : Number(value);
+        } else if (type === 'DECIMAL') {
+            const unscaled = fromCsv ? parseDecimal(value) : decodeUnscaled(value);
+            record[column] = fromCsv && widths[column] === undefined ? value : formatDecimal(unscaled, { width: widths[column] ?? null });
+        } else if (type === 'INT64') {
+            record[column] = String(value);
+        } else {
+            record[column] = value;
+        }
+    }
+    return record;
+}
+
+// Fraction digits to print each decimal column of a file with; Parquet files without width metadata print shortest
+async function decimalWidths(file, table, decimals) {
+    const columns = Object.keys(table.decimals);
+    if (decimals === 'shortest') return Object.fromEntries(columns.map(column => [column, null]));
+    if (file.kind === 'csv') return {};
+    const written = await parquetDecimals(file.path);
+    return Object.fromEntries(columns.map(column => [column, written?.[column]?.width ?? null]));
+}
+
+// Iterate one file's rows as records
+async function* fileRecords(symbol, file, table, decimals) {
+    const widths = await decimalWidths(file, table, decimals);
+    const rows = file.kind === 'parquet' ? readParquetRows(file.path) : readTradeCsv(file.path, table.columns);
+    let line = 0;
+    for await (const row of rows) {
+        line++;
+        let record;
+        try {
+            record = toRecord(symbol, row, table, file.kind === 'csv', widths);
+        } catch (error) {
+            throw new Error(`${path.basename(file.path)} row ${line}: ${error.message}`);
+        }
+        yield record;
+    }
+}
+
+/**
+ * Stream the records matching a query, symbol by symbol in file order
+ * Only one file is open at a time, so memory stays flat however long the range is;
+ * `onFile` is called with each file as it is opened
+ */
+export async function* queryRecords({ data = './output', dataset, symbols, from = null, to = null, side = null, minSize = null, source = 'auto', decimals = 'original', limit = null, onFile }) {
+    const parsed = typeof dataset === 'string' ? parseDataset(dataset) : dataset ?? parseDataset(DEFAULT_DATASET);
+    const table = parsed.table;
+    let count = 0;
+
+    for (const symbol of symbols) {
+        for (const file of await findSourceFiles(data, parsed, symbol, { source, from, to })) {
+            onFile?.(file);
+            for await (const record of fileRecords(symbol, file, table, decimals)) {
+                const time = record[table.timeColumn];
+                if ((from !== null && time < from) || (to !== null && time > to)) continue;
+                if (side && record.side !== side) continue;
+                if (minSize !== null && parseDecimal(record.size) < minSize) continue;
+
+                yield record;
+                if (limit !== null && ++count >= limit) return;
+            }
+        }
+    }
+}
+
+// Text writer for CSV or NDJSON that waits for the stream to drain
+function textWriter(stream, format, columns) {
+    let header = format === 'csv';
+    const write = async (text) => {
+        if (!stream.write(text)) await once(stream, 'drain');
+    };
+    return {
+        async write(record) {
+            if (header) {
+                header = false;
+                await write(columns.join(',') + '\n');
+            }
+            await write(format === 'csv' ? columns.map(c => record[c]).join(',') + '\n' : JSON.stringify(record) + '\n');
+        },
+        async close() {
+            if (header) await write(columns.join(',') + '\n');
+        }
+    };
+}
+
+// Parquet writer with the dataset's columns plus the symbol, recording decimal widths like the pipeline's files
+async function parquetWriter(table, filePath, compression) {
+    const withSymbol = { schema: new parquet.ParquetSchema({ symbol: { type: 'UTF8' }, ...table.schema.schema }) };
+    const writer = await openTableWriter(withSymbol, filePath, { compression });
+    const decimals = decimalTracker(table);
+    return {
+        write(record) {
+            decimals.check(record);
+            return writer.appendRow({ symbol: record.symbol, ...table.toRow(record) });
+        },
+        close() {
+            writer.setMetadata(DECIMALS_METADATA, JSON.stringify(decimals.toJSON()));
+            return writer.close();
+        }
+    };
+}
+
+/**
+ * Run a query and write its rows to `output` (a file, written through a temp file) or `stdout`
+ * Resolves with { rows, files, format, output }
+ */
+export async function runQuery(options, { stdout = process.stdout } = {}) {
+    const dataset = typeof options.dataset === 'string' ? parseDataset(options.dataset) : options.dataset ?? parseDataset(DEFAULT_DATASET);
+    const table = dataset.table;
+    const format = options.format ?? 'csv';
+    if (!QUERY_FORMATS.includes(format)) {
+        throw new Error(`unknown format "${format}" (expected ${QUERY_FORMATS.join(', ')})`);
+    }
+    if (format === 'parquet' && !options.output) {
+        throw new Error('Parquet output needs a file');
+    }
+
+    const tempPath = options.output ? `${options.output}.partial` : null;
+    if (tempPath) await fs.mkdir(path.dirname(tempPath), { recursive: true });
+    const fileStream = tempPath && format !== 'parquet' ? createWriteStream(tempPath) : null;
+    const writer = format === 'parquet'
+        ? await parquetWriter(table, tempPath, options.compression)
+        : textWriter(fileStream ?? stdout, format, ['symbol', ...table.columns]);
+
+    let rows = 0;
+    let files = 0;
+    try {
+        for await (const record of queryRecords({ ...options, dataset, onFile: () => files++ })) {
+            await writer.write(record);
+            rows++;
+        }
+        await writer.close();
+        if (fileStream) {
+            fileStream.end();
+            await finished(fileStream);
+        }
+        if (tempPath) await fs.rename(tempPath, options.output);
+    } catch (error) {
+        if (format === 'parquet') await writer.close().catch(() => {});
+        fileStream?.destroy();
+        if (tempPath) await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+
+    return { rows, files, format, output: options.output ?? null };
+}
@@ -0,0 +1,151 @@
+/**
+ * Scheduling helpers for large downloads
+ * Bounded task pools, exponential backoff with jitter, Retry-After parsing,
+ * a global bytes-per-second limiter shared by every transfer, and a run's time budget
+ */
+
+// Run at most `concurrency` tasks at once, in submission order
+export function createPool(concurrency) {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return {
+        run(task) {
+            return new Promise((resolve, reject) => {
+                queue.push({ task, resolve, reject });
+                next();
+            });
+        },
+        get active() { return active; },
+        get pending() { return queue.length; }
+    };
+}
+
+// Full-jitter exponential backoff: a random delay up to base * 2^(attempt - 1), capped
+export function backoffDelay(attempt, { baseMs = 1000, maxMs = 60000, random = Math.random } = {}) {
+    const ceiling = Math.min(maxMs, baseMs * 2 ** Math.max(attempt - 1, 0));
+    return Math.round(random() * ceiling);
+}
+
+// Retry-After is either delay-seconds or an HTTP date; returns milliseconds or null
+export function parseRetryAfter(header, now = Date.now()) {
+    if (header === undefined || header === null || header === '') return null;
+    if (/^\d+$/.test(String(header).trim())) {
+        return Number(header) * 1000;
+    }
+    const at = Date.parse(header);
+    return Number.isNaN(at) ? null : Math.max(at - now, 0);
+}
+
+// Resolve after `ms`, or reject early when the signal aborts
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason || new Error('aborted'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason || new Error('aborted'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Global bandwidth cap: each caller reserves its bytes on a shared timeline
+export class RateLimiter {
+    constructor(bytesPerSecond, { now = Date.now } = {}) {
+        this.bytesPerSecond = bytesPerSecond || 0;
+        this.now = now;
+        this.nextFree = 0;
+    }
+
+    get enabled() {
+        return this.bytesPerSecond > 0;
+    }
+
+    async take(bytes, signal) {
+        if (!this.enabled) return;
+        const now = this.now();
+        const start = Math.max(now, this.nextFree);
+        this.nextFree = start + (bytes / this.bytesPerSecond) * 1000;
+        if (start > now) {
+            await sleep(start - now, signal);
+        }
+    }
+}
+
+// Parse "500000", "512k" or "8M" into bytes
+export function parseByteSize(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)i?b?$/i.exec(String(value).trim());
+    if (!match) return null;
+    const scale = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }[match[2].toLowerCase()];
+    return Math.floor(Number(match[1]) * scale);
+}
+
+// Share of a time budget held back for the files in flight and the summaries at the end
+export const BUDGET_RESERVE = 0.05;
+
+/**
+ * A wall-clock budget for one run
+ * Each kind of step (download, unpack, parquet...) is timed as it finishes, and `fits` estimates
+ * the next one from those (per byte when sizes are known, else per step) plus the reserve
+ */
+export class TimeBudget {
+    constructor(budgetMs, { reserveMs = Math.round(budgetMs * BUDGET_RESERVE), now = Date.now } = {}) {
+        this.budgetMs = budgetMs;
+        this.reserveMs = reserveMs;
+        this.now = now;
+        this.startedAt = now();
+        this.steps = new Map();
+    }
+
+    get deadline() {
+        return this.startedAt + this.budgetMs;
+    }
+
+    remainingMs() {
+        return Math.max(this.deadline - this.now(), 0);
+    }
+
+    // Record that one `kind` step over `bytes` (if known) took `ms`
+    record(kind, ms, bytes) {
+        const step = this.steps.get(kind) ?? { count: 0, ms: 0, sized: 0, sizedMs: 0 };
+        step.count++;
+        step.ms += ms;
+        if (bytes > 0) {
+            step.sized += bytes;
+            step.sizedMs += ms;
+        }
+        this.steps.set(kind, step);
+    }
+
+    // Expected milliseconds for the next `kind` step; 0 until one has been timed
+    estimateMs(kind, bytes) {
+        const step = this.steps.get(kind);
+        if (!step) return 0;
+        if (bytes > 0 && step.sized > 0) return Math.round(step.sizedMs / step.sized * bytes);
+        return Math.round(step.ms / step.count);
+    }
+
+    fits(kind, bytes) {
+        return this.remainingMs() - this.reserveMs >= this.estimateMs(kind, bytes);
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Deterministic symbol sharding for parallel CI jobs
+ * `--shard i/N` keeps the i-th of N shards (1-based); every job computes the same split from
+ * the same symbol list, by stable hash or balanced on each symbol's historical data size
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+
+export const SHARD_STRATEGIES = ['hash', 'size'];
+export const DEFAULT_SHARD_STRATEGY = 'hash';
+export const SHARD_MANIFEST_FILE = 'shard.json';
+
+// Parse "i/N" into { index, count }, throwing on anything else
+export function parseShard(value) {
+    const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+    const index = match && Number(match[1]);
+    const count = match && Number(match[2]);
+    if (!match || count < 1 || index < 1 || index > count) {
+        throw new Error(`shard must be i/N with 1 <= i <= N, got "${value}"`);
+    }
+    return { index, count };
+}
+
+// Stable 32-bit hash of a symbol, the same on every machine and Node version
+export function symbolHash(symbol) {
+    return crypto.createHash('md5').update(symbol).digest().readUInt32BE(0);
+}
+
+// Split symbols into `count` shards; `weights` maps symbol → bytes for the size strategy
+export function assignShards(symbols, count, { strategy = DEFAULT_SHARD_STRATEGY, weights = {} } = {}) {
+    const shards = Array.from({ length: count }, () => []);
+    const sorted = [...new Set(symbols)].sort();
+
+    if (strategy === 'hash') {
+        for (const symbol of sorted) {
+            shards[symbolHash(symbol) % count].push(symbol);
+        }
+        return shards;
+    }
+    if (strategy !== 'size') {
+        throw new Error(`unknown shard strategy "${strategy}" (expected ${SHARD_STRATEGIES.join(', ')})`);
+    }
+
+    // Largest first onto the lightest shard; symbols without history count as the average one
+    const known = sorted.map(s => weights[s]).filter(w => Number.isFinite(w) && w >= 0);
+    const fallback = known.length ? known.reduce((sum, w) => sum + w, 0) / known.length : 1;
+    const weightOf = (symbol) => Number.isFinite(weights[symbol]) && weights[symbol] >= 0 ? weights[symbol] : fallback;
+    const loads = new Array(count).fill(0);
+
+    for (const symbol of sorted.sort((a, b) => weightOf(b) - weightOf(a) || a.localeCompare(b))) {
+        const lightest = loads.indexOf(Math.min(...loads));
+        shards[lightest].push(symbol);
+        loads[lightest] += weightOf(symbol);
+    }
+    return shards.map(shard => shard.sort());
+}
+
+// The symbols one shard should process
+export function shardSymbols(symbols, shard, options = {}) {
+    return assignShards(symbols, shard.count, options)[shard.index - 1];
+}
+
+// Symbol sizes from a merged coverage report ({ symbols: [{ symbol, bytes }] }) or a plain { symbol: bytes } map
+export async function loadShardWeights(filePath) {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (!Array.isArray(data.symbols)) return data;
+
+    const weights = {};
+    for (const entry of data.symbols) {
+        weights[entry.symbol] = (weights[entry.symbol] || 0) + (entry.bytes || 0);
+    }
+    return weights;
+}
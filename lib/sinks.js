@@ -0,0 +1,239 @@
+/**
+ * Storage sinks for the pipeline's final artifacts
+ * A sink takes finished archives, Parquet files and summaries and stores them under a key built
+ * from a prefix layout. Uploads are idempotent: an object whose SHA-256 already matches is left
+ * alone, and a new copy only counts once its stored hash has been checked
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import https from 'https';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { pipeline } from 'stream/promises';
+import { hashFile } from './checksum.js';
+import { signRequest } from './sigv4.js';
+import { isRetryableStatus } from './download.js';
+import { backoffDelay, sleep } from './scheduler.js';
+
+export const DEFAULT_SINK_LAYOUT = '{dataset}/{symbol}/{kind}/{file}';
+export const LAYOUT_FIELDS = ['dataset', 'symbol', 'kind', 'file', 'year', 'month'];
+
+const HASH_METADATA = 'x-amz-meta-sha256';
+const CONTENT_TYPES = { '.zip': 'application/zip', '.json': 'application/json', '.parquet': 'application/vnd.apache.parquet' };
+
+// Check a key layout such as `raw/{dataset}/{symbol}/{year}/{month}/{file}`; it must place {file}
+export function parseSinkLayout(layout) {
+    const fields = [...layout.matchAll(/\{([^}]*)\}/g)].map(match => match[1]);
+    const unknown = fields.find(field => !LAYOUT_FIELDS.includes(field));
+    if (unknown !== undefined) {
+        throw new Error(`unknown field {${unknown}} in sink layout (expected ${LAYOUT_FIELDS.map(f => `{${f}}`).join(', ')})`);
+    }
+    if (!fields.includes('file')) {
+        throw new Error('sink layout must contain {file}');
+    }
+    return layout;
+}
+
+// Object key for one file; {year} and {month} come from the period in its name and are empty without one
+export function objectKey(layout, { dataset, symbol, kind, file }) {
+    const period = /(\d{4})-(\d{2})(?:-\d{2})?(?=\.\w+$)/.exec(file);
+    const fields = { dataset, symbol, kind, file, year: period?.[1] ?? '', month: period?.[2] ?? '' };
+    return layout
+        .replace(/\{(\w+)\}/g, (_, field) => fields[field])
+        .split('/')
+        .filter(Boolean)
+        .join('/');
+}
+
+/**
+ * Local directory sink: files are copied under `root`
+ * The copy is written to a temp file and hashed before it is renamed into place
+ */
+export class LocalSink {
+    constructor(root) {
+        this.root = path.resolve(root);
+        this.url = pathToFileURL(this.root).href;
+    }
+
+    async put(key, filePath, { sha256, size }) {
+        const target = path.join(this.root, ...key.split('/'));
+        const existing = await fs.stat(target).catch(() => null);
+        if (existing?.size === size && await hashFile(target, 'sha256') === sha256) {
+            return { status: 'unchanged' };
+        }
+
+        const tempPath = `${target}.partial`;
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        try {
+            await fs.copyFile(filePath, tempPath);
+            const stored = await hashFile(tempPath, 'sha256');
+            if (stored !== sha256) {
+                throw new Error(`copy of ${key} hashed to ${stored}, expected ${sha256}`);
+            }
+            await fs.rename(tempPath, target);
+        } catch (error) {
+            await fs.rm(tempPath, { force: true });
+            throw error;
+        }
+        return { status: 'uploaded' };
+    }
+}
+
+// One request with a streamed or empty body, resolving with { statusCode, headers, body }
+function request(url, { method, headers, filePath, timeout }) {
+    const client = url.startsWith('http:') ? http : https;
+    return new Promise((resolve, reject) => {
+        const req = client.request(url, { method, headers, timeout }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({ statusCode: response.statusCode, headers: response.headers, body: Buffer.concat(chunks).toString() }));
+            response.on('error', reject);
+        });
+        req.on('error', reject);
+        req.on('timeout', () => req.destroy(new Error('timeout')));
+        if (filePath) {
+            pipeline(createReadStream(filePath), req).catch(reject);
+        } else {
+            req.end();
+        }
+    });
+}
+
+// S3 error bodies carry a <Code>; fall back to the status
+function s3Error(response, action) {
+    const code = /<Code>([^<]+)<\/Code>/.exec(response.body)?.[1];
+    const error = new Error(`HTTP ${response.statusCode}${code ? ` ${code}` : ''} ${action}`);
+    error.statusCode = response.statusCode;
+    return error;
+}
+
+/**
+ * S3-compatible sink: s3://bucket/prefix against AWS or any endpoint that speaks the S3 API
+ * Requests are path-style (endpoint/bucket/key) and signed with SigV4. Each PUT declares the
+ * body's SHA-256, which the store checks on receipt, and records it as object metadata so the
+ * next run can tell the object is already there
+ */
+export class S3Sink {
+    constructor({ bucket, prefix = '', endpoint, region = 'us-east-1', credentials, timeout = 30000, maxAttempts = 2, backoffBaseMs = 1000 }) {
+        if (!credentials?.accessKeyId || !credentials?.secretAccessKey) {
+            throw new Error('the S3 sink needs AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY');
+        }
+        this.bucket = bucket;
+        this.prefix = prefix.replace(/^\/+|\/+$/g, '');
+        this.endpoint = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+        this.region = region;
+        this.credentials = credentials;
+        this.timeout = timeout;
+        this.maxAttempts = maxAttempts;
+        this.backoffBaseMs = backoffBaseMs;
+        this.url = `s3://${bucket}/${this.prefix}`;
+    }
+
+    objectUrl(key) {
+        const fullKey = [this.prefix, key].filter(Boolean).join('/');
+        return `${this.endpoint}/${this.bucket}/${fullKey.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    // Signed request, retried with backoff on network errors, 429 and 5xx
+    async send(method, key, { headers = {}, payloadHash, filePath } = {}) {
+        const url = this.objectUrl(key);
+        for (let attempt = 1; ; attempt++) {
+            let response;
+            try {
+                const signed = signRequest({ method, url, headers, payloadHash, region: this.region, credentials: this.credentials });
+                response = await request(url, { method, headers: signed, filePath, timeout: this.timeout });
+            } catch (error) {
+                if (attempt >= this.maxAttempts) throw error;
+            }
+            if (response && !isRetryableStatus(response.statusCode)) return response;
+            if (response && attempt >= this.maxAttempts) return response;
+            await sleep(backoffDelay(attempt, { baseMs: this.backoffBaseMs }));
+        }
+    }
+
+    // { size, sha256 } of a stored object, or null when there is none
+    async head(key) {
+        const response = await this.send('HEAD', key);
+        if (response.statusCode === 404) return null;
+        if (response.statusCode !== 200) throw s3Error(response, `checking ${key}`);
+        return { size: Number(response.headers['content-length']), sha256: response.headers[HASH_METADATA] ?? null };
+    }
+
+    async put(key, filePath, { sha256, size }) {
+        const existing = await this.head(key);
+        if (existing?.size === size && existing.sha256 === sha256) {
+            return { status: 'unchanged' };
+        }
+
+        const response = await this.send('PUT', key, {
+            headers: {
+                'content-length': size,
+                'content-type': CONTENT_TYPES[path.extname(key)] || 'application/octet-stream',
+                [HASH_METADATA]: sha256
+            },
+            payloadHash: sha256,
+            filePath
+        });
+        if (response.statusCode !== 200) throw s3Error(response, `uploading ${key}`);
+
+        const stored = await this.head(key);
+        if (stored?.size !== size || stored.sha256 !== sha256) {
+            throw new Error(`${key} did not verify after upload (stored ${stored?.size ?? 'nothing'} bytes, sha256 ${stored?.sha256 ?? 'missing'})`);
+        }
+        return { status: 'uploaded' };
+    }
+}
+
+/**
+ * Build a sink from a URL: a directory path or file:// URL, or s3://bucket/prefix
+ * S3 settings come from `options` ({ endpoint, region, credentials }) or the usual AWS_* variables;
+ * without options.endpoint, S3_ENDPOINT and then AWS_ENDPOINT_URL point at a compatible store
+ */
+export function createSink(url, options = {}, env = process.env) {
+    if (url.startsWith('s3://')) {
+        const [bucket, ...prefix] = url.slice('s3://'.length).split('/');
+        if (!bucket) throw new Error(`sink ${url} has no bucket`);
+        return new S3Sink({
+            bucket,
+            prefix: prefix.join('/'),
+            endpoint: options.endpoint || env.S3_ENDPOINT || env.AWS_ENDPOINT_URL,
+            region: options.region || env.AWS_REGION || env.AWS_DEFAULT_REGION || undefined,
+            credentials: options.credentials ?? {
+                accessKeyId: env.AWS_ACCESS_KEY_ID,
+                secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+                sessionToken: env.AWS_SESSION_TOKEN || undefined
+            },
+            timeout: options.timeout,
+            maxAttempts: options.maxAttempts,
+            backoffBaseMs: options.backoffBaseMs
+        });
+    }
+    if (url.startsWith('file://')) {
+        // Decodes %20 and friends, and refuses a host other than localhost
+        try {
+            return new LocalSink(fileURLToPath(url));
+        } catch (error) {
+            throw new Error(`invalid sink ${url}: ${error.message}`);
+        }
+    }
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+        throw new Error(`unsupported sink ${url} (expected a directory, file:// or s3://)`);
+    }
+    return new LocalSink(url);
+}
+
+// Store one file, hashing it first; failures come back as results rather than throws
+export async function publishFile(sink, layout, { filePath, dataset, symbol, kind }) {
+    const file = path.basename(filePath);
+    const key = objectKey(layout, { dataset, symbol, kind, file });
+    try {
+        const { size } = await fs.stat(filePath);
+        const sha256 = await hashFile(filePath, 'sha256');
+        const { status } = await sink.put(key, filePath, { sha256, size });
+        return { success: true, file, kind, key, status, bytes: size, sha256 };
+    } catch (error) {
+        return { success: false, file, kind, key, status: 'failed', error: error.message };
+    }
+}
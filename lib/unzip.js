@@ -0,0 +1,204 @@
+/**
+ * Streaming ZIP extraction for downloaded KuCoin archives
+ * Every entry is streamed to disk, CRC32-checked and counted
+ */
+
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import { Transform, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+import { log, logError } from './log.js';
+
+// Refuse entries larger than this unless the caller raises the limit
+export const DEFAULT_MAX_ENTRY_BYTES = 2 * 1024 * 1024 * 1024;
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Update a running CRC32 with another chunk
+function crc32Update(crc, chunk) {
+    let c = crc ^ 0xffffffff;
+    for (let i = 0; i < chunk.length; i++) {
+        c = CRC32_TABLE[(c ^ chunk[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// Entry names must stay inside the extract directory
+export function isSafeEntryName(name) {
+    if (!name || name.includes('\0')) return false;
+    if (name.startsWith('/') || name.startsWith('\\') || /^[a-zA-Z]:/.test(name)) return false;
+    return !name.split(/[\\/]+/).includes('..');
+}
+
+// Pass-through stream that tracks CRC32, byte count and line count
+function createEntryMeter(maxBytes) {
+    const meter = new Transform({
+        transform(chunk, encoding, callback) {
+            meter.bytes += chunk.length;
+            if (meter.bytes > maxBytes) {
+                callback(new Error(`entry exceeds ${maxBytes} bytes while extracting`));
+                return;
+            }
+            meter.crc = crc32Update(meter.crc, chunk);
+            for (let i = 0; i < chunk.length; i++) {
+                if (chunk[i] === 0x0a) meter.lines++;
+            }
+            meter.lastByte = chunk[chunk.length - 1];
+            callback(null, chunk);
+        }
+    });
+    meter.bytes = 0;
+    meter.crc = 0;
+    meter.lines = 0;
+    meter.lastByte = undefined;
+    return meter;
+}
+
+function openZip(zipPath) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+            if (error) reject(error);
+            else resolve(zipfile);
+        });
+    });
+}
+
+function openEntryStream(zipfile, entry) {
+    return new Promise((resolve, reject) => {
+        zipfile.openReadStream(entry, (error, stream) => {
+            if (error) reject(error);
+            else resolve(stream);
+        });
+    });
+}
+
+// Resolve with the next entry, or null once the central directory is exhausted
+function nextEntry(zipfile) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            zipfile.removeListener('entry', onEntry);
+            zipfile.removeListener('end', onEnd);
+            zipfile.removeListener('error', onError);
+        };
+        const onEntry = (entry) => { cleanup(); resolve(entry); };
+        const onEnd = () => { cleanup(); resolve(null); };
+        const onError = (error) => { cleanup(); reject(error); };
+
+        zipfile.on('entry', onEntry);
+        zipfile.on('end', onEnd);
+        zipfile.on('error', onError);
+        zipfile.readEntry();
+    });
+}
+
+// Sink for entries that are only being checked
+function createDiscardStream() {
+    return new Writable({ write(chunk, encoding, callback) { callback(); } });
+}
+
+// Extract a single file entry (or just check it when targetPath is null), returning what was read
+async function extractEntry(zipfile, entry, targetPath, maxEntryBytes) {
+    const meter = createEntryMeter(maxEntryBytes);
+    const readStream = await openEntryStream(zipfile, entry);
+
+    await pipeline(readStream, meter, targetPath ? createWriteStream(targetPath) : createDiscardStream());
+
+    if (meter.crc !== entry.crc32) {
+        throw new Error(`CRC32 mismatch for ${entry.fileName}: expected ${entry.crc32.toString(16)}, got ${meter.crc.toString(16)}`);
+    }
+
+    // Lines minus the CSV header, counting a final line without a trailing newline
+    const lines = meter.lines + (meter.bytes > 0 && meter.lastByte !== 0x0a ? 1 : 0);
+    return { bytes: meter.bytes, rows: Math.max(lines - 1, 0) };
+}
+
+// Walk every entry, writing into extractDir or only checking when it is null
+async function walkZip(zipPath, extractDir, maxEntryBytes, written) {
+    const zipfile = await openZip(zipPath);
+    const files = [];
+
+    try {
+        let entry;
+        while ((entry = await nextEntry(zipfile)) !== null) {
+            const name = entry.fileName;
+
+            if (!isSafeEntryName(name)) {
+                throw new Error(`unsafe entry name rejected: ${name}`);
+            }
+            if (name.endsWith('/')) continue;
+            if (entry.uncompressedSize > maxEntryBytes) {
+                throw new Error(`entry ${name} declares ${entry.uncompressedSize} bytes (limit ${maxEntryBytes})`);
+            }
+
+            let targetPath = null;
+            if (extractDir) {
+                targetPath = path.join(extractDir, name);
+                if (!path.resolve(targetPath).startsWith(path.resolve(extractDir) + path.sep)) {
+                    throw new Error(`unsafe entry name rejected: ${name}`);
+                }
+                await fs.mkdir(path.dirname(targetPath), { recursive: true });
+                written.push(targetPath);
+            }
+
+            const { bytes, rows } = await extractEntry(zipfile, entry, targetPath, maxEntryBytes);
+            files.push(targetPath ? { name, path: targetPath, bytes, rows } : { name, bytes, rows });
+        }
+    } finally {
+        zipfile.close();
+    }
+
+    return {
+        success: true,
+        csvFiles: files.filter(f => f.name.endsWith('.csv')).map(f => f.name),
+        files,
+        totalBytes: files.reduce((sum, f) => sum + f.bytes, 0),
+        totalRows: files.reduce((sum, f) => sum + f.rows, 0)
+    };
+}
+
+// Unpack ZIP file
+export async function unpackZip(zipPath, extractDir, options = {}) {
+    const maxEntryBytes = options.maxEntryBytes || DEFAULT_MAX_ENTRY_BYTES;
+    const written = [];
+
+    try {
+        log(`📦 Unpacking ${path.basename(zipPath)}...`);
+        await fs.mkdir(extractDir, { recursive: true });
+
+        const result = await walkZip(zipPath, extractDir, maxEntryBytes, written);
+        for (const file of result.files) {
+            log(`📄 Extracted ${file.name} (${file.bytes} bytes, ${file.rows} rows)`);
+        }
+
+        log(`✅ Unpacked ${result.files.length} file(s) to ${extractDir}`);
+        return result;
+
+    } catch (error) {
+        logError(`❌ Unpack error: ${error.message}`);
+        await Promise.all(written.map(p => fs.rm(p, { force: true })));
+        return { success: false, error: error.message };
+    }
+}
+
+// Check every entry's CRC32 and limits without writing anything
+export async function verifyZip(zipPath, options = {}) {
+    const maxEntryBytes = options.maxEntryBytes || DEFAULT_MAX_ENTRY_BYTES;
+
+    try {
+        return await walkZip(zipPath, null, maxEntryBytes, []);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Merge sharded pipeline outputs into one coverage report
+ * Run after the matrix jobs: node merge_shards.js --output coverage.json shards/*
+ */
+
+import { parseArgs } from 'util';
+import { log, logWarn } from './lib/log.js';
+import { mergeShards, COVERAGE_REPORT_FILE } from './lib/merge.js';
+
+const USAGE = `Usage: node merge_shards.js [--output <file>] <shard output dir>...
+
+Options:
+  -o, --output <file>  Coverage report to write (default: ${COVERAGE_REPORT_FILE})
+  -h, --help           Show this help`;
+
+let values;
+let positionals;
+try {
+    ({ values, positionals } = parseArgs({
+        options: { output: { type: 'string', short: 'o' }, help: { type: 'boolean', short: 'h' } },
+        allowPositionals: true
+    }));
+} catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(USAGE);
+    process.exit(2);
+}
+
+if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+if (positionals.length === 0) {
+    console.error('❌ Give at least one shard output directory\n');
+    console.error(USAGE);
+    process.exit(2);
+}
+
+const outputPath = values.output ?? COVERAGE_REPORT_FILE;
+const report = await mergeShards(positionals, outputPath);
+const { shards, totals } = report;
+
+log(`🧩 Merged ${positionals.length} output(s)${shards.count ? ` for ${shards.count} shard(s)` : ''} into ${outputPath}`);
+log(`   • Symbols: ${totals.symbols} (${totals.succeeded} succeeded, ${totals.failed} failed)`);
+log(`   • Files verified: ${totals.filesVerified} (${totals.bytes} bytes)`);
+log(`   • Parquet records: ${totals.parquetRecords}`);
+log(`   • Periods missing upstream: ${totals.missingPeriods}`);
+if (shards.error) logWarn(`⚠️ ${shards.error}`);
+if (shards.missing.length) logWarn(`⚠️ No output from shard(s) ${shards.missing.join(', ')}`);
+if (totals.unprocessed) logWarn(`⚠️ ${totals.unprocessed} assigned symbol(s) have no summary`);
+if (report.duplicates.length) logWarn(`⚠️ ${report.duplicates.length} symbol(s) ran in more than one shard`);
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Query and export collected trades or klines
+ * node query.js --symbols BTCUSDT --from 2025-01-01 --to 2025-01-31 --side sell --min-size 2 > sells.csv
+ */
+
+import { pathToFileURL } from 'url';
+import { configureLogging, log, logError } from './lib/log.js';
+import { UsageError } from './lib/cli.js';
+import { parseQueryCli, queryUsage, runQuery } from './lib/query.js';
+
+// Run the query CLI; rows go to stdout or --output, progress to stderr
+async function main(argv) {
+    let options;
+    try {
+        options = parseQueryCli(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`❌ ${error.message}\n`);
+        console.error(queryUsage());
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        console.log(queryUsage());
+        return;
+    }
+
+    configureLogging({ stream: process.stderr });
+    // A closed pipe (| head) just means the reader has seen enough
+    process.stdout.on('error', error => {
+        if (error.code !== 'EPIPE') logError(`❌ Cannot write to stdout: ${error.message}`);
+        process.exit(error.code === 'EPIPE' ? 0 : 1);
+    });
+
+    try {
+        const result = await runQuery(options);
+        log(`🔎 ${result.rows} row(s) from ${result.files} file(s) → ${result.output ?? 'stdout'} (${result.format})`);
+    } catch (error) {
+        logError(`❌ Query failed: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2));
+}
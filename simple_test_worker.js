@@ -6,37 +6,51 @@
 import fs from 'fs/promises';
 import { createWriteStream } from 'fs';
 import path from 'path';
+import http from 'http';
 import https from 'https';
-
-console.log('🧪 Simple Test Worker for GitHub Actions');
-console.log('🎯 Testing with known BTCUSDT files');
-
-const TEST_FILES = [
-    'BTCUSDT-trades-2025-01-01.zip',
-    'BTCUSDT-trades-2025-01-02.zip',
-    'BTCUSDT-trades-2025-01-03.zip'
-];
+import { parseCli, buildPlans, UsageError, DEFAULTS } from './lib/cli.js';
+import { BUCKET_URL } from './lib/discovery.js';
 
 const CONFIG = {
-    symbol: 'BTCUSDT',
     outputDir: './output',
-    baseUrl: 'https://historical-data.kucoin.com/data/spot/daily/trades/BTCUSDT/',
     timeout: 30000
 };
 
+function usage(command = 'simple_test_worker.js') {
+    return `Usage: node ${command} [options]
+
+Downloads each day's archive once, with no checksums or unpacking, to check the bucket is reachable.
+
+Options:
+  -d, --datasets <list>      Comma-separated datasets (default: ${DEFAULTS.datasets.join(',')})
+  -s, --symbols <list>       Comma-separated symbols (default: ${DEFAULTS.symbols.join(',')})
+      --from <YYYY-MM-DD>    First UTC day to fetch (default: ${DEFAULTS.from})
+      --to <YYYY-MM-DD>      Last UTC day to fetch, inclusive (default: ${DEFAULTS.to})
+  -o, --output <dir>         Output directory (default: ${DEFAULTS.output})
+      --base-url <url>       Bucket to read from (default: $KUCOIN_BASE_URL, else ${BUCKET_URL})
+      --request-timeout <s>  Seconds a request may stall (default: 30)
+  -h, --help                 Show this help
+
+Example:
+  node ${command} --symbols BTCUSDT,ETHUSDT --from 2025-01-01 --to 2025-01-03
+
+Exit codes: 0 every symbol downloaded a file, 1 a symbol downloaded none, 2 invalid arguments`;
+}
+
 function log(message) {
     const timestamp = new Date().toISOString();
     console.log(`[${timestamp}] ${message}`);
 }
 
-async function testDownload(filename) {
-    const url = CONFIG.baseUrl + filename;
-    const outputPath = path.join(CONFIG.outputDir, CONFIG.symbol, filename);
+async function testDownload(plan, filename) {
+    const url = plan.baseUrl + filename;
+    const outputPath = path.join(CONFIG.outputDir, plan.dir, filename);
     
     return new Promise((resolve, reject) => {
         log(`📥 Testing download: ${filename}`);
         
-        const request = https.get(url, { timeout: CONFIG.timeout }, (response) => {
+        const client = url.startsWith('http:') ? http : https;
+        const request = client.get(url, { timeout: CONFIG.timeout }, (response) => {
             log(`📡 Response: ${response.statusCode} ${response.statusMessage}`);
             
             if (response.statusCode === 200) {
@@ -78,18 +92,18 @@ async function testDownload(filename) {
     });
 }
 
-async function runTest() {
+async function runTest(plan) {
     try {
-        log(`🚀 Starting simple test for ${CONFIG.symbol}`);
+        log(`🚀 Starting simple test for ${plan.symbol}`);
         
-        const symbolDir = path.join(CONFIG.outputDir, CONFIG.symbol);
+        const symbolDir = path.join(CONFIG.outputDir, plan.dir);
         await fs.mkdir(symbolDir, { recursive: true });
         log(`📁 Created output directory: ${symbolDir}`);
         
         const results = [];
         
-        for (const filename of TEST_FILES) {
-            const result = await testDownload(filename);
+        for (const filename of plan.files) {
+            const result = await testDownload(plan, filename);
             results.push(result);
         }
         
@@ -97,9 +111,9 @@ async function runTest() {
         const totalBytes = results.reduce((sum, r) => sum + r.bytes, 0);
         
         const summary = {
-            symbol: CONFIG.symbol,
+            symbol: plan.symbol,
             testCompletedAt: new Date().toISOString(),
-            filesAttempted: TEST_FILES.length,
+            filesAttempted: plan.files.length,
             filesDownloaded: successCount,
             totalBytes: totalBytes,
             testResults: results,
@@ -110,16 +124,17 @@ async function runTest() {
         await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2));
         
         log(`\n🎯 TEST RESULTS:`);
-        log(`   • Files attempted: ${TEST_FILES.length}`);
+        log(`   • Files attempted: ${plan.files.length}`);
         log(`   • Files downloaded: ${successCount}`);
         log(`   • Total bytes: ${totalBytes}`);
-        log(`   • Success rate: ${(successCount/TEST_FILES.length*100).toFixed(1)}%`);
+        log(`   • Success rate: ${(successCount/plan.files.length*100).toFixed(1)}%`);
         
         if (successCount > 0) {
             log(`\n✅ TEST PASSED! GitHub Actions will work`);
             log(`📦 Files ready for artifact packaging`);
         } else {
             log(`\n❌ TEST FAILED! Need to debug the download URLs`);
+            process.exitCode = 1;
         }
         
     } catch (error) {
@@ -128,4 +143,30 @@ async function runTest() {
     }
 }
 
-runTest();
\ No newline at end of file
+let options;
+try {
+    options = parseCli(process.argv.slice(2));
+    if (options.symbols === 'all' || options.shard) {
+        throw new UsageError('the smoke test takes an explicit --symbols list and no --shard');
+    }
+} catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`❌ ${error.message}\n`);
+    console.error(usage());
+    process.exit(2);
+}
+
+if (options.help) {
+    console.log(usage());
+    process.exit(0);
+}
+
+CONFIG.outputDir = options.output;
+CONFIG.timeout = (options.requestTimeout ?? CONFIG.timeout / 1000) * 1000;
+
+console.log('🧪 Simple Test Worker for GitHub Actions');
+console.log(`🎯 Testing with ${options.symbols.join(', ')} files from ${options.from} to ${options.to}`);
+
+for (const plan of buildPlans(options)) {
+    await runTest(plan);
+}
\ No newline at end of file
@@ -0,0 +1,343 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { startMockKucoin } from './helpers/mock-kucoin.js';
+import { createZip } from './helpers/zip.js';
+import { symbolHash } from '../lib/shards.js';
+import { runPipeline, toParquet, PIPELINE_EVENTS, parseCli, TimeBudget } from '../index.js';
+
+const PREFIX = 'data/spot/daily/trades/';
+
+// Bucket objects for one daily (or, under a monthly prefix, monthly) archive of three trades and its CHECKSUM
+function archive(symbol, day, behavior, prefix = PREFIX) {
+    const name = `${symbol}-trades-${day}.zip`;
+    const start = Date.parse(day.length === 7 ? `${day}-01` : day);
+    const csv = ['trade_id,trade_time,price,size,side']
+        .concat([0, 1, 2].map(i => `${i + 1},${start + i * 1000},93500.5,0.001,BUY`))
+        .join('\n') + '\n';
+    const zip = createZip([{ name: name.replace(/\.zip$/, '.csv'), data: csv }]);
+    return {
+        [`${prefix}${symbol}/${name}`]: { body: zip, behavior },
+        [`${prefix}${symbol}/${name}.CHECKSUM`]: { body: `${crypto.createHash('sha256').update(zip).digest('hex')}  ${name}\n` }
+    };
+}
+
+let server;
+let outputDir;
+
+before(async () => {
+    server = await startMockKucoin({
+        ...archive('APIUSDT', '2025-01-01'),
+        ...archive('MISSUSDT', '2025-01-01', 404),
+        ...archive('SLOWUSDT', '2025-01-01', 'hang'),
+        ...archive('PRUNEUSDT', '2025-01', undefined, 'data/spot/monthly/trades/'),
+        ...archive('LIVEUSDT', '2025-01-01')
+    });
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-api-'));
+});
+
+after(async () => {
+    await server?.close();
+    if (outputDir) await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+function apiOptions(symbols, extra = {}) {
+    return {
+        symbols,
+        datasets: ['spot/daily/trades'],
+        from: '2025-01-01',
+        to: '2025-01-01',
+        output: outputDir,
+        bucketUrl: server.url,
+        maxRetries: 1,
+        intervals: ['1h'],
+        ...extra
+    };
+}
+
+// Record every pipeline event as [name, payload]
+function recorder() {
+    const events = new EventEmitter();
+    const seen = [];
+    for (const name of PIPELINE_EVENTS) {
+        events.on(name, payload => seen.push([name, payload]));
+    }
+    return { events, seen };
+}
+
+test('importing the worker does not start a run', async () => {
+    const before = server.requests.length;
+    await import('../enhanced_worker.js');
+
+    assert.equal(server.requests.length, before);
+    assert.equal(process.exitCode, undefined);
+});
+
+test('runPipeline resolves with summaries and reports progress', async () => {
+    const { events, seen } = recorder();
+    const result = await runPipeline(apiOptions(['APIUSDT'], { events }));
+    const [summary] = result.summaries;
+
+    assert.equal(result.status, 'success');
+    assert.equal(summary.pipeline.parquetRecords, 3);
+    assert.deepEqual(
+        seen.filter(([name]) => name === 'phase-complete').map(([, e]) => e.phase),
+        ['download', 'unpack', 'validate', 'parquet', 'candles']
+    );
+
+    const [, verified] = seen.find(([name]) => name === 'verified');
+    assert.equal(verified.filename, 'APIUSDT-trades-2025-01-01.zip');
+    assert.equal(verified.algorithm, 'sha256');
+
+    const progress = seen.filter(([name]) => name === 'bytes-downloaded').map(([, e]) => e);
+    assert.ok(progress.length > 0);
+    assert.equal(progress.at(-1).totalBytes, verified.bytes);
+    assert.equal(seen.at(-1)[0], 'symbol-complete');
+});
+
+test('single phases read earlier output from disk', async () => {
+    const result = await toParquet(apiOptions(['APIUSDT']));
+    const [summary] = result.summaries;
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(summary.phasesRun, ['parquet']);
+    assert.equal(summary.parquetResults[0].skipped, true);
+});
+
+test('the hive layout keeps an incomplete month partial', async () => {
+    const options = apiOptions(['APIUSDT'], { layout: 'hive', mode: 'parquet_only', metricsFile: false });
+    const [first] = (await runPipeline(options)).summaries[0].parquetResults;
+    const [again] = (await runPipeline(options)).summaries[0].parquetResults;
+    const partPath = path.join(outputDir, 'hive', '_partial', 'dataset=trades', 'symbol=APIUSDT', 'year=2025', 'month=01', 'part-2025-01-01.parquet');
+
+    assert.equal(first.status, 'partial');
+    assert.equal(first.periodsPresent, 1);
+    assert.equal(first.periodsExpected, 31);
+    assert.equal(first.recordCount, 3);
+    await fs.access(partPath);
+    assert.equal(again.skipped, true);
+});
+
+test('failed files are reported as error events', async () => {
+    const { events, seen } = recorder();
+    const result = await runPipeline(apiOptions(['MISSUSDT'], { events, mode: 'download_only' }));
+    const [, error] = seen.find(([name]) => name === 'error');
+
+    assert.equal(result.status, 'failed');
+    assert.equal(error.phase, 'download');
+    assert.equal(error.error, 'HTTP 404');
+});
+
+test('an AbortSignal cancels downloads in flight', async () => {
+    const controller = new AbortController();
+    const { events } = recorder();
+    events.on('file-started', () => setTimeout(() => controller.abort(), 50));
+
+    const result = await runPipeline(apiOptions(['SLOWUSDT'], { events, signal: controller.signal, requestTimeout: 30 }));
+    const [summary] = result.summaries;
+
+    assert.equal(result.cancelled, true);
+    assert.equal(summary.cancelled, true);
+    assert.equal(summary.downloadResults[0].status, 'cancelled');
+    assert.deepEqual(summary.unpackResults, []);
+});
+
+test('rejects unknown modes and phases', async () => {
+    await assert.rejects(runPipeline(apiOptions(['APIUSDT'], { mode: 'everything' })), /unknown mode "everything"/);
+    await assert.rejects(runPipeline(apiOptions(['APIUSDT'], { phases: ['upload'] })), /unknown phase "upload"/);
+});
+
+test('symbols "all" lists the bucket and keeps one shard', async () => {
+    const result = await runPipeline(apiOptions('all', { shard: '2/2', mode: 'verify_only', metricsFile: false }));
+    const manifest = JSON.parse(await fs.readFile(path.join(outputDir, 'shard.json'), 'utf8'));
+
+    assert.deepEqual(result.shard.symbols, ['APIUSDT', 'LIVEUSDT', 'MISSUSDT', 'SLOWUSDT'].filter(s => symbolHash(s) % 2 === 1));
+    assert.deepEqual(result.summaries.map(s => s.symbol), result.shard.symbols);
+    assert.equal(manifest.universe, 4);
+    assert.deepEqual(manifest.datasets, ['spot/daily/trades']);
+    assert.ok(server.requests.some(r => r.query.includes('delimiter=%2F')));
+});
+
+test('a sink receives verified archives, finished Parquet and summaries once', async () => {
+    const sinkDir = path.join(outputDir, 'sink');
+    const options = apiOptions(['APIUSDT'], { sink: sinkDir, sinkLayout: '{symbol}/{kind}/{file}', metricsFile: false });
+    const [first] = (await runPipeline(options)).summaries;
+    const [again] = (await runPipeline(options)).summaries;
+
+    assert.deepEqual(first.publishResults.map(r => r.key).sort(), [
+        'APIUSDT/archives/APIUSDT-trades-2025-01-01.zip',
+        'APIUSDT/parquet/APIUSDT-2025-01.parquet',
+        'APIUSDT/parquet/APIUSDT-candles-1h-2025-01.parquet'
+    ]);
+    assert.equal(first.pipeline.filesPublished, 3);
+    assert.ok(again.publishResults.every(r => r.status === 'unchanged'));
+    const stored = JSON.parse(await fs.readFile(path.join(sinkDir, 'APIUSDT', 'summaries', 'enhanced_summary.json'), 'utf8'));
+    assert.equal(stored.completedAt, again.completedAt);
+});
+
+test('overrides apply per symbol and each summary records the settings it ran with', async () => {
+    const options = apiOptions(['APIUSDT'], {
+        metricsFile: false,
+        symbolOverrides: { APIUSDT: { intervals: ['1d'] } },
+        configSource: { file: '/etc/kucoin.config.json', env: ['KUCOIN_OUTPUT_DIR'] }
+    });
+    const [summary] = (await runPipeline(options)).summaries;
+
+    await fs.access(path.join(outputDir, 'APIUSDT', 'parquet', 'APIUSDT-candles-1d-2025-01.parquet'));
+    assert.deepEqual(summary.config.overrides, { intervals: ['1d'] });
+    assert.equal(summary.config.file, '/etc/kucoin.config.json');
+    assert.deepEqual(summary.config.env, ['KUCOIN_OUTPUT_DIR']);
+    assert.deepEqual(summary.config.settings.symbols, ['APIUSDT']);
+    assert.deepEqual(summary.config.settings.intervals, ['1h']);
+
+    // The recorded settings are themselves a valid config file for the same run
+    const configPath = path.join(outputDir, 'reproduce.json');
+    await fs.writeFile(configPath, JSON.stringify(summary.config.settings));
+    const reparsed = parseCli(['--config', configPath], {});
+    assert.equal(reparsed.mode, 'full');
+    assert.equal(reparsed.output, outputDir);
+    assert.equal(reparsed.maxRetries, 1);
+    assert.equal(reparsed.requestTimeout, 30);
+    assert.equal(reparsed.bucketUrl, server.url.replace(/\/?$/, '/'));
+});
+
+test('prune-all removes a finished month\'s archive and CSVs and later runs skip it', async () => {
+    const options = apiOptions(['PRUNEUSDT'], { datasets: ['spot/monthly/trades'], to: '2025-01-31', retention: 'prune-all', metricsFile: false });
+    const symbolDir = path.join(outputDir, 'spot-monthly-trades', 'PRUNEUSDT');
+    const [first] = (await runPipeline(options)).summaries;
+
+    assert.equal(first.status, 'success');
+    assert.deepEqual(first.disk.pruned.map(p => [p.month, p.files]), [['2025-01', 3]]);
+    assert.ok(first.disk.estimatedBytes > first.totalBytes);
+    assert.equal(first.pipeline.bytesReclaimed, first.disk.bytesReclaimed);
+    assert.ok(first.disk.bytesReclaimed > first.totalBytes);
+    await assert.rejects(fs.access(path.join(symbolDir, 'PRUNEUSDT-trades-2025-01.zip')));
+    await assert.rejects(fs.access(path.join(symbolDir, 'extracted', 'PRUNEUSDT-trades-2025-01.csv')));
+    await fs.access(path.join(symbolDir, 'parquet', 'PRUNEUSDT-2025-01.parquet'));
+
+    const before = server.requests.length;
+    const [again] = (await runPipeline(options)).summaries;
+    const fetched = server.requests.slice(before).filter(r => r.path.endsWith('.zip'));
+
+    assert.equal(again.status, 'success');
+    assert.deepEqual(fetched, []);
+    assert.equal(again.downloadResults[0].pruned, true);
+    assert.equal(again.parquetResults[0].pruned, true);
+    assert.equal(again.parquetResults[0].recordCount, 3);
+    assert.equal(again.candleResults[0].skipped, true);
+});
+
+test('a day captured live is reconciled against its archive', async () => {
+    // The capture saw trade 2, missed trade 3 and has a trade 4 the archive does not
+    const start = Date.parse('2025-01-01');
+    const liveDir = path.join(outputDir, 'LIVEUSDT', 'live');
+    await fs.mkdir(liveDir, { recursive: true });
+    await fs.writeFile(path.join(liveDir, 'LIVEUSDT-trades-2025-01-01.csv'),
+        `trade_id,trade_time,price,size,side\n2,${start + 1000},93500.5,0.001,BUY\n4,${start + 2500},93500.5,0.001,BUY\n`);
+
+    const options = apiOptions(['LIVEUSDT'], { metricsFile: false });
+    const [summary] = (await runPipeline(options)).summaries;
+    const report = JSON.parse(await fs.readFile(path.join(outputDir, 'LIVEUSDT', 'reconcile_report.json'), 'utf8'));
+
+    assert.equal(summary.pipeline.daysReconciled, 1);
+    assert.deepEqual(summary.reconcile, {
+        report: 'reconcile_report.json',
+        missingTrades: 1,
+        extraTrades: 1,
+        days: { 'LIVEUSDT-trades-2025-01-01.csv': 'mismatch' }
+    });
+    assert.deepEqual([report.days[0].missingIds, report.days[0].extraIds, report.days[0].outsideWindow], [['3'], ['4'], 1]);
+
+    const [again] = (await runPipeline(options)).summaries;
+    assert.equal(again.reconcile.missingTrades, 1);
+    assert.ok('reconcile' in again.phaseDurationsMs);
+    assert.equal((await runPipeline(apiOptions(['APIUSDT'], { metricsFile: false }))).summaries[0].reconcile, null);
+});
+
+test('a stopped run leaves a checkpoint and the next run starts on the symbols it did not finish', async () => {
+    const output = path.join(outputDir, 'checkpoint');
+    const options = apiOptions(['APIUSDT', 'LIVEUSDT'], { output, metricsFile: false });
+    const stop = new AbortController();
+    const { events } = recorder();
+    events.once('symbol-complete', () => stop.abort());
+
+    const first = await runPipeline({ ...options, events, stopSignal: stop.signal });
+    const checkpoint = JSON.parse(await fs.readFile(first.checkpoint, 'utf8'));
+    assert.equal(first.stopped, 'stop requested');
+    assert.deepEqual(first.summaries.map(s => [s.symbol, s.stopped]), [['APIUSDT', null]]);
+    assert.deepEqual(checkpoint.completed, [{ dataset: 'spot/daily/trades', symbol: 'APIUSDT' }]);
+    assert.deepEqual(checkpoint.pending, [{ dataset: 'spot/daily/trades', symbol: 'LIVEUSDT' }]);
+
+    // APIUSDT keeps its summary without another request to the bucket
+    const before = server.requests.length;
+    const second = await runPipeline(options);
+    assert.equal(second.stopped, null);
+    assert.equal(second.checkpoint, null);
+    assert.deepEqual(second.summaries.map(s => [s.symbol, s.status]), [['APIUSDT', 'success'], ['LIVEUSDT', 'success']]);
+    assert.ok(server.requests.slice(before).every(r => !`${r.path}${r.query}`.includes('APIUSDT')));
+    await assert.rejects(fs.access(path.join(output, 'checkpoint.json')));
+});
+
+test('a checkpoint leaves failed symbols pending so the next run retries them', async () => {
+    const output = path.join(outputDir, 'checkpoint-failed');
+    const options = apiOptions(['MISSUSDT', 'APIUSDT'], { output, metricsFile: false });
+    const stop = new AbortController();
+    const { events } = recorder();
+    events.once('symbol-complete', () => stop.abort());
+
+    const first = await runPipeline({ ...options, events, stopSignal: stop.signal });
+    const checkpoint = JSON.parse(await fs.readFile(first.checkpoint, 'utf8'));
+    assert.deepEqual(first.summaries.map(s => [s.symbol, s.status, s.stopped]), [['MISSUSDT', 'failed', null]]);
+    assert.deepEqual(checkpoint.completed, []);
+    assert.deepEqual(checkpoint.pending.map(p => p.symbol), ['MISSUSDT', 'APIUSDT']);
+
+    const before = server.requests.length;
+    const second = await runPipeline(options);
+    assert.deepEqual(second.summaries.map(s => [s.symbol, s.status]), [['MISSUSDT', 'failed'], ['APIUSDT', 'success']]);
+    assert.ok(server.requests.slice(before).some(r => r.path.includes('MISSUSDT')));
+});
+
+test('a stop request lets the file in flight finish and skips the symbol\'s later phases', async () => {
+    const stop = new AbortController();
+    const { events } = recorder();
+    events.once('file-started', () => stop.abort('SIGTERM'));
+
+    const result = await runPipeline(apiOptions(['APIUSDT'], { output: path.join(outputDir, 'drain'), events, stopSignal: stop.signal, metricsFile: false }));
+    const [summary] = result.summaries;
+    assert.equal(result.cancelled, false);
+    assert.equal(summary.stopped, 'SIGTERM');
+    assert.equal(summary.downloadResults[0].status, 'verified');
+    assert.deepEqual(summary.unpackResults, []);
+    assert.equal(JSON.parse(await fs.readFile(result.checkpoint, 'utf8')).pending.length, 1);
+});
+
+test('a time budget cuts off downloads still running when it is used up', async () => {
+    const result = await runPipeline(apiOptions(['SLOWUSDT'], { output: path.join(outputDir, 'budget'), timeBudget: 1, requestTimeout: 30, metricsFile: false }));
+    const [summary] = result.summaries;
+
+    assert.equal(result.stopped, 'time budget');
+    assert.equal(summary.stopped, 'time budget');
+    assert.equal(summary.downloadResults[0].status, 'cancelled');
+    assert.equal(summary.config.settings.timeBudget, 1);
+    assert.deepEqual(JSON.parse(await fs.readFile(result.checkpoint, 'utf8')).pending, [{ dataset: 'spot/daily/trades', symbol: 'SLOWUSDT' }]);
+});
+
+test('a time budget only starts steps its estimates say will fit', () => {
+    let now = 0;
+    const budget = new TimeBudget(100000, { now: () => now });
+    assert.equal(budget.reserveMs, 5000);
+    assert.ok(budget.fits('download', 1e6));
+
+    // 20s left, 5s of it held back: one more 1 MB download (10s) fits, a 2 MB one does not
+    budget.record('download', 10000, 1e6);
+    now = 80000;
+    assert.ok(budget.fits('download', 1e6));
+    assert.equal(budget.fits('download', 2e6), false);
+
+    budget.record('unpack', 500);
+    assert.equal(budget.estimateMs('unpack', 1e6), 500);
+});
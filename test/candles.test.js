@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CandleAggregator, toCandleRow } from '../lib/candles.js';
+import { parseDecimal } from '../lib/parquet.js';
+
+const DAY = Date.parse('2025-01-01T00:00:00Z');
+
+const trade = (offsetMs, price, size, side = 'BUY') => ({
+    time: DAY + offsetMs,
+    price: parseDecimal(price),
+    size: parseDecimal(size),
+    side
+});
+
+// Decode a DECIMAL(38,20) cell back into its unscaled integer
+const unscaled = (buffer) => BigInt.asIntN(128, BigInt('0x' + buffer.toString('hex')));
+
+test('buckets trades by UTC open time with OHLC, counts and side volumes', () => {
+    const aggregator = new CandleAggregator(['1m', '1h']);
+    aggregator.add(trade(1000, '100.5', '2', 'BUY'));
+    aggregator.add(trade(30000, '101', '1', 'SELL'));
+    aggregator.add(trade(59999, '99', '1', 'BUY'));
+    aggregator.add(trade(60000, '98', '3', 'SELL'));
+
+    const minutes = aggregator.candles('1m');
+    assert.equal(minutes.length, 2);
+    assert.equal(minutes[0].openTime, DAY);
+    assert.equal(minutes[0].closeTime, DAY + 59999);
+    assert.equal(minutes[0].open, parseDecimal('100.5'));
+    assert.equal(minutes[0].high, parseDecimal('101'));
+    assert.equal(minutes[0].low, parseDecimal('99'));
+    assert.equal(minutes[0].close, parseDecimal('99'));
+    assert.equal(minutes[0].count, 3);
+    assert.equal(minutes[0].buyVolume, parseDecimal('3'));
+    assert.equal(minutes[0].sellVolume, parseDecimal('1'));
+
+    const hours = aggregator.candles('1h');
+    assert.equal(hours.length, 1);
+    assert.equal(hours[0].count, 4);
+    assert.equal(hours[0].close, parseDecimal('98'));
+});
+
+test('keeps one bar per bucket however the trades are split across files', () => {
+    const aggregator = new CandleAggregator(['1d']);
+    // Last trade of one day file, then a stray from the same day at the top of the next file
+    aggregator.add(trade(86399999, '50', '1'));
+    aggregator.add(trade(86400000, '60', '1'));
+    aggregator.add(trade(10, '40', '1'));
+
+    const days = aggregator.candles('1d');
+    assert.equal(days.length, 2);
+    assert.equal(days[0].open, parseDecimal('40'));
+    assert.equal(days[0].close, parseDecimal('50'));
+    assert.equal(days[0].count, 2);
+    assert.equal(days[1].openTime, DAY + 86400000);
+});
+
+test('computes VWAP exactly from 20-decimal strings', () => {
+    const aggregator = new CandleAggregator(['1m']);
+    aggregator.add(trade(0, '93574.40000000000000000000', '0.00001067000000000000'));
+    aggregator.add(trade(1, '93574.50000000000000000000', '0.00000000000000000001'));
+
+    const row = toCandleRow(aggregator.candles('1m')[0]);
+    assert.equal(unscaled(row.volume), 1067000000000001n);
+    // (93574.4 * 0.00001067 + 93574.5 * 1e-20) / 0.00001067000000000001, rounded at 20 decimals
+    assert.equal(unscaled(row.vwap), 9357440000000000000009372n);
+    assert.equal(unscaled(row.quote_volume), 99843884800000093575n);
+    assert.equal(row.trade_count, 2n);
+});
+
+test('rejects unknown intervals', () => {
+    assert.throws(() => new CandleAggregator(['7m']), /unknown candle interval 7m/);
+});
@@ -0,0 +1,218 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { EventEmitter, once } from 'events';
+import { startMockKucoinWs } from './helpers/mock-kucoin-ws.js';
+import { UsageError } from '../lib/cli.js';
+import { captureTrades, reconcileDay, parseCaptureCli, marketSymbol, toTradeRecord, liveFile } from '../lib/capture.js';
+
+const DAY = Date.parse('2025-01-31T00:00:00Z');
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-capture-'));
+});
+
+after(async () => {
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+});
+
+// A match as the socket sends it: times in nanoseconds, prices in their shortest form
+const match = (tradeId, ms, side = 'buy') => ({
+    tradeId: String(tradeId),
+    time: `${BigInt(ms) * 1000000n}`,
+    price: '93574.4',
+    size: '0.00001067',
+    side
+});
+
+// Resolve once `events` has emitted `name` `count` more times
+function next(events, name, count = 1) {
+    return new Promise(resolve => {
+        let seen = 0;
+        const listener = () => {
+            if (++seen < count) return;
+            events.off(name, listener);
+            resolve();
+        };
+        events.on(name, listener);
+    });
+}
+
+test('turns match messages into archive rows', () => {
+    assert.equal(marketSymbol('BTCUSDT'), 'BTC-USDT');
+    assert.equal(marketSymbol('ETHBTC'), 'ETH-BTC');
+    assert.equal(marketSymbol('PEPE-USDT'), 'PEPE-USDT');
+    assert.throws(() => marketSymbol('FOOBAR'), /quote currency of FOOBAR/);
+
+    assert.deepEqual(toTradeRecord(match(7, DAY + 5, 'sell')), {
+        trade_id: '7',
+        trade_time: DAY + 5,
+        price: '93574.40000000000000000000',
+        size: '0.00001067000000000000',
+        side: 'SELL'
+    });
+    assert.throws(() => toTradeRecord({ ...match(7, DAY), side: 'hold' }), /invalid side/);
+});
+
+test('captures trades into daily files and resubscribes after a dropped connection', async () => {
+    const mock = await startMockKucoinWs();
+    const events = new EventEmitter();
+    const controller = new AbortController();
+    const output = path.join(dir, 'drop');
+    try {
+        const subscribed = once(events, 'subscribed');
+        const running = captureTrades({ symbols: ['BTCUSDT', 'ETH-USDT'], output, apiUrl: mock.url, events, signal: controller.signal, reconnectBaseMs: 10 });
+        await subscribed;
+
+        let trades = next(events, 'trade', 3);
+        mock.trade('BTC-USDT', match(1, DAY + 1000));
+        mock.trade('BTC-USDT', match(2, DAY + 2000, 'sell'));
+        mock.trade('ETH-USDT', match(10, DAY + 1500));
+        await trades;
+
+        // The repeat of trade 2 after reconnecting is dropped; trade 3 opens the next day's file
+        const resubscribed = next(events, 'subscribed');
+        mock.drop();
+        await resubscribed;
+        trades = next(events, 'trade', 1);
+        mock.trade('BTC-USDT', match(2, DAY + 2000, 'sell'));
+        mock.trade('BTC-USDT', match(3, DAY + 86400000));
+        await trades;
+
+        controller.abort();
+        const result = await running;
+
+        assert.equal(result.connections, 2);
+        assert.equal(result.reconnects, 1);
+        assert.equal(mock.tokens.length, 2);
+        assert.deepEqual(result.symbols.BTCUSDT, { trades: 3, duplicates: 1, rejected: 0 });
+        assert.equal(result.files.length, 3);
+        assert.equal(await fs.readFile(liveFile(output, 'BTCUSDT', '2025-01-31'), 'utf8'), 'trade_id,trade_time,price,size,side\n'
+            + `1,${DAY + 1000},93574.40000000000000000000,0.00001067000000000000,BUY\n`
+            + `2,${DAY + 2000},93574.40000000000000000000,0.00001067000000000000,SELL\n`);
+        await fs.access(liveFile(output, 'BTCUSDT', '2025-02-01'));
+        await fs.access(liveFile(output, 'ETHUSDT', '2025-01-31'));
+    } finally {
+        controller.abort();
+        await mock.close();
+    }
+});
+
+test('reconnects when pings go unanswered', async () => {
+    const mock = await startMockKucoinWs({ pingInterval: 50, pingTimeout: 50, answerPings: false });
+    const events = new EventEmitter();
+    const controller = new AbortController();
+    try {
+        const twice = next(events, 'subscribed', 2);
+        const running = captureTrades({ symbols: ['BTCUSDT'], output: path.join(dir, 'ping'), apiUrl: mock.url, events, signal: controller.signal, reconnectBaseMs: 10 });
+        await twice;
+        controller.abort();
+        const result = await running;
+        assert.ok(result.reconnects >= 1);
+        assert.deepEqual(result.files, []);
+    } finally {
+        controller.abort();
+        await mock.close();
+    }
+});
+
+test('keeps every row of a burst in order while the file catches up', { timeout: 30000 }, async () => {
+    const mock = await startMockKucoinWs();
+    const events = new EventEmitter();
+    const controller = new AbortController();
+    const output = path.join(dir, 'burst');
+    try {
+        const subscribed = once(events, 'subscribed');
+        const running = captureTrades({ symbols: ['BTCUSDT'], output, apiUrl: mock.url, events, signal: controller.signal });
+        await subscribed;
+
+        // Far more than a write stream buffers before asking its writer to wait
+        const trades = next(events, 'trade', 5000);
+        for (let id = 1; id <= 5000; id++) mock.trade('BTC-USDT', match(id, DAY + id));
+        await trades;
+        controller.abort();
+        const result = await running;
+
+        assert.equal(result.symbols.BTCUSDT.trades, 5000);
+        const ids = (await fs.readFile(liveFile(output, 'BTCUSDT', '2025-01-31'), 'utf8')).trim().split('\n').slice(1).map(line => Number(line.split(',')[0]));
+        assert.deepEqual(ids, Array.from({ length: 5000 }, (_, i) => i + 1));
+    } finally {
+        controller.abort();
+        await mock.close();
+    }
+});
+
+test('fails the capture when a day file cannot be opened', { timeout: 10000 }, async () => {
+    const mock = await startMockKucoinWs();
+    const events = new EventEmitter();
+    const output = path.join(dir, 'unwritable');
+    // A link into a directory that does not exist: only opening the file for append finds out
+    const filePath = liveFile(output, 'BTCUSDT', '2025-01-31');
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.symlink(path.join(dir, 'missing', 'day.csv'), filePath);
+    try {
+        const subscribed = once(events, 'subscribed');
+        const running = captureTrades({ symbols: ['BTCUSDT'], output, apiUrl: mock.url, events });
+        await subscribed;
+        mock.trade('BTC-USDT', match(1, DAY + 1000));
+        mock.trade('BTC-USDT', match(2, DAY + 2000));
+
+        await assert.rejects(running, /ENOENT/);
+    } finally {
+        await mock.close();
+    }
+});
+
+test('stops when aborted while the token request is in flight', { timeout: 10000 }, async () => {
+    const mock = await startMockKucoinWs({ tokenDelay: 200 });
+    const events = new EventEmitter();
+    const controller = new AbortController();
+    try {
+        let opened = 0;
+        events.on('connected', () => opened++);
+        const running = captureTrades({ symbols: ['BTCUSDT'], output: path.join(dir, 'token'), apiUrl: mock.url, events, signal: controller.signal });
+        while (mock.tokens.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+        controller.abort();
+        const result = await running;
+
+        // Give a token that still arrived the chance to open a socket it should not
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(result.connections, 0);
+        assert.equal(opened, 0);
+        assert.equal(mock.connections, 0);
+    } finally {
+        controller.abort();
+        await mock.close();
+    }
+});
+
+test('reports archive trades missing from the capture window and captured trades the archive lacks', async () => {
+    const livePath = path.join(dir, 'live.csv');
+    const archivePath = path.join(dir, 'archive.csv');
+    const row = (id, offset) => `${id},${DAY + offset},1.5,2,BUY\n`;
+    // The capture started late, lost trade 3 while reconnecting and cut its last line short
+    await fs.writeFile(livePath, 'trade_id,trade_time,price,size,side\n' + row(2, 2000) + row(4, 4000) + row(9, 4500) + row(5, 5000) + '6,170');
+    await fs.writeFile(archivePath, 'trade_id,trade_time,price,size,side\n' + [1, 2, 3, 4, 5, 6].map(id => row(id, id * 1000)).join(''));
+
+    const result = await reconcileDay(livePath, archivePath);
+    assert.equal(result.status, 'mismatch');
+    assert.deepEqual(result.window, { from: DAY + 2000, to: DAY + 5000 });
+    assert.deepEqual([result.liveTrades, result.archiveTrades, result.matched], [4, 6, 3]);
+    assert.deepEqual([result.missing, result.extra, result.outsideWindow, result.malformedLines], [1, 1, 2, 1]);
+    assert.deepEqual(result.missingIds, ['3']);
+    assert.deepEqual(result.extraIds, ['9']);
+});
+
+test('parses capture arguments', () => {
+    const options = parseCaptureCli(['-s', 'btcusdt,PEPE-USDT', '--duration', '60'], { KUCOIN_API_URL: 'http://127.0.0.1:9' });
+    assert.deepEqual(options.symbols, ['BTCUSDT', 'PEPE-USDT']);
+    assert.equal(options.durationMs, 60000);
+    assert.equal(options.apiUrl, 'http://127.0.0.1:9');
+    assert.throws(() => parseCaptureCli([]), /--symbols is required/);
+    assert.throws(() => parseCaptureCli(['-s', 'FOOBAR']), UsageError);
+    assert.throws(() => parseCaptureCli(['-s', 'BTCUSDT', '--duration', '0']), /positive integer/);
+});
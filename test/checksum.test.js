@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseChecksum, verifyChecksum } from '../lib/checksum.js';
+
+const NAME = 'BTCUSDT-trades-2025-01-01.zip';
+const MD5 = '3b0603099babe2d037239d4ba2b7fd70';
+const SHA1 = 'a94a8fe5ccb19ba61c4c0873d391e987982fbbd3';
+const SHA256 = '65f1ba462d3ad1673707a5a14f7b8f34d52e7a954f426ebdcd92439f8631c62e';
+
+test('detects the algorithm from the digest length', () => {
+    assert.deepEqual(parseChecksum(`${MD5}  ${NAME}`, NAME), { status: 'ok', algorithm: 'md5', digest: MD5 });
+    assert.equal(parseChecksum(`${SHA1} *${NAME}\n`, NAME).algorithm, 'sha1');
+    assert.equal(parseChecksum(SHA256.toUpperCase(), NAME).algorithm, 'sha256');
+});
+
+test('reads BSD-style tagged lines', () => {
+    assert.deepEqual(parseChecksum(`SHA256(${NAME})= ${SHA256}`, NAME), { status: 'ok', algorithm: 'sha256', digest: SHA256 });
+    assert.equal(parseChecksum(`MD5 (${NAME}) = ${MD5}`, NAME).algorithm, 'md5');
+    assert.equal(parseChecksum(`SHA256 (${NAME}) = ${MD5}`, NAME).status, 'checksum_invalid');
+});
+
+test('picks the matching line from a multi-file checksum list', () => {
+    const content = `${MD5}  other.zip\n${SHA256}  ${NAME}\n`;
+    assert.equal(parseChecksum(content, NAME).digest, SHA256);
+});
+
+test('reports empty, unparseable and foreign checksums distinctly', () => {
+    assert.equal(parseChecksum('', NAME).status, 'checksum_empty');
+    assert.equal(parseChecksum(' \n', NAME).status, 'checksum_empty');
+    assert.equal(parseChecksum('<Error>NoSuchKey</Error>', NAME).status, 'checksum_invalid');
+    assert.equal(parseChecksum(`${MD5}  BTCUSDT-trades-2025-01-02.zip`, NAME).status, 'checksum_wrong_file');
+});
+
+test('verifies a file by streaming it through the detected hash', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checksum-'));
+    try {
+        const filePath = path.join(dir, `${NAME}.part`);
+        const checksumPath = path.join(dir, `${NAME}.CHECKSUM`);
+        await fs.writeFile(filePath, 'test');
+
+        await fs.writeFile(checksumPath, `${SHA1}  ${NAME}\n`);
+        const ok = await verifyChecksum(filePath, checksumPath, NAME);
+        assert.equal(ok.status, 'verified');
+        assert.equal(ok.algorithm, 'sha1');
+
+        await fs.writeFile(checksumPath, `${MD5}  ${NAME}\n`);
+        const bad = await verifyChecksum(filePath, checksumPath, NAME);
+        assert.equal(bad.status, 'checksum_failed');
+        assert.equal(bad.actual, '098f6bcd4621d373cade4e832627b4f6');
+
+        await fs.writeFile(checksumPath, '');
+        assert.equal((await verifyChecksum(filePath, checksumPath, NAME)).status, 'checksum_empty');
+
+        await fs.rm(checksumPath);
+        assert.equal((await verifyChecksum(filePath, checksumPath, NAME)).status, 'no_checksum');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
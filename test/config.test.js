@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { readConfigFile, ConfigError } from '../lib/config.js';
+import { parseCli, UsageError } from '../lib/cli.js';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-config-'));
+});
+
+after(async () => {
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function configFile(name, data) {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, typeof data === 'string' ? data : JSON.stringify(data));
+    return filePath;
+}
+
+test('config files are checked against the settings schema', async () => {
+    const check = async (data) => readConfigFile(await configFile('kucoin.config.json', data));
+
+    await assert.rejects(check({ maxRetires: 3 }), /kucoin.config.json: unknown setting "maxRetires" \(did you mean "maxRetries"\?\)/);
+    await assert.rejects(check({ maxRetries: '3' }), /kucoin.config.json: maxRetries must be an integer, got "3"/);
+    await assert.rejects(check({ symbols: ['BTCUSDT', 5] }), /symbols must be an array of strings/);
+    await assert.rejects(check({ symbolOverrides: { ETHUSDT: { output: 'x' } } }), /symbolOverrides.ETHUSDT: unknown setting "output" \(only .*maxRetries.* can be overridden\)/);
+    await assert.rejects(check('{ "maxRetries": 3, }'), ConfigError);
+    await assert.rejects(check([]), /must hold a JSON object/);
+
+    const config = await check({ $schema: './schema.json', symbols: ['btcusdt', 'ethusdt'], maxBytesPerSec: '8M', maxJumpPct: 12.5 });
+    assert.deepEqual(config.settings, { symbols: 'btcusdt,ethusdt', maxBytesPerSec: '8M', maxJumpPct: '12.5' });
+});
+
+test('flags override the environment, which overrides the file', async () => {
+    const file = await configFile('layers.json', { output: './from-file', maxRetries: 3, requestTimeout: 10, symbols: ['ETHUSDT'] });
+    const env = { KUCOIN_OUTPUT_DIR: './from-env', KUCOIN_MAX_RETRIES: '5' };
+
+    const options = parseCli(['--config', file, '--max-retries', '7'], env);
+    assert.equal(options.output, './from-env');
+    assert.equal(options.maxRetries, 7);
+    assert.equal(options.requestTimeout, 10);
+    assert.deepEqual(options.symbols, ['ETHUSDT']);
+    assert.deepEqual(options.configSource, { file: path.resolve(file), env: ['KUCOIN_OUTPUT_DIR'] });
+
+    assert.equal(parseCli([], { KUCOIN_CONFIG: file }).maxRetries, 3);
+    assert.throws(() => parseCli([], { KUCOIN_CONFIG: file, KUCOIN_MAX_RETRIES: 'many' }), /KUCOIN_MAX_RETRIES must be a positive integer/);
+    assert.equal(parseCli(['--price-scale', '0'], { KUCOIN_SIZE_SCALE: '8' }).sizeScale, 8);
+    assert.throws(() => parseCli(['--price-scale', '21'], {}), /--price-scale must be an integer from 0 to 20/);
+    assert.equal(parseCli(['--time-budget', '3000'], {}).timeBudget, 3000);
+    assert.equal(parseCli([], { KUCOIN_TIME_BUDGET: '600' }).timeBudget, 600);
+    assert.throws(() => parseCli(['--config', path.join(dir, 'missing.json')], {}), UsageError);
+});
+
+test('values in the file get the same checks as flags', async () => {
+    const file = await configFile('bad.json', { compression: 'zstd', from: '2025-02-30' });
+    assert.throws(() => parseCli(['--config', file, '--from', '2025-01-01'], {}), /bad.json: compression must be one of/);
+
+    const dates = await configFile('dates.json', { from: '2025-02-30' });
+    assert.throws(() => parseCli(['--config', dates], {}), /dates.json: from must be a valid YYYY-MM-DD date/);
+});
+
+test('per-symbol and per-dataset overrides are parsed', async () => {
+    const file = await configFile('overrides.json', {
+        symbolOverrides: { ethusdt: { maxRetries: 5, intervals: ['1h'] } },
+        datasetOverrides: { 'SPOT/DAILY/TRADES': { qualityPolicy: 'fail' } }
+    });
+
+    const options = parseCli(['--config', file], {});
+    assert.deepEqual(options.symbolOverrides, { ETHUSDT: { maxRetries: 5, intervals: ['1h'] } });
+    assert.deepEqual(options.datasetOverrides, { 'spot/daily/trades': { qualityPolicy: 'fail' } });
+
+    const badSymbol = await configFile('bad-symbol.json', { symbolOverrides: { 'ETH-USDT': { maxRetries: 5 } } });
+    assert.throws(() => parseCli(['--config', badSymbol], {}), /invalid symbol "ETH-USDT" in bad-symbol.json: symbolOverrides.ETH-USDT/);
+    const badValue = await configFile('bad-value.json', { symbolOverrides: { ETHUSDT: { maxRetries: 0 } } });
+    assert.throws(() => parseCli(['--config', badValue], {}), /bad-value.json: symbolOverrides.ETHUSDT.maxRetries must be a positive integer/);
+});
@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { PassThrough } from 'stream';
+import { startMockKucoin } from './helpers/mock-kucoin.js';
+import { createZip } from './helpers/zip.js';
+import { UsageError } from '../lib/cli.js';
+import { parseCoverageCli } from '../lib/coverage.js';
+import { runPipeline, runCoverage, buildCoverage, CALENDAR_JSON_FILE } from '../index.js';
+
+const PREFIX = 'data/spot/daily/trades/';
+
+// Bucket objects for one daily archive of a single trade and its CHECKSUM
+function archive(symbol, day, behavior) {
+    const name = `${symbol}-trades-${day}.zip`;
+    const csv = `trade_id,trade_time,price,size,side\n1,${Date.parse(day)},93500.5,0.001,BUY\n`;
+    const zip = createZip([{ name: name.replace(/\.zip$/, '.csv'), data: csv }]);
+    return {
+        [`${PREFIX}${symbol}/${name}`]: { body: zip, behavior },
+        [`${PREFIX}${symbol}/${name}.CHECKSUM`]: { body: `${crypto.createHash('sha256').update(zip).digest('hex')}  ${name}\n` }
+    };
+}
+
+let server;
+let outputDir;
+
+// The bucket has COVUSDT for the 1st, 2nd, 4th (which fails) and 5th; the run covers the 1st to the 4th
+before(async () => {
+    server = await startMockKucoin({
+        ...archive('COVUSDT', '2025-01-01'),
+        ...archive('COVUSDT', '2025-01-02'),
+        ...archive('COVUSDT', '2025-01-04', 404),
+        ...archive('COVUSDT', '2025-01-05')
+    });
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-coverage-'));
+
+    await runPipeline({
+        symbols: ['COVUSDT'],
+        datasets: ['spot/daily/trades'],
+        from: '2025-01-01',
+        to: '2025-01-04',
+        output: outputDir,
+        bucketUrl: server.url,
+        maxRetries: 1,
+        intervals: ['1h']
+    });
+
+    // A CSV copied in by hand is held, but no ledger entry vouches for it
+    await fs.writeFile(path.join(outputDir, 'COVUSDT', 'extracted', 'COVUSDT-trades-2024-12-31.csv'), 'trade_id,trade_time,price,size,side\n');
+});
+
+after(async () => {
+    await server?.close();
+    if (outputDir) await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+test('maps held, failed and missing days against the listing and lists the gaps to re-fetch', async () => {
+    const stdout = new PassThrough();
+    let printed = '';
+    stdout.on('data', chunk => { printed += chunk; });
+    const options = parseCoverageCli(['--data', outputDir, '--base-url', server.url, '--refetch', '-'], {});
+    const { report, jsonFile, htmlFile } = await runCoverage(options, { stdout });
+
+    const [entry] = report.symbols;
+    assert.equal(report.symbols.length, 1);
+    assert.equal(entry.symbol, 'COVUSDT');
+    assert.deepEqual(entry.calendar, {
+        '2024-12-31': 'present',
+        '2025-01-01': 'verified',
+        '2025-01-02': 'verified',
+        '2025-01-03': 'missing_upstream',
+        '2025-01-04': 'failed',
+        '2025-01-05': 'not_fetched'
+    });
+    assert.deepEqual(entry.upstream, { first: '2025-01-01', last: '2025-01-05', files: 4 });
+    assert.deepEqual(entry.local, { first: '2024-12-31', last: '2025-01-02', held: 3 });
+    assert.match(entry.gaps.find(gap => gap.status === 'failed').reasons['2025-01-04'], /404/);
+
+    // The failed and not-fetched days are one stretch for the worker
+    assert.deepEqual(report.refetch.map(r => [r.from, r.to, r.periods]), [['2025-01-04', '2025-01-05', 2]]);
+    assert.equal(printed, 'node enhanced_worker.js --datasets spot/daily/trades --symbols COVUSDT --from 2025-01-04 --to 2025-01-05\n');
+
+    assert.equal(jsonFile, path.join(outputDir, CALENDAR_JSON_FILE));
+    assert.deepEqual(JSON.parse(await fs.readFile(jsonFile, 'utf8')).totals, report.totals);
+    const html = await fs.readFile(htmlFile, 'utf8');
+    assert.match(html, /class="legend"/);
+    assert.match(html, /title="2025-01-04: failed"/);
+});
+
+test('leaves days it does not hold unknown when offline', async () => {
+    const before = server.requests.length;
+    const report = await buildCoverage(parseCoverageCli(['--data', outputDir, '--offline', '--from', '2025-01-02', '--to', '2025-01-05'], {}));
+
+    assert.equal(server.requests.length, before);
+    assert.equal(report.bucketUrl, null);
+    assert.deepEqual(report.symbols[0].calendar, {
+        '2025-01-02': 'verified',
+        '2025-01-03': 'unknown',
+        '2025-01-04': 'failed',
+        '2025-01-05': 'unknown'
+    });
+    assert.deepEqual(report.refetch.map(r => [r.from, r.to]), [['2025-01-04', '2025-01-04']]);
+});
+
+test('parses coverage arguments', () => {
+    const options = parseCoverageCli(['-s', 'btcusdt', '-d', 'spot/monthly/trades', '--request-timeout', '5'], { KUCOIN_BASE_URL: 'http://127.0.0.1:9' });
+    assert.deepEqual(options.symbols, ['BTCUSDT']);
+    assert.equal(options.datasets[0].id, 'spot/monthly/trades');
+    assert.equal(options.bucketUrl, 'http://127.0.0.1:9/');
+    assert.equal(options.timeout, 5000);
+    assert.equal(options.data, './output');
+    assert.deepEqual(parseCoverageCli(['--help']), { help: true });
+    assert.throws(() => parseCoverageCli(['--from', '2025-02-30']), UsageError);
+    assert.throws(() => parseCoverageCli(['--from', '2025-02-02', '--to', '2025-02-01']), /must not be after/);
+    assert.throws(() => parseCoverageCli(['--base-url', 'ftp://x']), /http\(s\) URL/);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseDataset,
+    datasetDir,
+    symbolPrefix,
+    archiveName,
+    archivePeriod,
+    listPeriods,
+    periodInRange
+} from '../lib/datasets.js';
+
+test('spot daily trades keep the original prefix, names and output layout', () => {
+    const dataset = parseDataset('spot/daily/trades');
+
+    assert.equal(symbolPrefix(dataset, 'BTCUSDT'), 'data/spot/daily/trades/BTCUSDT/');
+    assert.equal(archiveName(dataset, 'BTCUSDT', '2025-01-01'), 'BTCUSDT-trades-2025-01-01.zip');
+    assert.equal(datasetDir(dataset), '');
+    assert.deepEqual(dataset.table.columns, ['trade_id', 'trade_time', 'price', 'size', 'side']);
+});
+
+test('klines carry their interval in the prefix, names and output directory', () => {
+    const dataset = parseDataset('futures/monthly/klines/1h');
+
+    assert.equal(symbolPrefix(dataset, 'XBTUSDTM'), 'data/futures/monthly/klines/XBTUSDTM/1h/');
+    assert.equal(archiveName(dataset, 'XBTUSDTM', '2025-01'), 'XBTUSDTM-1h-2025-01.zip');
+    assert.equal(datasetDir(dataset), 'futures-monthly-klines-1h');
+    assert.equal(dataset.table.columns[0], 'open_time');
+});
+
+test('rejects datasets the bucket does not publish', () => {
+    assert.throws(() => parseDataset('margin/daily/trades'), /unknown market "margin"/);
+    assert.throws(() => parseDataset('spot/weekly/trades'), /unknown period "weekly"/);
+    assert.throws(() => parseDataset('spot/daily/klines'), /klines need an interval/);
+    assert.throws(() => parseDataset('spot/daily/trades/1m'), /unexpected path segments/);
+});
+
+test('reads periods back out of archive and CSV names', () => {
+    const daily = parseDataset('spot/daily/trades');
+    const monthly = parseDataset('spot/monthly/klines/1d');
+
+    assert.equal(archivePeriod(daily, 'BTCUSDT-trades-2025-01-02.zip'), '2025-01-02');
+    assert.equal(archivePeriod(monthly, 'BTCUSDT-1d-2025-01.csv'), '2025-01');
+    assert.equal(archivePeriod(monthly, 'BTCUSDT-1d-2025-01-02.zip'), null);
+});
+
+test('lists days or months for a date range', () => {
+    const monthly = parseDataset('spot/monthly/trades');
+
+    assert.deepEqual(listPeriods(parseDataset('spot/daily/trades'), '2024-12-31', '2025-01-02'),
+        ['2024-12-31', '2025-01-01', '2025-01-02']);
+    assert.deepEqual(listPeriods(monthly, '2024-11-15', '2025-02-01'), ['2024-11', '2024-12', '2025-01', '2025-02']);
+    assert.equal(periodInRange(monthly, '2024-11', '2024-11-15', '2025-02-01'), true);
+    assert.equal(periodInRange(monthly, '2025-03', '2024-11-15', '2025-02-01'), false);
+});
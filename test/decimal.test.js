@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { text } from 'stream/consumers';
+import {
+    parseFixed,
+    significantScale,
+    toUnscaled,
+    toInt64,
+    formatUnscaled,
+    divide,
+    notional,
+    vwap,
+    DecimalProfile
+} from '../lib/decimal.js';
+import { writeParquetFile, parquetDecimals } from '../lib/parquet.js';
+import { createMonthlyCandles, candleFileName } from '../lib/candles.js';
+import { parseDataset } from '../lib/datasets.js';
+import { queryRecords, runQuery } from '../lib/query.js';
+
+const TRADES = parseDataset('spot/daily/trades');
+
+// Small-cap prices whose digits a Number would not keep
+const CSV = 'trade_id,trade_time,price,size,side\n'
+    + `1,${Date.parse('2025-01-31T00:00:00Z')},0.00001067000000000001,123456789.12345678901234567890,BUY\n`
+    + `2,${Date.parse('2025-01-31T00:00:01Z')},93574.40000000000000000000,0.00001067000000000000,SELL\n`;
+
+let dir;
+let csvPath;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-decimal-'));
+    csvPath = path.join(dir, 'PEPEUSDT', 'extracted', 'PEPEUSDT-trades-2025-01-31.csv');
+    await fs.mkdir(path.dirname(csvPath), { recursive: true });
+    await fs.writeFile(csvPath, CSV);
+});
+
+after(async () => {
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('parses and prints decimals without losing a digit', () => {
+    assert.deepEqual(parseFixed('0.00001067000000000000'), { unscaled: 1067000000000000n, scale: 20 });
+    assert.equal(significantScale('93574.40000000000000000000'), 1);
+    assert.equal(toUnscaled('0.00001067000000000001', 20), 1067000000000001n);
+    assert.throws(() => toUnscaled('0.001', 2), /more than 2 fractional digits/);
+    assert.equal(toInt64('93574.40000000000000000000', 1), 935744n);
+    assert.throws(() => toInt64('123456789012345678901', 0), /does not fit in int64/);
+
+    assert.equal(formatUnscaled(935744n, 1, { width: 20 }), '93574.40000000000000000000');
+    assert.equal(formatUnscaled(-5n, 3), '-0.005');
+    assert.equal(formatUnscaled(12n, 0, { width: 0 }), '12');
+    assert.throws(() => formatUnscaled(1234n, 3, { width: 2 }), /needs more than 2/);
+});
+
+test('notional and VWAP are exact and rounded half away from zero', () => {
+    const price = parseFixed('93574.4');
+    const size = parseFixed('0.00001067');
+    assert.equal(formatUnscaled(...Object.values(notional(price, size))), '0.998438848');
+
+    const trades = [{ price: parseFixed('10.5'), size: parseFixed('1') }, { price: parseFixed('11'), size: parseFixed('3') }];
+    assert.deepEqual(vwap(trades, 4), { unscaled: 108750n, scale: 4 });
+    assert.equal(vwap([], 4), null);
+    assert.deepEqual(divide(parseFixed('1'), parseFixed('3'), 2), { unscaled: 33n, scale: 2 });
+    assert.deepEqual(divide(parseFixed('-0.5'), parseFixed('1'), 0), { unscaled: -1n, scale: 0 });
+});
+
+test('profiles record the scale a column needs and the width it was written with', () => {
+    const profile = new DecimalProfile();
+    profile.add('93574.40000000000000000000');
+    profile.add('0.00001067000000000000');
+    assert.deepEqual(profile.toJSON(), { scale: 8, width: 20 });
+
+    profile.add('2');
+    assert.deepEqual(profile.toJSON(), { scale: 8, width: null });
+    assert.deepEqual(new DecimalProfile().merge(new DecimalProfile({ scale: 2, width: 20 })).toJSON(), { scale: 2, width: 20 });
+});
+
+test('Parquet, candles and query exports reproduce the original strings', async () => {
+    const parquetPath = path.join(dir, 'PEPEUSDT', 'parquet', 'PEPEUSDT-2025-01.parquet');
+    const result = await writeParquetFile([csvPath], parquetPath);
+    assert.ok(result.success);
+    assert.deepEqual(result.decimals, { price: { scale: 20, width: 20 }, size: { scale: 19, width: 20 } });
+    assert.deepEqual(await parquetDecimals(parquetPath), result.decimals);
+
+    const records = [];
+    for await (const record of queryRecords({ data: dir, dataset: TRADES, symbols: ['PEPEUSDT'] })) records.push(record);
+    assert.deepEqual(records.map(r => `${r.trade_id},${r.trade_time},${r.price},${r.size},${r.side}`), CSV.trim().split('\n').slice(1));
+
+    const stdout = new PassThrough();
+    const output = text(stdout);
+    await runQuery({ data: dir, symbols: ['PEPEUSDT'], format: 'ndjson' }, { stdout });
+    stdout.end();
+    assert.equal(JSON.parse((await output).split('\n')[1]).price, '93574.40000000000000000000');
+
+    // A query's own Parquet export carries the widths, so reading it back prints the same strings
+    const exported = path.join(dir, 'export', 'PEPEUSDT-2025-01.parquet');
+    await runQuery({ data: dir, symbols: ['PEPEUSDT'], format: 'parquet', output: exported });
+    assert.deepEqual(await parquetDecimals(exported), result.decimals);
+
+    const candles = await createMonthlyCandles([csvPath], '2025-01', path.join(dir, 'candles'), { symbol: 'PEPEUSDT', intervals: ['1d'] });
+    assert.ok(candles.success);
+    const candleDecimals = await parquetDecimals(path.join(dir, 'candles', candleFileName('PEPEUSDT', '1d', '2025-01')));
+    assert.deepEqual(candleDecimals.open, { scale: 20, width: 20 });
+    assert.deepEqual(candleDecimals.volume, { scale: 19, width: 20 });
+});
+
+test('a value finer than the configured scale fails the file', async () => {
+    const parquetPath = path.join(dir, 'scaled', 'PEPEUSDT-2025-01.parquet');
+    const tooFine = await writeParquetFile([csvPath], parquetPath, { scales: { price: 8 } });
+    assert.equal(tooFine.success, false);
+    assert.match(tooFine.error, /row 1: price 0.00001067000000000001 has more than the configured 8 decimal places/);
+    await assert.rejects(fs.access(`${parquetPath}.partial`));
+
+    const fits = await writeParquetFile([csvPath], parquetPath, { scales: { price: 20, size: 20 } });
+    assert.ok(fits.success);
+});
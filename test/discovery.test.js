@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { parseListObjectsV2, listBucket, listUrl, discoverSymbolFiles, discoverSymbols } from '../lib/discovery.js';
+
+const fixture = (name) => fs.readFile(new URL(`./fixtures/listing/${name}`, import.meta.url), 'utf8');
+
+// Serve recorded pages keyed by continuation token, recording every URL asked for
+function recordedBucket(pages) {
+    const requested = [];
+    const fetchText = async (url) => {
+        requested.push(url);
+        const token = new URL(url).searchParams.get('continuation-token') || '';
+        if (!(token in pages)) throw new Error(`unexpected token ${token}`);
+        return fixture(pages[token]);
+    };
+    return { requested, fetchText };
+}
+
+const BTC_PAGES = {
+    '': 'btcusdt-page1.xml',
+    '1ueGcxLPRx1Tr/XYExHnhbYLgveDs2J/wm36Hy4vbOwM=': 'btcusdt-page2.xml'
+};
+
+test('parses keys, sizes, ETags and last-modified dates', async () => {
+    const page = parseListObjectsV2(await fixture('btcusdt-page1.xml'));
+
+    assert.equal(page.isTruncated, true);
+    assert.equal(page.nextContinuationToken, '1ueGcxLPRx1Tr/XYExHnhbYLgveDs2J/wm36Hy4vbOwM=');
+    assert.equal(page.objects.length, 3);
+    assert.deepEqual(page.objects[0], {
+        key: 'data/spot/daily/trades/BTCUSDT/BTCUSDT-trades-2025-01-01.zip',
+        size: 1875864,
+        etag: '3b0603099babe2d037239d4ba2b7fd70',
+        lastModified: '2025-01-02T10:25:41.000Z'
+    });
+});
+
+test('parses common prefixes from a delimited listing', async () => {
+    const page = parseListObjectsV2(await fixture('symbols-root.xml'));
+
+    assert.equal(page.isTruncated, false);
+    assert.deepEqual(page.objects, []);
+    assert.deepEqual(page.commonPrefixes, [
+        'data/spot/daily/trades/BTCUSDT/',
+        'data/spot/daily/trades/ETHUSDT/',
+        'data/spot/daily/trades/KCSUSDT/'
+    ]);
+});
+
+test('surfaces S3 error documents', async () => {
+    assert.throws(() => parseListObjectsV2('<html>nope</html>'), /missing ListBucketResult/);
+    await assert.rejects(async () => parseListObjectsV2(await fixture('access-denied.xml')), /AccessDenied/);
+});
+
+test('follows continuation tokens across pages', async () => {
+    const bucket = recordedBucket(BTC_PAGES);
+    const result = await listBucket({
+        bucketUrl: 'http://bucket.test/',
+        prefix: 'data/spot/daily/trades/BTCUSDT/',
+        maxKeys: 3,
+        fetchText: bucket.fetchText
+    });
+
+    assert.equal(result.pages, 2);
+    assert.equal(result.objects.length, 5);
+    assert.equal(bucket.requested.length, 2);
+    assert.equal(new URL(bucket.requested[1]).searchParams.get('continuation-token'), '1ueGcxLPRx1Tr/XYExHnhbYLgveDs2J/wm36Hy4vbOwM=');
+});
+
+test('refuses a truncated listing that repeats its token', async () => {
+    const loop = { '': 'btcusdt-page1.xml', '1ueGcxLPRx1Tr/XYExHnhbYLgveDs2J/wm36Hy4vbOwM=': 'btcusdt-page1.xml' };
+    await assert.rejects(
+        listBucket({ bucketUrl: 'http://bucket.test/', prefix: 'x/', fetchText: recordedBucket(loop).fetchText }),
+        /no new continuation token/
+    );
+});
+
+test('builds ListObjectsV2 URLs', () => {
+    const url = new URL(listUrl('http://bucket.test/', { prefix: 'data/', delimiter: '/', maxKeys: 10, continuationToken: 'a+b' }));
+
+    assert.equal(url.searchParams.get('list-type'), '2');
+    assert.equal(url.searchParams.get('prefix'), 'data/');
+    assert.equal(url.searchParams.get('delimiter'), '/');
+    assert.equal(url.searchParams.get('max-keys'), '10');
+    assert.equal(url.searchParams.get('continuation-token'), 'a+b');
+});
+
+test('discovers a symbol inventory within a date range', async () => {
+    const files = await discoverSymbolFiles('BTCUSDT', {
+        bucketUrl: 'http://bucket.test/',
+        from: '2025-01-02',
+        to: '2025-01-31',
+        fetchText: recordedBucket(BTC_PAGES).fetchText
+    });
+
+    assert.deepEqual(files.map(f => f.filename), ['BTCUSDT-trades-2025-01-02.zip', 'BTCUSDT-trades-2025-01-04.zip']);
+    assert.equal(files[0].url, 'http://bucket.test/data/spot/daily/trades/BTCUSDT/BTCUSDT-trades-2025-01-02.zip');
+    assert.equal(files[0].size, 3404507);
+    assert.equal(files[0].hasChecksum, true);
+    assert.equal(files[1].hasChecksum, false);
+    assert.equal(files[1].day, '2025-01-04');
+});
+
+test('discovers the symbol universe from a delimited listing', async () => {
+    const bucket = recordedBucket({ '': 'symbols-root.xml' });
+    const symbols = await discoverSymbols({ bucketUrl: 'http://bucket.test/', fetchText: bucket.fetchText });
+    const url = new URL(bucket.requested[0]);
+
+    assert.deepEqual(symbols, ['BTCUSDT', 'ETHUSDT', 'KCSUSDT']);
+    assert.equal(url.searchParams.get('prefix'), 'data/spot/daily/trades/');
+    assert.equal(url.searchParams.get('delimiter'), '/');
+});
@@ -0,0 +1,48 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { estimateSpace, freeSpace, DiskBudget, removeFiles, leftoverPartials, CSV_EXPANSION, PARQUET_RATIO } from '../lib/disk.js';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-disk-'));
+});
+
+after(async () => {
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('the estimate covers only what the phases will write', () => {
+    assert.deepEqual(estimateSpace(1000, ['download']), { archives: 1000, csv: 0, parquet: 0, total: 1000 });
+    assert.equal(estimateSpace(1000, ['download', 'unpack', 'validate', 'parquet', 'candles']).total, 1000 * (1 + CSV_EXPANSION + PARQUET_RATIO));
+});
+
+test('symbols share one budget of free space', async () => {
+    const free = await freeSpace(dir);
+    assert.ok(free > 0);
+
+    const budget = new DiskBudget(dir);
+    const first = await budget.reserve(Math.floor(free * 0.6));
+    const second = await budget.reserve(Math.floor(free * 0.6));
+    assert.equal(first.ok, true);
+    assert.equal(second.ok, false);
+    assert.ok(second.available < free);
+
+    budget.release(Math.floor(free * 0.6));
+    assert.equal((await budget.reserve(Math.floor(free * 0.6))).ok, true);
+    assert.equal((await new DiskBudget(path.join(dir, 'missing')).reserve(Number.MAX_SAFE_INTEGER)).ok, true);
+});
+
+test('removes files and reports the bytes freed', async () => {
+    await fs.writeFile(path.join(dir, 'a.csv'), 'x'.repeat(10));
+    await fs.writeFile(path.join(dir, 'BTCUSDT-2025-01.parquet.partial'), 'x'.repeat(5));
+    await fs.writeFile(path.join(dir, 'BTCUSDT-2025-01.parquet'), 'x');
+
+    const partials = await leftoverPartials(dir);
+    assert.deepEqual(partials, [path.join(dir, 'BTCUSDT-2025-01.parquet.partial')]);
+    assert.deepEqual(await removeFiles([path.join(dir, 'a.csv'), path.join(dir, 'gone.csv'), ...partials]), { files: 2, bytes: 15 });
+    assert.deepEqual(await fs.readdir(dir), ['BTCUSDT-2025-01.parquet']);
+});
@@ -0,0 +1,79 @@
+import http from 'http';
+import { WebSocketServer } from 'ws';
+
+/**
+ * Stand in for KuCoin's token endpoint and public WebSocket
+ * POST /api/v1/bullet-public hands out a token for ws://127.0.0.1:<port>/; the socket sends a
+ * welcome, acks subscribe messages and answers pings unless `answerPings` is false.
+ * `trade(symbol, data)` pushes a match to every socket subscribed to that BTC-USDT style symbol
+ * and `drop()` cuts every open connection; `tokenDelay` holds each token response back that many ms
+ */
+export async function startMockKucoinWs({ pingInterval = 18000, pingTimeout = 10000, answerPings = true, tokenDelay = 0 } = {}) {
+    const tokens = [];
+    const sockets = new Set();
+    const server = http.createServer((request, response) => {
+        if (request.method !== 'POST' || request.url !== '/api/v1/bullet-public') {
+            response.writeHead(404, { 'content-type': 'application/json' });
+            response.end(JSON.stringify({ code: '404000', msg: 'Not Found' }));
+            return;
+        }
+        const token = `token-${tokens.length + 1}`;
+        tokens.push(token);
+        setTimeout(() => {
+            response.writeHead(200, { 'content-type': 'application/json' });
+            response.end(JSON.stringify({
+                code: '200000',
+                data: {
+                    token,
+                    instanceServers: [{ endpoint: `ws://127.0.0.1:${server.address().port}/`, encrypt: false, protocol: 'websocket', pingInterval, pingTimeout }]
+                }
+            }));
+        }, tokenDelay);
+    });
+
+    const wss = new WebSocketServer({ server });
+    wss.on('connection', (socket, request) => {
+        const params = new URL(request.url, 'ws://localhost').searchParams;
+        if (!tokens.includes(params.get('token'))) {
+            socket.close(4001, 'bad token');
+            return;
+        }
+        socket.topics = new Set();
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('message', (raw) => {
+            const message = JSON.parse(raw);
+            if (message.type === 'subscribe') {
+                const [channel, names] = message.topic.split(':');
+                for (const name of names.split(',')) socket.topics.add(`${channel}:${name}`);
+                if (message.response) socket.send(JSON.stringify({ id: message.id, type: 'ack' }));
+            } else if (message.type === 'ping' && answerPings) {
+                socket.send(JSON.stringify({ id: message.id, type: 'pong' }));
+            }
+        });
+        socket.send(JSON.stringify({ id: params.get('connectId'), type: 'welcome' }));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        tokens,
+        get connections() { return sockets.size; },
+        trade(symbol, data) {
+            const topic = `/market/match:${symbol}`;
+            const message = JSON.stringify({ type: 'message', topic, subject: 'trade.l3match', data: { symbol, type: 'match', ...data } });
+            for (const socket of sockets) {
+                if (socket.topics.has(topic)) socket.send(message);
+            }
+        },
+        drop() {
+            for (const socket of sockets) socket.terminate();
+        },
+        close() {
+            for (const socket of sockets) socket.terminate();
+            server.closeAllConnections();
+            return new Promise(resolve => wss.close(() => server.close(resolve)));
+        }
+    };
+}
@@ -0,0 +1,121 @@
+import http from 'http';
+import crypto from 'crypto';
+
+const escapeXml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// ListObjectsV2 page for the keys under a prefix, paged with opaque continuation tokens
+function listingPage(keys, objects, params, pageSize) {
+    const prefix = params.get('prefix') || '';
+    const delimiter = params.get('delimiter');
+    const maxKeys = Math.min(Number(params.get('max-keys') || 1000), pageSize);
+    const token = params.get('continuation-token');
+    const start = token ? Number(Buffer.from(token, 'base64').toString()) : 0;
+
+    // With a delimiter, keys below the next delimiter roll up into one common prefix each
+    const rollUp = (key) => {
+        const cut = delimiter ? key.indexOf(delimiter, prefix.length) : -1;
+        return cut === -1 ? key : key.slice(0, cut + delimiter.length);
+    };
+    const matching = [...new Set(keys.filter(key => key.startsWith(prefix)).map(rollUp))];
+    const page = matching.slice(start, start + maxKeys);
+    const truncated = start + maxKeys < matching.length;
+
+    const prefixes = page.filter(key => !objects.has(key)).map(key => `
+  <CommonPrefixes><Prefix>${escapeXml(key)}</Prefix></CommonPrefixes>`).join('');
+    const contents = page.filter(key => objects.has(key)).map(key => `
+  <Contents>
+    <Key>${escapeXml(key)}</Key>
+    <LastModified>2025-01-05T10:00:00.000Z</LastModified>
+    <ETag>&quot;${objects.get(key).etag}&quot;</ETag>
+    <Size>${objects.get(key).body.length}</Size>
+    <StorageClass>STANDARD</StorageClass>
+  </Contents>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">
+  <Name>historical-data.kucoin.com</Name>
+  <Prefix>${escapeXml(prefix)}</Prefix>
+  <KeyCount>${page.length}</KeyCount>
+  <MaxKeys>${maxKeys}</MaxKeys>
+  <IsTruncated>${truncated}</IsTruncated>${truncated ? `
+  <NextContinuationToken>${Buffer.from(String(start + maxKeys)).toString('base64')}</NextContinuationToken>` : ''}${contents}${prefixes}
+</ListBucketResult>`;
+}
+
+/**
+ * Serve fixture objects the way historical-data.kucoin.com does
+ * `fixtures` maps bucket keys to { body, behavior }, where behavior is one of:
+ *   'hang'          accept the request and never answer
+ *   'truncate-once' send half the body and drop the connection the first time
+ *   <number>        answer with that HTTP status
+ * and `unlisted: true` serves an object without showing it in listings
+ */
+export async function startMockKucoin(fixtures, { pageSize = 1000 } = {}) {
+    const objects = new Map(Object.entries(fixtures).map(([key, fixture]) => [key, {
+        ...fixture,
+        body: Buffer.from(fixture.body ?? ''),
+        etag: crypto.createHash('md5').update(fixture.body ?? '').digest('hex')
+    }]));
+    const listed = [...objects.keys()].filter(key => !objects.get(key).unlisted).sort();
+    const requests = [];
+    const truncated = new Set();
+
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://mock');
+        requests.push({ path: url.pathname, query: url.search, range: request.headers.range });
+
+        if (url.pathname === '/' && url.searchParams.get('list-type') === '2') {
+            response.writeHead(200, { 'Content-Type': 'application/xml' });
+            response.end(listingPage(listed, objects, url.searchParams, pageSize));
+            return;
+        }
+
+        const object = objects.get(decodeURIComponent(url.pathname.slice(1)));
+        if (!object || typeof object.behavior === 'number') {
+            response.writeHead(object?.behavior || 404, { 'Content-Type': 'application/xml' });
+            response.end('<Error><Code>NoSuchKey</Code></Error>');
+            return;
+        }
+        if (object.behavior === 'hang') {
+            return;
+        }
+
+        const { body } = object;
+        const range = /^bytes=(\d+)-$/.exec(request.headers.range || '');
+        if (range) {
+            const start = Number(range[1]);
+            if (start >= body.length) {
+                response.writeHead(416, { 'Content-Range': `bytes */${body.length}` });
+                response.end();
+                return;
+            }
+            response.writeHead(206, {
+                'Content-Length': body.length - start,
+                'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}`
+            });
+            response.end(body.subarray(start));
+            return;
+        }
+
+        if (object.behavior === 'truncate-once' && !truncated.has(url.pathname)) {
+            truncated.add(url.pathname);
+            response.writeHead(200, { 'Content-Length': body.length });
+            response.write(body.subarray(0, Math.floor(body.length / 2)), () => response.destroy());
+            return;
+        }
+
+        response.writeHead(200, { 'Content-Length': body.length, ETag: `"${object.etag}"` });
+        response.end(body);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/`,
+        requests,
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
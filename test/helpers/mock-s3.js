@@ -0,0 +1,101 @@
+import http from 'http';
+import crypto from 'crypto';
+import { signRequest } from '../../lib/sigv4.js';
+
+const error = (code) => `<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>${code}</Code></Error>`;
+
+// Recompute the request's SigV4 signature from the headers it says it signed
+function signatureMatches(request, url, credentials, region) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/\d{8}\/[^,]+, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/.exec(request.headers.authorization || '');
+    if (!match || match[1] !== credentials.accessKeyId) return false;
+    const names = match[2].split(';').filter(name => !['host', 'x-amz-date', 'x-amz-content-sha256'].includes(name));
+    const timestamp = request.headers['x-amz-date'];
+    const date = new Date(`${timestamp.slice(0, 4)}-${timestamp.slice(4, 6)}-${timestamp.slice(6, 8)}T${timestamp.slice(9, 11)}:${timestamp.slice(11, 13)}:${timestamp.slice(13, 15)}Z`);
+    const expected = signRequest({
+        method: request.method,
+        url: url.href,
+        headers: Object.fromEntries(names.map(name => [name, request.headers[name]])),
+        payloadHash: request.headers['x-amz-content-sha256'],
+        region,
+        credentials: { ...credentials, sessionToken: request.headers['x-amz-security-token'] },
+        date
+    });
+    return expected.authorization === request.headers.authorization;
+}
+
+/**
+ * A MinIO-style stand-in for an S3-compatible store: path-style PUT, HEAD and GET on one bucket
+ * Requests must be signed with `credentials`; PUT bodies must match their x-amz-content-sha256,
+ * and x-amz-meta-* headers are kept as object metadata. `failPuts` answers that many PUTs with 503
+ */
+export async function startMockS3({ bucket = 'artifacts', region = 'us-east-1', failPuts = 0 } = {}) {
+    const credentials = { accessKeyId: 'minio', secretAccessKey: 'minio-secret' };
+    const objects = new Map();
+    const requests = [];
+    let failures = failPuts;
+
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, `http://${request.headers.host}`);
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const [, bucketName, ...keyParts] = url.pathname.split('/');
+            const key = keyParts.map(decodeURIComponent).join('/');
+            requests.push({ method: request.method, key });
+
+            if (bucketName !== bucket) {
+                response.writeHead(404);
+                response.end(error('NoSuchBucket'));
+                return;
+            }
+            if (!signatureMatches(request, url, credentials, region)) {
+                response.writeHead(403);
+                response.end(error('SignatureDoesNotMatch'));
+                return;
+            }
+
+            if (request.method === 'PUT') {
+                if (failures > 0) {
+                    failures--;
+                    response.writeHead(503);
+                    response.end(error('SlowDown'));
+                    return;
+                }
+                if (crypto.createHash('sha256').update(body).digest('hex') !== request.headers['x-amz-content-sha256']) {
+                    response.writeHead(400);
+                    response.end(error('XAmzContentSHA256Mismatch'));
+                    return;
+                }
+                const metadata = Object.fromEntries(Object.entries(request.headers).filter(([name]) => name.startsWith('x-amz-meta-')));
+                objects.set(key, { body, metadata, contentType: request.headers['content-type'] });
+                response.writeHead(200, { ETag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+                response.end();
+                return;
+            }
+
+            const object = objects.get(key);
+            if (!object) {
+                response.writeHead(404);
+                response.end(request.method === 'HEAD' ? undefined : error('NoSuchKey'));
+                return;
+            }
+            response.writeHead(200, { 'Content-Length': object.body.length, 'Content-Type': object.contentType, ...object.metadata });
+            response.end(request.method === 'HEAD' ? undefined : object.body);
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        bucket,
+        region,
+        credentials,
+        objects,
+        requests,
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
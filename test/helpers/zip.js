@@ -0,0 +1,83 @@
+import zlib from 'zlib';
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let c = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        c = CRC32_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// Build a deflated ZIP archive in memory from [{ name, data }]
+export function createZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, data } of entries) {
+        const nameBytes = Buffer.from(name);
+        const content = Buffer.from(data);
+        const compressed = zlib.deflateRawSync(content);
+        const crc = crc32(content);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0, 6);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(0, 10);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(0, 12);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBytes, compressed);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + compressed.length;
+    }
+
+    const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+// A ZIP whose first entry's stored CRC no longer matches its contents
+export function createCorruptZip(entries) {
+    const zip = createZip(entries);
+    zip.writeUInt32LE((zip.readUInt32LE(14) ^ 0xffffffff) >>> 0, 14);
+    const central = zip.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    zip.writeUInt32LE((zip.readUInt32LE(central + 16) ^ 0xffffffff) >>> 0, central + 16);
+    return zip;
+}
@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import parquet from '@dsnp/parquetjs';
+import { parseDataset } from '../lib/datasets.js';
+import { monthPeriods, partitionDir, updateHiveMonth } from '../lib/hive.js';
+import { parquetDecimals } from '../lib/parquet.js';
+
+const TRADES = parseDataset('spot/daily/trades');
+
+let dir;
+let csvDir;
+let root;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-hive-'));
+    csvDir = path.join(dir, 'csv');
+    root = path.join(dir, 'hive');
+    await fs.mkdir(csvDir);
+});
+
+after(async () => {
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+});
+
+// Two trades on a day, with ids that say which day (and version) they came from
+async function dayCsv(day, version = 1) {
+    const csvPath = path.join(csvDir, `BTCUSDT-trades-${day}.csv`);
+    const start = Date.parse(`${day}T00:00:00Z`);
+    const id = Number(day.slice(8)) * 100 + version * 10;
+    await fs.writeFile(csvPath, `trade_id,trade_time,price,size,side\n${id},${start},1.5,2,BUY\n${id + 1},${start + 1000},1.6,1,SELL\n`);
+    return csvPath;
+}
+
+async function sourcesFor(days, version = 1) {
+    return new Map(await Promise.all(days.map(async day => [day, { csvPath: await dayCsv(day, version), fingerprint: `v${version}` }])));
+}
+
+async function tradeIds(filePath) {
+    const reader = await parquet.ParquetReader.openFile(filePath);
+    const cursor = reader.getCursor();
+    const ids = [];
+    let row;
+    while ((row = await cursor.next())) ids.push(Number(row.trade_id));
+    await reader.close();
+    return ids;
+}
+
+const update = (sources, previous) => updateHiveMonth({
+    root, dataset: TRADES, symbol: 'BTCUSDT', month: '2025-02', sources, previous, name: 'BTCUSDT', table: TRADES.table
+});
+const ledgerEntry = (result) => ({ status: result.status, periods: result.periods, recordCount: result.recordCount });
+
+test('lays partitions out as dataset / symbol / year / month', () => {
+    assert.equal(
+        partitionDir('out/hive', TRADES, 'BTCUSDT', '2025-01'),
+        path.join('out/hive', 'dataset=trades', 'symbol=BTCUSDT', 'year=2025', 'month=01')
+    );
+    assert.equal(
+        partitionDir('out/hive', parseDataset('futures/monthly/klines/1h'), 'XBTUSDTM', '2024-12', { partial: true }),
+        path.join('out/hive', '_partial', 'dataset=futures-monthly-klines-1h', 'symbol=XBTUSDTM', 'year=2024', 'month=12')
+    );
+    assert.equal(monthPeriods(TRADES, '2024-02').length, 29);
+    assert.deepEqual(monthPeriods(parseDataset('spot/monthly/trades'), '2024-02'), ['2024-02']);
+});
+
+test('keeps incomplete months partial, compacts complete ones and merges re-published days', async () => {
+    const days = monthPeriods(TRADES, '2025-02');
+    const early = days.filter(day => day !== '2025-02-14' && day !== '2025-02-28');
+
+    // Most of the month: one part file per day under _partial
+    const first = await update(await sourcesFor(early));
+    assert.equal(first.status, 'partial');
+    assert.equal(first.periodsPresent, 26);
+    assert.equal(first.recordCount, 52);
+    assert.ok(first.parquetPath.includes(`${path.sep}_partial${path.sep}`));
+
+    // Late days: only they are written, then the month is compacted in day order
+    const late = await sourcesFor(['2025-02-14', '2025-02-28']);
+    const second = await update(new Map([...await sourcesFor(early), ...late]), ledgerEntry(first));
+    assert.equal(second.status, 'complete');
+    assert.equal(second.compacted, true);
+    assert.deepEqual(second.newPeriods, ['2025-02-14', '2025-02-28']);
+    assert.equal(second.rowsWritten, 4);
+    assert.equal(second.recordCount, 56);
+    const compactedIds = await tradeIds(second.parquetPath);
+    assert.deepEqual(compactedIds.slice(26, 28), [1410, 1411]);
+    assert.deepEqual(await parquetDecimals(second.parquetPath), { price: { scale: 1, width: 1 }, size: { scale: 0, width: 0 } });
+    await assert.rejects(fs.access(partitionDir(root, TRADES, 'BTCUSDT', '2025-02', { partial: true })));
+
+    // Nothing new: the compacted month is left alone
+    const third = await update(new Map([...await sourcesFor(early), ...late]), ledgerEntry(second));
+    assert.equal(third.skipped, true);
+
+    // A re-published day replaces only its own rows
+    const republished = new Map([...await sourcesFor(early), ...late, ...await sourcesFor(['2025-02-14'], 2)]);
+    const fourth = await update(republished, ledgerEntry(second));
+    const ids = await tradeIds(fourth.parquetPath);
+    assert.deepEqual(fourth.newPeriods, ['2025-02-14']);
+    assert.equal(fourth.recordCount, 56);
+    assert.deepEqual(ids.slice(26, 28), [1420, 1421]);
+    assert.deepEqual(ids.filter((id, i) => i < 26 || i >= 28), compactedIds.filter((id, i) => i < 26 || i >= 28));
+});
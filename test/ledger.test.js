@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Ledger, LEDGER_FILE, hasFileOfSize } from '../lib/ledger.js';
+
+const ZIP = 'LEDUSDT-trades-2025-01-01.zip';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-ledger-'));
+});
+
+after(async () => {
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+});
+
+// A fresh symbol directory for one test
+async function symbolDir(name) {
+    const target = path.join(dir, name);
+    await fs.mkdir(target, { recursive: true });
+    return target;
+}
+
+test('starts empty without a ledger file', async () => {
+    const ledger = await Ledger.load(await symbolDir('missing'), 'LEDUSDT');
+    assert.deepEqual([ledger.files, ledger.months, ledger.candles, ledger.partitions, ledger.pruned], [{}, {}, {}, {}, {}]);
+    assert.equal(ledger.file(ZIP), undefined);
+});
+
+test('starts over from a corrupt ledger or one written for something else', async () => {
+    const target = await symbolDir('corrupt');
+    await fs.writeFile(path.join(target, LEDGER_FILE), '{"version": 1, "symbol": "LEDUSDT", "files": {');
+    assert.deepEqual((await Ledger.load(target, 'LEDUSDT')).files, {});
+
+    const files = { [ZIP]: { bytes: 1, phases: { download: { status: 'verified' } } } };
+    await fs.writeFile(path.join(target, LEDGER_FILE), JSON.stringify({ version: 1, symbol: 'OTHERUSDT', files }));
+    assert.deepEqual((await Ledger.load(target, 'LEDUSDT')).files, {});
+    await fs.writeFile(path.join(target, LEDGER_FILE), JSON.stringify({ version: 99, symbol: 'LEDUSDT', files }));
+    assert.deepEqual((await Ledger.load(target, 'LEDUSDT')).files, {});
+    await fs.writeFile(path.join(target, LEDGER_FILE), JSON.stringify({ version: 1, symbol: 'LEDUSDT', files }));
+    assert.deepEqual((await Ledger.load(target, 'LEDUSDT')).files, files);
+});
+
+test('persists downloads, phases, months and prunes across loads', async () => {
+    const target = await symbolDir('persist');
+    const ledger = await Ledger.load(target, 'LEDUSDT');
+    ledger.recordDownload(ZIP, { bytes: 120, algorithm: 'sha256', digest: 'ab'.repeat(32) });
+    ledger.recordPhase(ZIP, 'unpack', 'done', { files: [{ name: 'a.csv', bytes: 70, rows: 1 }] });
+    ledger.recordMonth('2025-01', { parquetFile: 'LEDUSDT-2025-01.parquet', sourceFiles: [{ file: 'a.csv', rows: 1 }] });
+    ledger.recordCandles('2025-01', { intervals: ['1h'] });
+    ledger.recordPartition('2025-01', { path: 'hive/x', periods: { '2025-01-01': 1 } });
+    ledger.recordPrune('2024-12', { removed: 3 });
+    // Saves started together are written one after another and leave no temp file behind
+    await Promise.all([ledger.save(), ledger.save(), ledger.save()]);
+    assert.deepEqual(await fs.readdir(target), [LEDGER_FILE]);
+
+    const again = await Ledger.load(target, 'LEDUSDT');
+    assert.equal(again.file(ZIP).bytes, 120);
+    assert.equal(again.file(ZIP).etag, null);
+    assert.equal(again.phase(ZIP, 'download').status, 'verified');
+    assert.equal(again.phase(ZIP, 'unpack').files[0].rows, 1);
+    assert.equal(again.month('2025-01').status, 'done');
+    assert.equal(again.candleMonth('2025-01').status, 'done');
+    assert.deepEqual(again.partition('2025-01').periods, { '2025-01-01': 1 });
+    assert.equal(again.prunedMonth('2024-12').removed, 3);
+
+    // A new download drops the phases of the old copy, and an invalidated file keeps only why
+    again.recordDownload(ZIP, { bytes: 121, algorithm: 'sha256', digest: 'cd'.repeat(32), etag: 'e' });
+    assert.equal(again.phase(ZIP, 'unpack'), undefined);
+    again.invalidate(ZIP, 'size changed');
+    again.invalidate('unknown.zip', 'ignored');
+    await again.save();
+
+    const last = await Ledger.load(target, 'LEDUSDT');
+    assert.deepEqual(Object.keys(last.files), [ZIP]);
+    assert.equal(last.phase(ZIP, 'download').status, 'invalid');
+    assert.equal(last.phase(ZIP, 'download').reason, 'size changed');
+});
+
+test('checks a file on disk against its recorded size', async () => {
+    const target = await symbolDir('size');
+    await fs.writeFile(path.join(target, ZIP), 'abc');
+    assert.equal(await hasFileOfSize(path.join(target, ZIP), 3), true);
+    assert.equal(await hasFileOfSize(path.join(target, ZIP), 4), false);
+    assert.equal(await hasFileOfSize(path.join(target, 'nope.zip'), 3), false);
+    assert.equal(await hasFileOfSize(target, 3), false);
+});
@@ -0,0 +1,50 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { log, logDebug, logError, configureLogging, withLogContext } from '../lib/log.js';
+
+// Capture console.log lines written while `fn` runs
+async function captured(fn) {
+    const lines = [];
+    const original = console.log;
+    console.log = (line) => lines.push(line);
+    try {
+        await fn();
+    } finally {
+        console.log = original;
+    }
+    return lines;
+}
+
+afterEach(() => configureLogging({ format: 'pretty', level: 'info' }));
+
+test('json lines carry the level, a plain message and the task context', async () => {
+    configureLogging({ format: 'json' });
+    const lines = await captured(() => withLogContext({ symbol: 'BTCUSDT', phase: 'download' }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        logError('\n❌ HTTP 404', { file: 'BTCUSDT-trades-2025-01-01.zip' });
+    }));
+    const entry = JSON.parse(lines[0]);
+
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.msg, 'HTTP 404');
+    assert.equal(entry.symbol, 'BTCUSDT');
+    assert.equal(entry.phase, 'download');
+    assert.equal(entry.file, 'BTCUSDT-trades-2025-01-01.zip');
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+});
+
+test('pretty lines keep the timestamped emoji format', async () => {
+    const [line] = await captured(() => log('📥 Downloading x.zip...', { file: 'x.zip' }));
+    assert.match(line, /^\[\d{4}-\d{2}-\d{2}T[\d:.]+Z\] 📥 Downloading x\.zip\.\.\.$/);
+});
+
+test('lines below the configured level are dropped', async () => {
+    configureLogging({ level: 'warn' });
+    const lines = await captured(() => {
+        logDebug('debug');
+        log('info');
+        logError('error');
+    });
+    assert.equal(lines.length, 1);
+    assert.throws(() => configureLogging({ format: 'xml' }), /unknown log format "xml"/);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeShardOutputs } from '../lib/merge.js';
+
+function summary(symbol, overrides = {}) {
+    return {
+        symbol,
+        dataset: 'spot/daily/trades',
+        mode: 'full',
+        status: 'success',
+        completedAt: '2025-01-05T10:00:00.000Z',
+        pipeline: { filesAttempted: 2, filesVerified: 2, parquetRecords: 100 },
+        discovery: { source: 'listing', missingPeriods: [] },
+        downloadResults: [{ status: 'verified', bytes: 1000 }, { status: 'verified', bytes: 500, skipped: true }],
+        ...overrides
+    };
+}
+
+const manifest = (index, symbols) => ({ index, count: 3, strategy: 'hash', symbols, datasets: ['spot/daily/trades'] });
+
+test('merges shard summaries into one coverage report', () => {
+    const report = mergeShardOutputs([
+        { dir: 'shards/shard-1', manifest: manifest(1, ['BTCUSDT', 'ETHUSDT']), summaries: [summary('BTCUSDT'), summary('ETHUSDT', { status: 'failed' })] },
+        { dir: 'shards/shard-3', manifest: manifest(3, ['KCSUSDT', 'SOLUSDT']), summaries: [summary('KCSUSDT', { discovery: { missingPeriods: ['2025-01-03'] } })] }
+    ]);
+
+    assert.deepEqual(report.shards, { count: 3, found: [1, 3], missing: [2] });
+    assert.deepEqual(report.symbols.map(s => [s.symbol, s.shard, s.status]), [
+        ['BTCUSDT', '1/3', 'success'],
+        ['ETHUSDT', '1/3', 'failed'],
+        ['KCSUSDT', '3/3', 'success']
+    ]);
+    assert.equal(report.symbols[0].bytes, 1500);
+    assert.deepEqual(report.unprocessed, [{ symbol: 'SOLUSDT', dataset: 'spot/daily/trades', shard: '3/3' }]);
+    assert.deepEqual(report.totals, {
+        symbols: 3,
+        succeeded: 2,
+        failed: 1,
+        unprocessed: 1,
+        filesVerified: 6,
+        bytes: 4500,
+        parquetRecords: 300,
+        missingPeriods: 1
+    });
+});
+
+test('keeps the latest result when shards overlap', () => {
+    const report = mergeShardOutputs([
+        { dir: 'a', manifest: manifest(1, ['BTCUSDT']), summaries: [summary('BTCUSDT', { completedAt: '2025-01-06T00:00:00.000Z' })] },
+        { dir: 'b', manifest: manifest(2, ['BTCUSDT']), summaries: [summary('BTCUSDT', { status: 'failed' })] }
+    ]);
+
+    assert.equal(report.symbols.length, 1);
+    assert.equal(report.symbols[0].status, 'success');
+    assert.deepEqual(report.duplicates, [{ symbol: 'BTCUSDT', dataset: 'spot/daily/trades', shards: ['1/3', '2/3'] }]);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatMetrics } from '../lib/metrics.js';
+
+function summary(overrides = {}) {
+    return {
+        symbol: 'BTCUSDT',
+        dataset: 'spot/daily/trades',
+        status: 'success',
+        totalBytes: 4000,
+        phaseDurationsMs: { download: 2000, parquet: 500 },
+        pipeline: { retries: 1, filesVerified: 2, checksumStatuses: { verified: 2 } },
+        parquetResults: [{ success: true, recordCount: 120 }, { success: true, skipped: true, recordCount: 999 }],
+        candleResults: [{ success: true, files: [{ interval: '1m', candleCount: 60 }, { interval: '1h', candleCount: 1 }] }],
+        ...overrides
+    };
+}
+
+const run = (summaries, status = 'success') => ({ status, durationMs: 2500, finishedAt: '2025-01-05T10:00:00.000Z', summaries });
+
+test('renders per-symbol gauges in Prometheus text format', () => {
+    const text = formatMetrics(run([summary()]));
+    const labels = 'symbol="BTCUSDT",dataset="spot/daily/trades"';
+
+    assert.match(text, /^# HELP kucoin_pipeline_run_success /m);
+    assert.match(text, /^# TYPE kucoin_pipeline_run_success gauge$/m);
+    assert.match(text, /^kucoin_pipeline_run_duration_seconds 2\.5$/m);
+    assert.match(text, /^kucoin_pipeline_run_last_timestamp_seconds 1736071200$/m);
+    assert.ok(text.includes(`kucoin_pipeline_bytes_downloaded{${labels}} 4000\n`));
+    assert.ok(text.includes(`kucoin_pipeline_download_throughput_bytes_per_second{${labels}} 2000\n`));
+    assert.ok(text.includes(`kucoin_pipeline_download_retries{${labels}} 1\n`));
+    assert.ok(text.includes(`kucoin_pipeline_checksum_failures{${labels}} 0\n`));
+    assert.ok(text.includes(`kucoin_pipeline_rows_written{${labels},output="parquet"} 120\n`));
+    assert.ok(text.includes(`kucoin_pipeline_rows_written{${labels},output="candles"} 61\n`));
+    assert.ok(text.includes(`kucoin_pipeline_phase_duration_seconds{${labels},phase="parquet"} 0.5\n`));
+    assert.ok(text.endsWith('\n'));
+});
+
+test('counts bad checksums and skips throughput without a download phase', () => {
+    const text = formatMetrics(run([summary({
+        status: 'failed',
+        phaseDurationsMs: { verify: 100 },
+        pipeline: { retries: 0, filesVerified: 0, checksumStatuses: { checksum_failed: 3 } }
+    })], 'failed'));
+
+    assert.match(text, /^kucoin_pipeline_run_success 0$/m);
+    assert.match(text, /^kucoin_pipeline_checksum_failures\{.*\} 3$/m);
+    assert.match(text, /^kucoin_pipeline_symbol_success\{.*\} 0$/m);
+    assert.doesNotMatch(text, /download_throughput/);
+});
+
+test('escapes label values', () => {
+    const text = formatMetrics(run([summary({ symbol: 'A"B\\C' })]));
+    assert.ok(text.includes('symbol="A\\"B\\\\C"'));
+});
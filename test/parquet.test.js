@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import parquet from '@dsnp/parquetjs';
+import {
+    writeParquetFile, readParquetRows, parquetDecimals, toTradeRow, toKlineRow, decodeUnscaled, formatDecimal,
+    TABLES, DECIMAL_PRECISION, DECIMAL_SCALE
+} from '../lib/parquet.js';
+
+const HEADER = 'trade_id,trade_time,price,size,side\n';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-parquet-'));
+});
+
+after(async () => {
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+});
+
+// Write a daily trades CSV under the test directory and return its path
+async function tradesCsv(name, rows) {
+    const csvPath = path.join(dir, name);
+    await fs.writeFile(csvPath, HEADER + rows.map(row => `${row.join(',')}\n`).join(''));
+    return csvPath;
+}
+
+test('converts CSV records to typed rows', () => {
+    const row = toTradeRow({ trade_id: '9007199254740993', trade_time: '1735689600000', price: '-0.00000000000000000001', size: '2', side: 'SELL' });
+    assert.equal(row.trade_id, 9007199254740993n);
+    assert.equal(row.trade_time, 1735689600000);
+    assert.equal(decodeUnscaled(row.price), -1n);
+    assert.equal(decodeUnscaled(row.size), 2n * 10n ** 20n);
+    assert.throws(() => toTradeRow({ trade_id: '1', trade_time: '0', price: '1', size: '1', side: 'buy' }), /invalid side: buy/);
+
+    const kline = toKlineRow({ open_time: '0', open: '1.5', high: '2', low: '1', close: '1.75', volume: '10', quote_volume: '17.5' });
+    assert.equal(formatDecimal(decodeUnscaled(kline.close)), '1.75');
+    assert.equal(Object.keys(kline).join(), TABLES.klines.columns.join());
+});
+
+test('writes trades to Parquet and reads the same values back', async () => {
+    // Files are written oldest first whatever order they are given in
+    const second = await tradesCsv('T-trades-2025-01-02.csv', [[3, 1735776000000, '93574.40000000000000000000', '0.00001067000000000000', 'SELL']]);
+    const first = await tradesCsv('T-trades-2025-01-01.csv', [
+        [1, 1735689600000, '93500.5', '0.001', 'BUY'],
+        ['9007199254740993', 1735689600001, '99999999999999999.99999999999999999999', '0.00000000000000000001', 'SELL']
+    ]);
+    const parquetPath = path.join(dir, 'T-2025-01.parquet');
+
+    const result = await writeParquetFile([second, first], parquetPath, { compression: 'gzip', rowGroupSize: 2 });
+    assert.equal(result.success, true);
+    assert.equal(result.recordCount, 3);
+    assert.equal(result.compression, 'GZIP');
+    assert.deepEqual(result.sourceFiles.map(f => f.file), ['T-trades-2025-01-01.csv', 'T-trades-2025-01-02.csv']);
+    await assert.rejects(fs.access(`${parquetPath}.partial`));
+
+    const reader = await parquet.ParquetReader.openFile(parquetPath);
+    const { fields } = reader.schema;
+    await reader.close();
+    assert.equal(fields.trade_id.primitiveType, 'INT64');
+    assert.equal(fields.trade_time.originalType, 'TIMESTAMP_MILLIS');
+    assert.deepEqual([fields.price.originalType, fields.price.precision, fields.price.scale, fields.price.typeLength], ['DECIMAL', DECIMAL_PRECISION, DECIMAL_SCALE, 16]);
+    assert.equal(fields.size.originalType, 'DECIMAL');
+    assert.equal(fields.side.primitiveType, 'BYTE_ARRAY');
+
+    const rows = [];
+    for await (const row of readParquetRows(parquetPath)) {
+        rows.push([row.trade_id, row.trade_time.getTime(), formatDecimal(decodeUnscaled(row.price)), formatDecimal(decodeUnscaled(row.size)), row.side]);
+    }
+    assert.deepEqual(rows, [
+        [1n, 1735689600000, '93500.5', '0.001', 'BUY'],
+        [9007199254740993n, 1735689600001, '99999999999999999.99999999999999999999', '0.00000000000000000001', 'SELL'],
+        [3n, 1735776000000, '93574.4', '0.00001067', 'SELL']
+    ]);
+
+    // The metadata keeps each column's scale, and its width only when every value had the same one
+    assert.deepEqual(await parquetDecimals(parquetPath), result.decimals);
+    assert.deepEqual(result.decimals.price, { scale: 20, width: null });
+});
+
+test('a bad row fails the file and leaves nothing behind', async () => {
+    const csvPath = await tradesCsv('bad.csv', [[1, 1735689600000, '1', '1', 'BUY'], [2, 1735689600001, '1', '1', 'HOLD']]);
+    const parquetPath = path.join(dir, 'bad.parquet');
+
+    const result = await writeParquetFile([csvPath], parquetPath);
+    assert.equal(result.success, false);
+    assert.match(result.error, /bad\.csv row 2: invalid side: HOLD/);
+    await assert.rejects(fs.access(parquetPath));
+    await assert.rejects(fs.access(`${parquetPath}.partial`));
+
+    const scaled = await writeParquetFile([await tradesCsv('scale.csv', [[1, 0, '1.234', '1', 'BUY']])], path.join(dir, 'scale.parquet'), { scales: { price: 2 } });
+    assert.match(scaled.error, /price 1\.234 has more than the configured 2 decimal places/);
+});
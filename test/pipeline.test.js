@@ -0,0 +1,254 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { execFile, spawn } from 'child_process';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+import { startMockKucoin } from './helpers/mock-kucoin.js';
+import { createZip, createCorruptZip } from './helpers/zip.js';
+
+const WORKER = fileURLToPath(new URL('../enhanced_worker.js', import.meta.url));
+const PREFIX = 'data/spot/daily/trades/';
+const ROWS_PER_DAY = 60;
+
+const md5 = (data) => crypto.createHash('md5').update(data).digest('hex');
+
+// One trade a minute through the first hour of the day
+function tradesCsv(day, { firstId = 1000, badRow = null } = {}) {
+    const start = Date.parse(`${day}T00:00:00Z`);
+    const lines = ['trade_id,trade_time,price,size,side'];
+    for (let i = 0; i < ROWS_PER_DAY; i++) {
+        const price = i === badRow ? 'abc' : `${93500 + i}.50000000000000000000`;
+        lines.push(`${firstId + i},${start + i * 60000},${price},0.00100000000000000000,${i % 2 ? 'SELL' : 'BUY'}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Bucket objects for one daily archive and its CHECKSUM
+function archive(symbol, day, options = {}) {
+    const name = `${symbol}-trades-${day}.zip`;
+    const entries = [{ name: name.replace(/\.zip$/, '.csv'), data: options.csv ?? tradesCsv(day) }];
+    const zip = options.corrupt ? createCorruptZip(entries) : createZip(entries);
+    return {
+        [`${PREFIX}${symbol}/${name}`]: { body: zip, behavior: options.behavior },
+        [`${PREFIX}${symbol}/${name}.CHECKSUM`]: { body: options.checksum ?? `${md5(zip)}  ${name}\n` }
+    };
+}
+
+const FIXTURES = {
+    ...archive('GOODUSDT', '2025-01-01'),
+    ...archive('GOODUSDT', '2025-01-02', { csv: tradesCsv('2025-01-02', { firstId: 5000 }) }),
+    ...archive('MISSUSDT', '2025-01-01', { behavior: 404 }),
+    ...archive('SLOWUSDT', '2025-01-01', { behavior: 'hang' }),
+    ...archive('TRUNCUSDT', '2025-01-01', { behavior: 'truncate-once' }),
+    ...archive('BADSUMUSDT', '2025-01-01', { checksum: `${'0'.repeat(32)}  BADSUMUSDT-trades-2025-01-01.zip\n` }),
+    ...archive('CORRUPTUSDT', '2025-01-01', { corrupt: true }),
+    ...archive('MALFORMEDUSDT', '2025-01-01', { csv: tradesCsv('2025-01-01', { badRow: 7 }) })
+};
+const SYMBOLS = [...new Set(Object.keys(FIXTURES).map(key => key.split('/')[4]))];
+
+let server;
+let outputDir;
+let firstRun;
+
+function runWorker(args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [WORKER, ...args], { timeout: 120000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+// Resolve once the worker has printed `text`
+function printed(child, text) {
+    return new Promise((resolve) => {
+        let seen = '';
+        const listener = (chunk) => {
+            seen += chunk;
+            if (!seen.includes(text)) return;
+            child.stdout.off('data', listener);
+            resolve();
+        };
+        child.stdout.on('data', listener);
+    });
+}
+
+function workerArgs(symbols) {
+    return [
+        '--base-url', server.url,
+        '--output', outputDir,
+        '--symbols', symbols.join(','),
+        '--from', '2025-01-01',
+        '--to', '2025-01-03',
+        '--max-retries', '2',
+        '--request-timeout', '1',
+        '--concurrency', '8',
+        '--symbol-concurrency', String(symbols.length),
+        '--intervals', '1m,1h'
+    ];
+}
+
+async function summary(symbol) {
+    return JSON.parse(await fs.readFile(path.join(outputDir, symbol, 'enhanced_summary.json'), 'utf8'));
+}
+
+before(async () => {
+    // A small page size makes every symbol's listing follow continuation tokens
+    server = await startMockKucoin(FIXTURES, { pageSize: 1 });
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-pipeline-'));
+    firstRun = await runWorker(workerArgs(SYMBOLS));
+});
+
+after(async () => {
+    await server?.close();
+    if (outputDir) await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+test('runs the whole pipeline against the mock bucket', async () => {
+    assert.equal(firstRun.code, 0, firstRun.stderr);
+    const result = await summary('GOODUSDT');
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(result.phasesRun, ['download', 'unpack', 'validate', 'parquet', 'candles']);
+    assert.equal(result.discovery.source, 'listing');
+    assert.deepEqual(result.discovery.missingPeriods, ['2025-01-03']);
+    assert.equal(result.pipeline.filesVerified, 2);
+    assert.equal(result.pipeline.filesUnpacked, 2);
+    assert.equal(result.pipeline.parquetRecords, 2 * ROWS_PER_DAY);
+    assert.deepEqual(result.pipeline.checksumStatuses, { verified: 2 });
+    assert.equal(result.quality.months['2025-01'], 'ok');
+
+    const parquetFiles = await fs.readdir(path.join(outputDir, 'GOODUSDT', 'parquet'));
+    assert.deepEqual(parquetFiles.sort(), [
+        'GOODUSDT-2025-01.parquet',
+        'GOODUSDT-candles-1h-2025-01.parquet',
+        'GOODUSDT-candles-1m-2025-01.parquet'
+    ]);
+    assert.ok(server.requests.some(r => r.query.includes('continuation-token')));
+
+    const metrics = await fs.readFile(path.join(outputDir, 'metrics.prom'), 'utf8');
+    assert.match(metrics, /^kucoin_pipeline_rows_written\{symbol="GOODUSDT",dataset="spot\/daily\/trades",output="parquet"\} 120$/m);
+    assert.match(metrics, /^kucoin_pipeline_download_retries\{symbol="SLOWUSDT",dataset="spot\/daily\/trades"\} 1$/m);
+    assert.match(metrics, /^kucoin_pipeline_checksum_failures\{symbol="BADSUMUSDT",dataset="spot\/daily\/trades"\} 1$/m);
+});
+
+test('a re-run skips everything the ledger already has', async () => {
+    const before = server.requests.length;
+    const rerun = await runWorker(workerArgs(['GOODUSDT']));
+    assert.equal(rerun.code, 0, rerun.stderr);
+
+    const result = await summary('GOODUSDT');
+    assert.equal(result.status, 'success');
+    assert.ok(result.downloadResults.every(r => r.skipped));
+    assert.equal(result.pipeline.stepsSkipped, 6);
+    assert.ok(server.requests.slice(before).every(r => r.path === '/'), 'only listing requests on a re-run');
+});
+
+test('json logs and the metrics file describe the run', async () => {
+    const metricsFile = path.join(outputDir, 'metrics', 'run.prom');
+    const run = await runWorker([...workerArgs(['GOODUSDT']), '--log-format', 'json', '--metrics-file', metricsFile]);
+    assert.equal(run.code, 0, run.stderr);
+
+    const entries = run.stdout.trim().split('\n').map(line => JSON.parse(line));
+    const phaseDone = entries.find(e => e.phase === 'parquet' && e.durationMs !== undefined);
+    assert.ok(entries.every(e => e.time && e.level && e.msg));
+    assert.equal(phaseDone.symbol, 'GOODUSDT');
+    assert.equal(phaseDone.dataset, 'spot/daily/trades');
+    assert.ok(entries.some(e => e.phase === 'download' && e.file === 'GOODUSDT-trades-2025-01-01.zip'));
+
+    const metrics = await fs.readFile(metricsFile, 'utf8');
+    assert.match(metrics, /^kucoin_pipeline_run_success 1$/m);
+    assert.match(metrics, /^kucoin_pipeline_phase_duration_seconds\{symbol="GOODUSDT",dataset="spot\/daily\/trades",phase="candles"\} [\d.]+$/m);
+});
+
+test('a 404 fails the file without retrying', async () => {
+    const [download] = (await summary('MISSUSDT')).downloadResults;
+
+    assert.equal(download.status, 'download_failed');
+    assert.equal(download.error, 'HTTP 404');
+    assert.equal(download.attempts, 1);
+});
+
+test('a stalled request times out and is retried', async () => {
+    const result = await summary('SLOWUSDT');
+    const [download] = result.downloadResults;
+
+    assert.equal(download.status, 'download_failed');
+    assert.match(download.error, /timeout/);
+    assert.equal(download.attempts, 2);
+    assert.equal(result.status, 'failed');
+});
+
+test('a truncated body is resumed with a Range request', async () => {
+    const [download] = (await summary('TRUNCUSDT')).downloadResults;
+    const zipPath = `/${PREFIX}TRUNCUSDT/TRUNCUSDT-trades-2025-01-01.zip`;
+
+    assert.equal(download.status, 'verified');
+    assert.ok(download.resumedFrom > 0);
+    assert.equal(download.attempts, 2);
+    assert.ok(server.requests.some(r => r.path === zipPath && r.range === `bytes=${download.resumedFrom}-`));
+});
+
+test('a bad checksum is retried and the archive discarded', async () => {
+    const [download] = (await summary('BADSUMUSDT')).downloadResults;
+    const leftovers = (await fs.readdir(path.join(outputDir, 'BADSUMUSDT'))).filter(name => name.includes('.zip'));
+
+    assert.equal(download.status, 'checksum_failed');
+    assert.equal(download.attempts, 2);
+    assert.equal(download.checksum.algorithm, 'md5');
+    assert.deepEqual(leftovers, ['BADSUMUSDT-trades-2025-01-01.zip.CHECKSUM']);
+});
+
+test('a corrupt ZIP passes its checksum but fails to unpack', async () => {
+    const result = await summary('CORRUPTUSDT');
+    const [unpack] = result.unpackResults;
+
+    assert.equal(result.downloadResults[0].status, 'verified');
+    assert.equal(unpack.success, false);
+    assert.match(unpack.error, /CRC32 mismatch/);
+    assert.deepEqual(await fs.readdir(path.join(outputDir, 'CORRUPTUSDT', 'extracted')), []);
+    assert.equal(result.status, 'failed');
+});
+
+test('a malformed CSV is reported by validation and stops its Parquet file', async () => {
+    const result = await summary('MALFORMEDUSDT');
+    const report = JSON.parse(await fs.readFile(path.join(outputDir, 'MALFORMEDUSDT', 'quality_report.json'), 'utf8'));
+
+    assert.equal(report.days[0].status, 'error');
+    assert.equal(report.days[0].checks.bad_type, 1);
+    assert.equal(report.days[0].samples[0].row, 8);
+    assert.equal(result.parquetResults[0].success, false);
+    assert.match(result.parquetResults[0].error, /row 8: invalid decimal: abc/);
+});
+
+test('an invalid base URL is a usage error', async () => {
+    const run = await runWorker(['--base-url', 'ftp://example.com']);
+
+    assert.equal(run.code, 2);
+    assert.match(run.stderr, /--base-url must be an http\(s\) URL/);
+});
+
+test('SIGTERM drains the worker and a second one cancels the download in flight', async () => {
+    const output = path.join(outputDir, 'signals');
+    const child = spawn(process.execPath, [WORKER, '--base-url', server.url, '--output', output, '--symbols', 'SLOWUSDT',
+        '--from', '2025-01-01', '--to', '2025-01-01', '--request-timeout', '30'], { timeout: 60000 });
+    child.stdout.setEncoding('utf8');
+
+    await printed(child, 'Downloading SLOWUSDT');
+    const draining = printed(child, 'finishing the files in flight');
+    child.kill('SIGTERM');
+    await draining;
+    const exited = once(child, 'exit');
+    child.kill('SIGTERM');
+    const [code] = await exited;
+
+    const result = JSON.parse(await fs.readFile(path.join(output, 'SLOWUSDT', 'enhanced_summary.json'), 'utf8'));
+    const checkpoint = JSON.parse(await fs.readFile(path.join(output, 'checkpoint.json'), 'utf8'));
+    assert.equal(code, 143);
+    assert.equal(result.stopped, 'SIGTERM');
+    assert.equal(result.downloadResults[0].status, 'cancelled');
+    assert.deepEqual(checkpoint.pending, [{ dataset: 'spot/daily/trades', symbol: 'SLOWUSDT' }]);
+});
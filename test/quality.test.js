@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { validateTradeCsv, summarizeMonths } from '../lib/quality.js';
+
+const HEADER = 'trade_id,trade_time,price,size,side';
+const DAY_START = Date.parse('2025-01-01T00:00:00Z');
+
+// Write a daily CSV (lines, or the raw contents as a string) into a fresh temp directory and validate it
+async function validate(lines, options = {}, name = 'BTCUSDT-trades-2025-01-01.csv') {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quality-'));
+    try {
+        const csvPath = path.join(dir, name);
+        await fs.writeFile(csvPath, typeof lines === 'string' ? lines : lines.join('\n') + '\n');
+        return await validateTradeCsv(csvPath, options);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+const trade = (id, offsetMs, price = '93574.40000000000000000000', size = '0.00001067000000000000', side = 'BUY') =>
+    `${id},${DAY_START + offsetMs},${price},${size},${side}`;
+
+test('a clean day passes every check', async () => {
+    const report = await validate([HEADER, trade(1, 100), trade(2, 200, undefined, undefined, 'SELL'), trade(3, 300)]);
+
+    assert.equal(report.status, 'ok');
+    assert.equal(report.day, '2025-01-01');
+    assert.equal(report.rows, 3);
+    assert.equal(report.firstTradeTime, DAY_START + 100);
+    assert.equal(report.lastTradeTime, DAY_START + 300);
+    assert.deepEqual(report.samples, []);
+});
+
+test('flags duplicates, ordering, out-of-day times and bad values', async () => {
+    const report = await validate([
+        HEADER,
+        trade(1, 500),
+        trade(1, 600),
+        trade(2, 400),
+        trade(3, 86400000),
+        trade(4, 86400001, '0.00000000000000000000'),
+        trade(5, 86400002, undefined, '-1'),
+        trade(6, 86400003, undefined, undefined, 'HOLD'),
+        '7,not-a-time,1,1,BUY'
+    ]);
+
+    assert.equal(report.status, 'error');
+    assert.equal(report.checks.duplicate_trade_id, 1);
+    assert.equal(report.checks.non_monotonic, 1);
+    assert.equal(report.checks.outside_day, 4);
+    assert.equal(report.checks.non_positive_price, 1);
+    assert.equal(report.checks.non_positive_size, 1);
+    assert.equal(report.checks.invalid_side, 1);
+    assert.equal(report.checks.bad_type, 1);
+});
+
+test('reports gaps and price jumps as warnings only', async () => {
+    const report = await validate([
+        HEADER,
+        trade(1, 0, '100'),
+        trade(2, 20 * 60 * 1000, '100'),
+        trade(3, 20 * 60 * 1000 + 1, '125')
+    ], { maxGapMs: 15 * 60 * 1000, maxJumpPct: 10 });
+
+    assert.equal(report.status, 'warning');
+    assert.equal(report.checks.time_gap, 1);
+    assert.equal(report.checks.price_jump, 1);
+    assert.equal(report.samples.find(s => s.check === 'price_jump').changePct, 25);
+});
+
+test('rejects an unexpected header', async () => {
+    const report = await validate(['id,time,price,qty,side', trade(1, 0)]);
+
+    assert.equal(report.status, 'error');
+    assert.equal(report.checks.bad_header, 1);
+    assert.equal(report.checks.bad_type, 0);
+});
+
+test('rejects an empty or blank file', async () => {
+    for (const contents of ['', '\n', '\n\n\n']) {
+        const report = await validate(contents);
+
+        assert.equal(report.status, 'error', JSON.stringify(contents));
+        assert.equal(report.rows, 0);
+        assert.equal(report.checks.bad_header, 1);
+        assert.deepEqual(report.samples, [{ check: 'bad_header', row: 0, header: '' }]);
+    }
+
+    // A header with no trades is an empty day, not a broken file
+    assert.equal((await validate([HEADER])).status, 'ok');
+});
+
+test('rolls days up into months with the worst status', () => {
+    const day = (date, status, rows) => ({ day: date, status, rows, checks: { time_gap: status === 'warning' ? 1 : 0 } });
+    const months = summarizeMonths([
+        day('2025-01-01', 'ok', 10),
+        day('2025-01-02', 'warning', 5),
+        day('2025-02-01', 'ok', 7)
+    ]);
+
+    assert.equal(months['2025-01'].status, 'warning');
+    assert.equal(months['2025-01'].rows, 15);
+    assert.equal(months['2025-01'].checks.time_gap, 1);
+    assert.equal(months['2025-02'].days, 1);
+});
@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { text } from 'stream/consumers';
+import parquet from '@dsnp/parquetjs';
+import { parseDataset } from '../lib/datasets.js';
+import { writeParquetFile, formatDecimal, parseDecimal } from '../lib/parquet.js';
+import { partitionDir, HIVE_DIR } from '../lib/hive.js';
+import { UsageError } from '../lib/cli.js';
+import { findSourceFiles, queryRecords, runQuery, parseQueryCli } from '../lib/query.js';
+
+const TRADES = parseDataset('spot/daily/trades');
+
+let dir;
+
+// Two trades a day: a small buy at midnight and a large sell at noon, with KuCoin's 20 decimal places
+function dayCsv(day) {
+    const start = Date.parse(`${day}T00:00:00Z`);
+    const id = Number(day.slice(5, 7)) * 100 + Number(day.slice(8)) * 2;
+    return 'trade_id,trade_time,price,size,side\n'
+        + `${id},${start},93500.50000000000000000000,0.00100000000000000000,BUY\n`
+        + `${id + 1},${start + 43200000},93501.00000000000000000000,2.50000000000000000000,SELL\n`;
+}
+
+async function extract(symbol, days) {
+    const extracted = path.join(dir, symbol, 'extracted');
+    await fs.mkdir(extracted, { recursive: true });
+    const paths = [];
+    for (const day of days) {
+        paths.push(path.join(extracted, `${symbol}-trades-${day}.csv`));
+        await fs.writeFile(paths.at(-1), dayCsv(day));
+    }
+    return paths;
+}
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-query-'));
+
+    // January is compacted into the Hive layout, February only exists as extracted CSVs
+    const january = await extract('BTCUSDT', ['2025-01-30', '2025-01-31']);
+    const hivePath = path.join(partitionDir(path.join(dir, HIVE_DIR), TRADES, 'BTCUSDT', '2025-01'), 'BTCUSDT-2025-01.parquet');
+    assert.ok((await writeParquetFile(january, hivePath)).success);
+    await extract('BTCUSDT', ['2025-02-01']);
+
+    const eth = await extract('ETHUSDT', ['2025-01-31']);
+    assert.ok((await writeParquetFile(eth, path.join(dir, 'ETHUSDT', 'parquet', 'ETHUSDT-2025-01.parquet'))).success);
+});
+
+after(async () => {
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function collect(options) {
+    const records = [];
+    for await (const record of queryRecords({ data: dir, dataset: TRADES, ...options })) records.push(record);
+    return records;
+}
+
+test('decimals print in their shortest form', () => {
+    assert.equal(formatDecimal(parseDecimal('93500.50000000000000000000')), '93500.5');
+    assert.equal(formatDecimal(parseDecimal('0.001')), '0.001');
+    assert.equal(formatDecimal(parseDecimal('-2')), '-2');
+});
+
+test('each month is read from Parquet when it has it and from CSV otherwise', async () => {
+    const files = await findSourceFiles(dir, TRADES, 'BTCUSDT');
+
+    assert.deepEqual(files.map(f => [f.kind, f.period]), [['parquet', '2025-01'], ['csv', '2025-02-01']]);
+    assert.deepEqual((await findSourceFiles(dir, TRADES, 'BTCUSDT', { source: 'csv' })).map(f => f.period), ['2025-01-30', '2025-01-31', '2025-02-01']);
+    assert.deepEqual(await findSourceFiles(dir, TRADES, 'BTCUSDT', { source: 'parquet', from: Date.parse('2025-02-01') }), []);
+});
+
+test('Parquet and CSV sources produce the same records', async () => {
+    const range = { symbols: ['BTCUSDT'], from: Date.parse('2025-01-31T00:00:00Z'), to: Date.parse('2025-01-31T23:59:59.999Z') };
+    const fromParquet = await collect(range);
+    const fromCsv = await collect({ ...range, source: 'csv' });
+
+    assert.deepEqual(fromParquet, fromCsv);
+    assert.deepEqual(fromParquet[0], {
+        symbol: 'BTCUSDT',
+        trade_id: '162',
+        trade_time: Date.parse('2025-01-31T00:00:00Z'),
+        price: '93500.50000000000000000000',
+        size: '0.00100000000000000000',
+        side: 'BUY'
+    });
+
+    const shortest = await collect({ ...range, decimals: 'shortest' });
+    assert.deepEqual(shortest, await collect({ ...range, source: 'csv', decimals: 'shortest' }));
+    assert.deepEqual([shortest[0].price, shortest[0].size], ['93500.5', '0.001']);
+});
+
+test('filters by time, side and minimum size across symbols', async () => {
+    const records = await collect({
+        symbols: ['BTCUSDT', 'ETHUSDT'],
+        from: Date.parse('2025-01-31T00:00:00Z'),
+        side: 'SELL',
+        minSize: parseDecimal('2')
+    });
+
+    assert.deepEqual(records.map(r => [r.symbol, r.trade_id]), [['BTCUSDT', '163'], ['BTCUSDT', '203'], ['ETHUSDT', '163']]);
+    assert.equal((await collect({ symbols: ['BTCUSDT'], limit: 3 })).length, 3);
+});
+
+test('writes CSV to a stream and Parquet to a file', async () => {
+    const stdout = new PassThrough();
+    const output = text(stdout);
+    const csv = await runQuery({ data: dir, symbols: ['ETHUSDT'], format: 'csv' }, { stdout });
+    stdout.end();
+
+    assert.equal(csv.rows, 2);
+    assert.equal(await output, 'symbol,trade_id,trade_time,price,size,side\n'
+        + `ETHUSDT,162,${Date.parse('2025-01-31T00:00:00Z')},93500.50000000000000000000,0.00100000000000000000,BUY\n`
+        + `ETHUSDT,163,${Date.parse('2025-01-31T12:00:00Z')},93501.00000000000000000000,2.50000000000000000000,SELL\n`);
+
+    const parquetPath = path.join(dir, 'export', 'sells.parquet');
+    const result = await runQuery({ data: dir, symbols: ['BTCUSDT'], side: 'SELL', format: 'parquet', output: parquetPath });
+    const reader = await parquet.ParquetReader.openFile(parquetPath);
+    const cursor = reader.getCursor();
+    const rows = [];
+    let row;
+    while ((row = await cursor.next())) rows.push(row);
+    await reader.close();
+
+    assert.equal(result.rows, 3);
+    assert.deepEqual(rows.map(r => [r.symbol, Number(r.trade_id), r.side]), [['BTCUSDT', 161, 'SELL'], ['BTCUSDT', 163, 'SELL'], ['BTCUSDT', 203, 'SELL']]);
+    await assert.rejects(fs.access(`${parquetPath}.partial`));
+});
+
+test('parses query arguments', () => {
+    const options = parseQueryCli(['-s', 'btcusdt', '--from', '2025-01-31', '--to', '2025-01-31', '--side', 'Buy', '--min-size', '0.5', '-o', 'out.ndjson']);
+
+    assert.equal(options.from, Date.parse('2025-01-31T00:00:00Z'));
+    assert.equal(options.to, Date.parse('2025-02-01T00:00:00Z') - 1);
+    assert.equal(options.side, 'BUY');
+    assert.equal(options.minSize, parseDecimal('0.5'));
+    assert.equal(options.format, 'ndjson');
+    assert.equal(options.decimals, 'original');
+    assert.equal(parseQueryCli(['-s', 'BTCUSDT', '--decimals', 'Shortest']).decimals, 'shortest');
+    assert.throws(() => parseQueryCli(['-s', 'BTCUSDT', '--format', 'parquet']), UsageError);
+    assert.throws(() => parseQueryCli(['-s', 'BTCUSDT', '--min-size=-1']), /non-negative decimal/);
+    assert.throws(() => parseQueryCli(['-s', 'BTCUSDT', '-d', 'spot/daily/klines/1h', '--side', 'buy']), /only apply to trades/);
+    assert.throws(() => parseQueryCli(['-s', 'BTCUSDT', '--from', '2025-01-31T10:00:00']), /with a zone/);
+});
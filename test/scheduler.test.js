@@ -0,0 +1,135 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createPool, RateLimiter, backoffDelay, parseRetryAfter, parseByteSize } from '../lib/scheduler.js';
+import { downloadFile } from '../lib/download.js';
+
+const BODY = Buffer.alloc(2000, 'x');
+
+let dir;
+let server;
+let baseUrl;
+let open = 0;
+let mostOpen = 0;
+
+// Serves BODY after a short pause, counting how many requests are waiting on it at once
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-scheduler-'));
+    server = http.createServer((request, response) => {
+        open++;
+        mostOpen = Math.max(mostOpen, open);
+        setTimeout(() => {
+            open--;
+            response.writeHead(200, { 'Content-Length': BODY.length });
+            response.end(BODY);
+        }, 20);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server?.closeAllConnections();
+    await new Promise(resolve => server ? server.close(resolve) : resolve());
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+});
+
+// A task that stays running until `release` is called
+function deferred() {
+    let release;
+    const done = new Promise(resolve => { release = resolve; });
+    return { done, release };
+}
+
+test('a pool runs at most its concurrency, in submission order, and frees slots on failure', async () => {
+    const pool = createPool(2);
+    const tasks = Array.from({ length: 5 }, deferred);
+    const started = [];
+    let running = 0;
+    let mostRunning = 0;
+
+    const results = tasks.map((task, i) => pool.run(async () => {
+        started.push(i);
+        mostRunning = Math.max(mostRunning, ++running);
+        await task.done;
+        running--;
+        if (i === 1) throw new Error('task 1 failed');
+        return i;
+    }));
+    await new Promise(setImmediate);
+    assert.deepEqual(started, [0, 1]);
+    assert.deepEqual([pool.active, pool.pending], [2, 3]);
+
+    // A failed task hands its slot to the next one like any other
+    tasks[1].release();
+    await assert.rejects(results[1], /task 1 failed/);
+    await new Promise(setImmediate);
+    assert.deepEqual(started, [0, 1, 2]);
+
+    tasks.forEach(task => task.release());
+    assert.deepEqual(await Promise.all([results[0], results[2], results[3], results[4]]), [0, 2, 3, 4]);
+    assert.equal(mostRunning, 2);
+    assert.deepEqual(started, [0, 1, 2, 3, 4]);
+    assert.deepEqual([pool.active, pool.pending], [0, 0]);
+});
+
+test('downloads sharing a pool never exceed its concurrency', async () => {
+    const pool = createPool(2);
+    mostOpen = 0;
+    const results = await Promise.all(Array.from({ length: 6 }, (_, i) =>
+        pool.run(() => downloadFile(`${baseUrl}/file-${i}.zip`, path.join(dir, `pool-${i}.zip`)))));
+
+    assert.ok(results.every(r => r.success && r.bytes === BODY.length));
+    assert.equal(mostOpen, 2);
+});
+
+test('a rate limiter reserves each caller\'s bytes on one shared timeline', async () => {
+    const limiter = new RateLimiter(1000, { now: () => 10000 });
+    const controller = new AbortController();
+
+    // The first 500 bytes go now; the next callers queue behind them at 1000 bytes a second
+    await limiter.take(500, controller.signal);
+    assert.equal(limiter.nextFree, 10500);
+    const second = limiter.take(250, controller.signal);
+    const third = limiter.take(1000, controller.signal);
+    assert.equal(limiter.nextFree, 11750);
+
+    controller.abort(new Error('stopped'));
+    await assert.rejects(second, /stopped/);
+    await assert.rejects(third, /stopped/);
+
+    const off = new RateLimiter(0);
+    assert.equal(off.enabled, false);
+    await off.take(1e9);
+    assert.equal(off.nextFree, 0);
+});
+
+test('a shared rate limit delays concurrent downloads', async () => {
+    const limiter = new RateLimiter(4000);
+    const started = Date.now();
+    const results = await Promise.all([0, 1].map(i =>
+        downloadFile(`${baseUrl}/limited-${i}.zip`, path.join(dir, `limited-${i}.zip`), { rateLimiter: limiter })));
+
+    // 4000 bytes at 4000 bytes a second: whichever body comes second waits for the first's share
+    assert.ok(results.every(r => r.success));
+    assert.ok(Date.now() - started >= 450, `finished after ${Date.now() - started}ms`);
+});
+
+test('backoff, Retry-After and byte sizes', () => {
+    assert.equal(backoffDelay(1, { baseMs: 100, random: () => 1 }), 100);
+    assert.equal(backoffDelay(4, { baseMs: 100, random: () => 1 }), 800);
+    assert.equal(backoffDelay(20, { baseMs: 100, maxMs: 5000, random: () => 0.5 }), 2500);
+
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter('Thu, 01 Jan 1970 00:00:10 GMT', 4000), 6000);
+    assert.equal(parseRetryAfter('soon'), null);
+    assert.equal(parseRetryAfter(undefined), null);
+
+    assert.equal(parseByteSize('512k'), 512 * 1024);
+    assert.equal(parseByteSize('8MiB'), 8 * 1024 ** 2);
+    assert.equal(parseByteSize('1.5g'), 1.5 * 1024 ** 3);
+    assert.equal(parseByteSize('fast'), null);
+});
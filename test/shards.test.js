@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseShard, symbolHash, assignShards, shardSymbols } from '../lib/shards.js';
+
+const SYMBOLS = ['BTCUSDT', 'ETHUSDT', 'KCSUSDT', 'SOLUSDT', 'XRPUSDT', 'DOGEUSDT'];
+
+test('parses i/N shard specs', () => {
+    assert.deepEqual(parseShard('2/3'), { index: 2, count: 3 });
+    assert.deepEqual(parseShard('1/1'), { index: 1, count: 1 });
+    assert.throws(() => parseShard('0/3'), /1 <= i <= N/);
+    assert.throws(() => parseShard('4/3'), /1 <= i <= N/);
+    assert.throws(() => parseShard('2'), /got "2"/);
+});
+
+test('hash shards are stable, disjoint and cover every symbol', () => {
+    const shards = assignShards(SYMBOLS, 3);
+
+    assert.equal(symbolHash('BTCUSDT'), 2885316331);
+    assert.deepEqual(shards, [[], ['BTCUSDT'], ['DOGEUSDT', 'ETHUSDT', 'KCSUSDT', 'SOLUSDT', 'XRPUSDT']]);
+    assert.deepEqual(shards.flat().sort(), [...SYMBOLS].sort());
+    assert.deepEqual(assignShards([...SYMBOLS].reverse(), 3), shards, 'input order does not matter');
+    assert.deepEqual(shardSymbols(SYMBOLS, { index: 2, count: 3 }), ['BTCUSDT']);
+});
+
+test('size shards balance historical bytes, counting unknown symbols as average', () => {
+    const weights = { BTCUSDT: 900, ETHUSDT: 500, KCSUSDT: 100, SOLUSDT: 400, XRPUSDT: 300 };
+    const shards = assignShards(SYMBOLS, 3, { strategy: 'size', weights });
+
+    assert.deepEqual(shards, [['BTCUSDT'], ['ETHUSDT', 'KCSUSDT', 'XRPUSDT'], ['DOGEUSDT', 'SOLUSDT']]);
+    assert.throws(() => assignShards(SYMBOLS, 2, { strategy: 'random' }), /unknown shard strategy "random"/);
+});
@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { startMockKucoin } from './helpers/mock-kucoin.js';
+
+const WORKER = fileURLToPath(new URL('../simple_test_worker.js', import.meta.url));
+const PREFIX = 'data/spot/daily/trades/';
+
+let server;
+let outputDir;
+
+before(async () => {
+    server = await startMockKucoin({
+        [`${PREFIX}GOODUSDT/GOODUSDT-trades-2025-01-01.zip`]: { body: 'first day' },
+        [`${PREFIX}GOODUSDT/GOODUSDT-trades-2025-01-02.zip`]: { body: 'second' },
+        'data/spot/daily/klines/KLINEUSDT/1h/KLINEUSDT-1h-2025-01-01.zip': { body: 'candles' }
+    });
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-smoke-'));
+});
+
+after(async () => {
+    await server?.close();
+    if (outputDir) await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+function runSmokeTest(args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [WORKER, ...args], { timeout: 60000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+async function testSummary(output, dir) {
+    return JSON.parse(await fs.readFile(path.join(output, dir, 'test_summary.json'), 'utf8'));
+}
+
+test('downloads each planned day over plain HTTP and passes when every symbol got a file', async () => {
+    const output = path.join(outputDir, 'pass');
+    const result = await runSmokeTest(['--base-url', server.url, '--output', output, '--symbols', 'GOODUSDT',
+        '--from', '2025-01-01', '--to', '2025-01-03']);
+
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /TEST PASSED/);
+    const summary = await testSummary(output, 'GOODUSDT');
+    assert.deepEqual(summary.testResults.map(r => [r.filename, r.status, r.bytes]), [
+        ['GOODUSDT-trades-2025-01-01.zip', 'success', 9],
+        ['GOODUSDT-trades-2025-01-02.zip', 'success', 6],
+        ['GOODUSDT-trades-2025-01-03.zip', 'not_found', 0]
+    ]);
+    assert.equal(await fs.readFile(path.join(output, 'GOODUSDT', 'GOODUSDT-trades-2025-01-02.zip'), 'utf8'), 'second');
+
+    // Other datasets are planned the way the pipeline plans them
+    const klines = await runSmokeTest(['--base-url', server.url, '--output', output, '--datasets', 'spot/daily/klines/1h',
+        '--symbols', 'KLINEUSDT', '--from', '2025-01-01', '--to', '2025-01-01']);
+    assert.equal(klines.code, 0, klines.stderr);
+    assert.equal((await testSummary(output, 'spot-daily-klines-1h/KLINEUSDT')).filesDownloaded, 1);
+});
+
+test('exits 1 when a symbol downloads nothing', async () => {
+    const output = path.join(outputDir, 'fail');
+    const result = await runSmokeTest(['--base-url', server.url, '--output', output, '--symbols', 'GOODUSDT,NONEUSDT',
+        '--from', '2025-01-01', '--to', '2025-01-01']);
+
+    assert.equal(result.code, 1);
+    assert.match(result.stdout, /TEST FAILED/);
+    assert.equal((await testSummary(output, 'GOODUSDT')).status, 'success');
+    assert.equal((await testSummary(output, 'NONEUSDT')).status, 'failed');
+});
+
+test('prints its own usage for --help and exits 2 on invalid arguments', async () => {
+    const help = await runSmokeTest(['--help']);
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /^Usage: node simple_test_worker\.js/);
+    assert.doesNotMatch(help.stdout, /--sink/);
+
+    for (const args of [['--symbols', 'all'], ['--shard', '1/2'], ['--from', '2025-13-01'], ['--bogus']]) {
+        const result = await runSmokeTest(args);
+        assert.equal(result.code, 2, args.join(' '));
+        assert.match(result.stderr, /Usage: node simple_test_worker\.js/);
+    }
+});
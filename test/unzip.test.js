@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createZip, createCorruptZip } from './helpers/zip.js';
+import { unpackZip, verifyZip, isSafeEntryName } from '../lib/unzip.js';
+
+const CSV = 'trade_id,trade_time,price,size,side\n1,1735689600000,93500.5,0.001,BUY\n2,1735689601000,93501,0.002,SELL';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kucoin-unzip-'));
+});
+
+after(async () => {
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+});
+
+// Write `zip` under the test directory and return its path
+async function zipFile(name, zip) {
+    const zipPath = path.join(dir, name);
+    await fs.writeFile(zipPath, zip);
+    return zipPath;
+}
+
+test('extracts each entry and counts its rows, with or without a final newline', async () => {
+    const zipPath = await zipFile('ok.zip', createZip([
+        { name: 'a.csv', data: CSV },
+        { name: 'b.csv', data: `${CSV}\n` }
+    ]));
+    const extractDir = path.join(dir, 'ok');
+
+    const result = await unpackZip(zipPath, extractDir);
+    assert.equal(result.success, true);
+    assert.deepEqual(result.csvFiles, ['a.csv', 'b.csv']);
+    assert.deepEqual(result.files.map(f => f.rows), [2, 2]);
+    assert.equal(result.totalBytes, CSV.length * 2 + 1);
+    assert.equal(await fs.readFile(path.join(extractDir, 'a.csv'), 'utf8'), CSV);
+    assert.deepEqual((await verifyZip(zipPath)).files.map(f => f.name), ['a.csv', 'b.csv']);
+});
+
+test('rejects an entry whose CRC32 does not match and removes what it wrote', async () => {
+    const zipPath = await zipFile('crc.zip', createCorruptZip([{ name: 'a.csv', data: CSV }]));
+    const extractDir = path.join(dir, 'crc');
+
+    const result = await unpackZip(zipPath, extractDir);
+    assert.equal(result.success, false);
+    assert.match(result.error, /CRC32 mismatch for a\.csv/);
+    assert.deepEqual(await fs.readdir(extractDir), []);
+    assert.match((await verifyZip(zipPath)).error, /CRC32 mismatch/);
+});
+
+test('fails cleanly on a truncated archive', async () => {
+    const zip = createZip([{ name: 'a.csv', data: CSV.repeat(50) }]);
+    const zipPath = await zipFile('truncated.zip', zip.subarray(0, Math.floor(zip.length / 2)));
+    const extractDir = path.join(dir, 'truncated');
+
+    const result = await unpackZip(zipPath, extractDir);
+    assert.equal(result.success, false);
+    assert.ok(result.error);
+    assert.deepEqual(await fs.readdir(extractDir), []);
+});
+
+test('refuses entry names that would escape the extract directory', async () => {
+    assert.equal(isSafeEntryName('BTCUSDT-trades-2025-01-01.csv'), true);
+    assert.equal(isSafeEntryName('nested/day.csv'), true);
+    for (const name of ['../evil.csv', 'a/../../evil.csv', '/etc/evil.csv', '\\evil.csv', 'C:evil.csv', 'a\0.csv', '']) {
+        assert.equal(isSafeEntryName(name), false, name);
+    }
+
+    // yauzl turns away ".." and absolute names itself; a NUL byte gets past it and must stop here
+    const zipPath = await zipFile('slip.zip', createZip([
+        { name: 'good.csv', data: CSV },
+        { name: 'evil.csv\0.sh', data: CSV }
+    ]));
+    const extractDir = path.join(dir, 'slip');
+
+    const result = await unpackZip(zipPath, extractDir);
+    assert.equal(result.success, false);
+    assert.match(result.error, /^unsafe entry name rejected: evil\.csv\0\.sh$/);
+    assert.deepEqual(await fs.readdir(extractDir), []);
+});